@@ -0,0 +1,106 @@
+var ActivityList = (function() {
+
+    var activityTemplate = new nunjucks.Template($('#activity-template').html());
+
+    var sectionEl = $('#activities');
+    var listEl = $('#activities-list');
+    var statusEl = $('#activities-status');
+    var resultEl = $('#activity-result');
+
+    // Id of the last activity started, whose result is shown.
+    var currentActivityId = null;
+
+    function refresh() {
+        statusEl.text('Loading...');
+        window.postMessage({ name: "listActivities" }, "*");
+    }
+
+    function update(error, activities) {
+        listEl.empty();
+
+        if (error) {
+            statusEl.text('Error listing activities: ' + error);
+            return;
+        }
+        statusEl.text(activities.length ? '' : 'No activity handlers registered.');
+
+        activities.sort(function(a, b) {
+            return a.name < b.name ? -1 : (a.name > b.name ? 1 : 0);
+        }).forEach(function(activity) {
+            activity.prettyFilters = activity.filters ?
+                JSON.stringify(activity.filters, null, 2) : null;
+            listEl.append($(activityTemplate.render(activity).trim()));
+        });
+    }
+
+    function showResult(text, failed) {
+        resultEl.text(text).toggleClass('failed', !!failed);
+    }
+
+    function started(activityId, error) {
+        if (error) {
+            currentActivityId = null;
+            showResult('Error starting the activity: ' + error, true);
+            return;
+        }
+        currentActivityId = activityId;
+        showResult('Activity started, waiting for its result...');
+    }
+
+    function finished(activityId, result, error) {
+        if (activityId != currentActivityId) return;
+
+        if (error) {
+            showResult('Activity failed: ' + error, true);
+        } else {
+            showResult('Activity succeeded' + (result == null ? '.' :
+                       ':\n' + JSON.stringify(result, null, 2)));
+        }
+    }
+
+    $('#activities-toggle').on('click', function(evt) {
+        evt.preventDefault();
+        sectionEl.toggleClass('open');
+        if (sectionEl.hasClass('open')) {
+            refresh();
+        }
+    });
+
+    $('#activities-refresh').on('click', function(evt) {
+        evt.preventDefault();
+        refresh();
+    });
+
+    listEl.on('click', '.action', function(evt) {
+        evt.preventDefault();
+        $('#start-activity-name').val($(this).attr('data-name'));
+        $('#start-activity-data').focus();
+    });
+
+    $('#form-start-activity').on('submit', function(evt) {
+        evt.preventDefault();
+
+        var data = $('#start-activity-data').val().trim();
+        try {
+            data = data ? JSON.parse(data) : {};
+        } catch (e) {
+            showResult('The data isn\'t valid JSON: ' + e.message, true);
+            return;
+        }
+
+        currentActivityId = null;
+        showResult('Starting the activity...');
+        window.postMessage({
+            name: "startActivity",
+            activity: $('#start-activity-name').val().trim(),
+            data: data
+        }, "*");
+    });
+
+    return {
+        'update': update,
+        'started': started,
+        'finished': finished
+    };
+
+})();
@@ -24,6 +24,32 @@ var AppList = (function() {
 
     var apps = {};
     var appIds = [];
+    // Storage inspected by app id: {loading}, {error} or {storage}
+    var storagePanels = {};
+    // Ids of the apps whose history is expanded
+    var openHistories = {};
+    // Ids of the apps whose receipt is inspected
+    var openReceipts = {};
+    // Permissions inspected by app id: {loading}, {error} or {permissions}
+    var permissionsPanels = {};
+    // System message forms by app id: {type, payload} of the last message,
+    // and {sending}, {error} or {result} of sending it
+    var messagesPanels = {};
+
+    // The system message types an app registered for in its manifest, where
+    // `messages` is a list of {type: href} objects (or bare types).
+    function listMessageTypes(manifest) {
+        var types = [];
+        ((manifest && manifest.messages) || []).forEach(function(entry) {
+            var entryTypes = typeof entry == 'string' ? [entry] : Object.keys(entry);
+            entryTypes.forEach(function(type) {
+                if (types.indexOf(type) == -1) {
+                    types.push(type);
+                }
+            });
+        });
+        return types;
+    }
 
     function update(data) {
         apps = data;
@@ -58,7 +84,46 @@ var AppList = (function() {
         if (app.lastUpdate) {
             app.prettyLastUpdate = timedelta(app.lastUpdate);
         }
+        if (app.packageMtime) {
+            app.prettyPackageMtime = timedelta(app.packageMtime);
+        }
+        if (app.lastExport) {
+            app.prettyLastExport = timedelta(app.lastExport.time);
+        }
+        if (app.lastAutoReinstall) {
+            app.prettyLastAutoReinstall = timedelta(app.lastAutoReinstall);
+        }
+        if (app.changedSinceInstall) {
+            app.prettyChangedSinceInstall = timedelta(app.changedSinceInstall);
+        }
+        if (app.pendingManifestChange) {
+            app.prettyManifestChange = timedelta(app.pendingManifestChange.time);
+        }
+        app.receiptOpen = !!openReceipts[id];
+        app.receiptInfo = app.receipt ? describeReceipt(app.receipt) : null;
         app.prettyType = Simulator.APP_TYPES[app.type];
+        app.storagePanel = storagePanels[id] || null;
+        app.permissionsPanel = permissionsPanels[id] || null;
+        app.permissionStates = ['allow', 'deny', 'prompt', 'unknown'];
+        app.promptRulesEnabled = Simulator.permissionPromptPolicy == 'rules';
+        app.promptRules = app.permissionPromptRules || {};
+        app.messagesPanel = messagesPanels[id] || null;
+        app.messageTypes = listMessageTypes(app.manifest);
+
+        // Most recent events first
+        app.historyOpen = !!openHistories[id];
+        app.historyErrors = 0;
+        app.prettyHistory = (app.history || []).slice().reverse().map(function(event) {
+            if (event.type == 'error') {
+                app.historyErrors++;
+            }
+            return {
+                type: event.type,
+                message: event.message,
+                date: new Date(event.time).toLocaleString(),
+                prettyTime: timedelta(event.time)
+            };
+        });
 
         // use a default icon
         var iconPath = "default.png";
@@ -85,6 +150,7 @@ var AppList = (function() {
         app.receiptTypes = [
             {id: 'none', pretty: 'None'},
             {id: 'ok', pretty: 'Valid'},
+            {id: 'expired', pretty: 'Expired'},
             {id: 'invalid', pretty: 'Invalid'},
             {id: 'refunded', pretty: 'Refunded'}
         ];
@@ -105,6 +171,58 @@ var AppList = (function() {
         window.postMessage({name: "updateReceiptType", id: id, receiptType: this.value}, "*");
     });
 
+    listEl.on('change', '.permission-state', function(e) {
+        var itemEl = $(this).parents('[data-id]');
+
+        if (!itemEl) return;
+
+        var id = itemEl.data('id');
+
+        permissionsPanels[id] = { loading: true };
+        window.postMessage({
+            name: "setAppPermission",
+            id: id,
+            type: $(this).attr('data-type'),
+            state: this.value
+        }, "*");
+        render();
+    });
+
+    listEl.on('change', '.permission-prompt-rule', function(e) {
+        var itemEl = $(this).parents('[data-id]');
+
+        if (!itemEl) return;
+
+        var id = itemEl.data('id');
+
+        window.postMessage({
+            name: "setPermissionPromptRule",
+            id: id,
+            type: $(this).attr('data-type'),
+            decision: this.value || null
+        }, "*");
+    });
+
+    listEl.on('change', '.watch-toggle', function(e) {
+        var itemEl = $(this).parents('[data-id]');
+
+        if (!itemEl) return;
+
+        var id = itemEl.data('id');
+
+        window.postMessage({name: "watchApp", id: id, watch: this.checked}, "*");
+    });
+
+    listEl.on('change', '.auto-reinstall-toggle', function(e) {
+        var itemEl = $(this).parents('[data-id]');
+
+        if (!itemEl) return;
+
+        var id = itemEl.data('id');
+
+        window.postMessage({name: "autoReinstallApp", id: id, autoReinstall: this.checked}, "*");
+    });
+
     listEl.on('click', '.action', function(e) {
         var action = $(this).data('action');
         var itemEl = $(this).parents('[data-id]');
@@ -122,18 +240,148 @@ var AppList = (function() {
             case 'push':
                 window.postMessage({ name: "pushAppToDevice", id: id }, "*");
                 break;
+            case 'export':
+                window.postMessage({ name: "exportPackage", id: id }, "*");
+                break;
             case 'remove':
                 window.postMessage({name: "removeApp", id: id}, "*");
                 break;
             case 'update':
                 window.postMessage({name: "updateApp", id: id}, "*");
                 break;
+            case 'dismiss-manifest-change':
+                window.postMessage({name: "dismissManifestChange", id: id}, "*");
+                break;
             case 'undo':
                 window.postMessage({name: "undoRemoveApp", id: id}, "*");
                 break;
             case 'validation':
                 itemEl.find('.app-validation-list').toggle();
                 break;
+            case 'excluded':
+                itemEl.find('.app-package-excluded-list').toggle();
+                break;
+            case 'history':
+                if (openHistories[id]) {
+                    delete openHistories[id];
+                } else {
+                    openHistories[id] = true;
+                }
+                render();
+                break;
+            case 'receipt':
+                if (openReceipts[id]) {
+                    delete openReceipts[id];
+                } else {
+                    openReceipts[id] = true;
+                }
+                render();
+                break;
+            case 'custom-receipt':
+                var formEl = itemEl.find('.app-receipt-form');
+                var exp = Date.parse(formEl.find('[name=exp]').val());
+                if (!formEl[0].checkValidity() || isNaN(exp)) {
+                    formEl.find('[name=exp]').focus();
+                    break;
+                }
+                window.postMessage({
+                    name: "customizeReceipt",
+                    id: id,
+                    claims: {
+                        product: formEl.find('[name=product]').val(),
+                        exp: Math.floor(exp / 1000),
+                        user: formEl.find('[name=user]').val()
+                    }
+                }, "*");
+                break;
+            case 'messages':
+                if (messagesPanels[id]) {
+                    delete messagesPanels[id];
+                } else {
+                    messagesPanels[id] = {
+                        type: listMessageTypes(apps[id].manifest)[0] || '',
+                        payload: ''
+                    };
+                }
+                render();
+                break;
+            case 'send-message':
+                var formEl = itemEl.find('.app-messages-form');
+                var type = formEl.find('[name=type]').val().trim();
+                var payload = formEl.find('[name=payload]').val().trim();
+                var message;
+                messagesPanels[id] = { type: type, payload: payload };
+                if (!type) {
+                    formEl.find('[name=type]').focus();
+                    break;
+                }
+                try {
+                    message = payload ? JSON.parse(payload) : {};
+                } catch (e) {
+                    messagesPanels[id].error = 'The payload isn\'t valid JSON: ' + e.message;
+                    render();
+                    break;
+                }
+                messagesPanels[id].sending = true;
+                render();
+                window.postMessage({
+                    name: "sendSystemMessage",
+                    id: id,
+                    type: type,
+                    message: message
+                }, "*");
+                break;
+            case 'storage':
+                if (storagePanels[id]) {
+                    delete storagePanels[id];
+                    render();
+                } else {
+                    storagePanels[id] = { loading: true };
+                    render();
+                    window.postMessage({name: "getAppStorage", id: id}, "*");
+                }
+                break;
+            case 'permissions':
+                if (permissionsPanels[id]) {
+                    delete permissionsPanels[id];
+                    render();
+                } else {
+                    permissionsPanels[id] = { loading: true };
+                    render();
+                    window.postMessage({name: "getAppPermissions", id: id}, "*");
+                }
+                break;
+            case 'remove-permission-override':
+                window.postMessage({
+                    name: "removePermissionOverride",
+                    id: id,
+                    type: $(this).attr('data-type')
+                }, "*");
+                break;
+            case 'export-storage':
+                window.postMessage({name: "exportAppStorage", id: id}, "*");
+                break;
+            case 'remove-storage-item':
+                var storage = $(this).data('storage');
+                var key = $(this).attr('data-key');
+                if (storage == 'cookies') {
+                    // Cookies are identified by their name, host and path.
+                    var cookie = storagePanels[id].storage.cookies[$(this).data('index')];
+                    key = {
+                        name: cookie.name,
+                        host: cookie.host,
+                        path: cookie.path,
+                        isSecure: cookie.isSecure,
+                        isHttpOnly: cookie.isHttpOnly
+                    };
+                }
+                window.postMessage({
+                    name: "removeAppStorageItem",
+                    id: id,
+                    storage: storage,
+                    key: key
+                }, "*");
+                break;
             case 'connect':
                 window.postMessage({name: "connectToApp", id: id}, "*");
                 break;
@@ -142,8 +390,95 @@ var AppList = (function() {
     });
 
 
+    // Decode the JWT of a receipt, with or without its certificate
+    // ("cert~receipt"), into the details rendered by the template, or null
+    // if it's malformed.
+    function describeReceipt(receipt) {
+        var parts = receipt.split('~').pop().split('.');
+        if (parts.length != 3) return null;
+
+        var header, payload;
+        try {
+            header = JSON.parse(base64UrlDecode(parts[0]));
+            payload = JSON.parse(base64UrlDecode(parts[1]));
+        } catch (e) {
+            return null;
+        }
+        var expires = payload.exp ? new Date(payload.exp * 1000) : null;
+        return {
+            header: header,
+            payload: payload,
+            prettyHeader: JSON.stringify(header, null, 2),
+            prettyPayload: JSON.stringify(payload, null, 2),
+            productURL: payload.product ? payload.product.url : '',
+            user: payload.user ? payload.user.value : '',
+            prettyIssued: payload.iat ? new Date(payload.iat * 1000).toLocaleString() : 'unknown',
+            prettyExpires: expires ? expires.toLocaleString() : 'never',
+            isoExpires: expires ? expires.toISOString() : '',
+            expired: !!expires && expires.getTime() < Date.now()
+        };
+    }
+
+    function base64UrlDecode(data) {
+        data = data.replace(/-/g, '+').replace(/_/g, '/');
+        while (data.length % 4) {
+            data += '=';
+        }
+        return decodeURIComponent(escape(atob(data)));
+    }
+
+    // Convert the storage of an app to the lists rendered by the template.
+    function updateStorage(id, error, storage) {
+        if (!storagePanels[id]) return;
+
+        if (error) {
+            storagePanels[id] = { error: error };
+        } else {
+            var areas = ['localStorage', 'sessionStorage'].map(function(name) {
+                var items = storage[name];
+                return {
+                    name: name,
+                    unavailable: !items,
+                    items: Object.keys(items || {}).sort().map(function(key) {
+                        return { key: key, value: items[key] };
+                    })
+                };
+            });
+            storagePanels[id] = { storage: storage, areas: areas };
+        }
+        render();
+    }
+
+    function updateSystemMessage(id, error, result) {
+        var panel = messagesPanels[id];
+        if (!panel) return;
+
+        delete panel.sending;
+        if (error) {
+            panel.error = error;
+        } else {
+            panel.result = result;
+        }
+        render();
+    }
+
+    function updatePermissions(id, error, permissions) {
+        if (!permissionsPanels[id]) return;
+
+        if (error) {
+            permissionsPanels[id] = { error: error };
+        } else {
+            permissionsPanels[id] = { permissions: permissions };
+        }
+        render();
+    }
+
     return {
         'update': update,
+        'updateStorage': updateStorage,
+        'updatePermissions': updatePermissions,
+        'updateSystemMessage': updateSystemMessage,
+        'render': render,
         'apps': apps
     };
 
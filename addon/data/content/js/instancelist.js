@@ -0,0 +1,91 @@
+var InstanceList = (function() {
+
+    var instanceTemplate = new nunjucks.Template($('#instance-template').html());
+
+    var listEl = $('#instances-list');
+
+    var instances = {};
+    var registeredApps = [];
+
+    function update(data) {
+        instances = data;
+        render();
+    }
+
+    // Keep the list of apps that can be installed in an instance.
+    function updateApps(apps) {
+        registeredApps = Object.keys(apps).filter(function(id) {
+            return !apps[id].removed;
+        }).map(function(id) {
+            return { id: id, name: apps[id].name || id };
+        });
+        render();
+    }
+
+    function render() {
+        listEl.empty();
+
+        Object.keys(instances).sort().forEach(function(name) {
+            var instance = instances[name];
+            instance.registeredApps = registeredApps;
+            listEl.append($(instanceTemplate.render(instance).trim()));
+        });
+    }
+
+    $('#form-add-instance').on('submit', function(evt) {
+        evt.preventDefault();
+
+        window.postMessage({
+            name: "createInstance",
+            instance: $('#add-instance-name').val().trim(),
+            screen: $('#add-instance-screen').val() || null
+        }, "*");
+        this.reset();
+    });
+
+    listEl.on('change', '.instance-add-app', function(e) {
+        var instance = $(this).parents('[data-instance]').attr('data-instance');
+
+        if (!this.value) return;
+
+        window.postMessage({
+            name: "addAppToInstance",
+            instance: instance,
+            id: this.value
+        }, "*");
+    });
+
+    listEl.on('click', '.action', function(e) {
+        var action = $(this).data('action');
+        var instance = $(this).parents('[data-instance]').attr('data-instance');
+
+        if (!action || !instance) return;
+
+        e.preventDefault();
+
+        switch (action) {
+            case 'start':
+                window.postMessage({ name: "startInstance", instance: instance }, "*");
+                break;
+            case 'stop':
+                window.postMessage({ name: "stopInstance", instance: instance }, "*");
+                break;
+            case 'remove':
+                window.postMessage({ name: "removeInstance", instance: instance }, "*");
+                break;
+            case 'uninstall':
+                window.postMessage({
+                    name: "removeAppFromInstance",
+                    instance: instance,
+                    id: $(this).parents('[data-id]').data('id')
+                }, "*");
+                break;
+        }
+    });
+
+    return {
+        'update': update,
+        'updateApps': updateApps
+    };
+
+})();
@@ -1,8 +1,11 @@
 var Simulator = {
   deviceConnected: null,
+  permissionPromptPolicy: "prompt",
 
   APP_TYPES: {
     "local": "Packaged App",
+    "remote": "Remote Packaged App",
+    "zip": "Zipped Packaged App",
     "generated": "Generated App",
     "hosted": "Hosted App"
   },
@@ -27,6 +30,67 @@ var Simulator = {
       window.postMessage({name: "validateUrl", url: url}, "*");
     });
 
+    $('#review-manifest-add').on('click', function(evt) {
+      evt.preventDefault();
+      var reviewEl = $('#review-manifest').hide();
+      window.postMessage({
+        name: "addGeneratedApp",
+        url: reviewEl.attr('data-url'),
+        text: $('#review-manifest-text').val()
+      }, "*");
+    });
+
+    $('#review-manifest-cancel').on('click', function(evt) {
+      evt.preventDefault();
+      var reviewEl = $('#review-manifest').hide();
+      window.postMessage({
+        name: "cancelGeneratedApp",
+        url: reviewEl.attr('data-url')
+      }, "*");
+    });
+
+    $('#receipt-issuer').on('change', function(evt) {
+      window.postMessage({ name: "setReceiptIssuer", issuer: $(this).val() },
+                         "*");
+    });
+
+    $('#permission-prompt-policy').on('change', function(evt) {
+      window.postMessage({ name: "setPermissionPromptPolicy",
+                           policy: $(this).val() }, "*");
+    });
+
+    $('#network-profile').on('change', function(evt) {
+      var custom = $(this).val() == 'custom';
+      $('#network-custom').toggle(custom);
+      // Custom conditions are applied by the form.
+      if (!custom) {
+        $('#form-network-throttle').submit();
+      }
+    });
+
+    $('#form-network-throttle').on('submit', function(evt) {
+      evt.preventDefault();
+      window.postMessage({
+        name: "setNetworkThrottle",
+        throttle: {
+          profile: $('#network-profile').val(),
+          latency: parseInt($('#network-latency').val(), 10) || 0,
+          bandwidth: parseInt($('#network-bandwidth').val(), 10) || 0
+        }
+      }, "*");
+    });
+
+    $('#error-help-close').on('click', function(evt) {
+      evt.preventDefault();
+      $('#error-help').hide();
+    });
+
+    $('#update-all-close').on('click', function(evt) {
+      evt.preventDefault();
+      $('#update-all').hide();
+      $('#update-all-list').empty();
+    });
+
     $('#form-add-app').on('submit', function(evt) {
       evt.preventDefault();
 
@@ -86,6 +150,63 @@ var Simulator = {
             break;
           case "listApps":
             AppList.update(message.list);
+            InstanceList.updateApps(message.list);
+            break;
+          case "reviewManifest":
+            Simulator.reviewManifest(message);
+            break;
+          case "error":
+            Simulator.showErrorHelp(message.error);
+            break;
+          case "updateAllProgress":
+            Simulator.updateAllProgress(message);
+            break;
+          case "updateAllCompleted":
+            Simulator.updateAllCompleted(message);
+            break;
+          case "appStorage":
+            AppList.updateStorage(message.id, message.error, message.storage);
+            break;
+          case "appPermissions":
+            AppList.updatePermissions(message.id, message.error,
+                                      message.permissions);
+            break;
+          case "systemMessageSent":
+            AppList.updateSystemMessage(message.id, message.error,
+                                        message.result);
+            break;
+          case "listSnapshots":
+            SnapshotList.update(message.list, message.pendingRestore,
+                                message.upgradeSnapshot);
+            break;
+          case "listInstances":
+            InstanceList.update(message.list);
+            break;
+          case "receiptIssuer":
+            $('#receipt-issuer').val(message.issuer);
+            $('#receipt-verifier').text(message.verifierOrigin ?
+              "Verifying receipts on " + message.verifierOrigin : "");
+            break;
+          case "permissionPromptPolicy":
+            Simulator.permissionPromptPolicy = message.policy;
+            $('#permission-prompt-policy').val(message.policy);
+            AppList.render();
+            break;
+          case "activities":
+            ActivityList.update(message.error, message.activities);
+            break;
+          case "activityStarted":
+            ActivityList.started(message.activityId, message.error);
+            break;
+          case "activityResult":
+            ActivityList.finished(message.activityId, message.result,
+                                  message.error);
+            break;
+          case "networkThrottle":
+            $('#network-profile').val(message.throttle.profile);
+            $('#network-latency').val(message.throttle.latency);
+            $('#network-bandwidth').val(message.throttle.bandwidth);
+            $('#network-custom').toggle(message.throttle.profile == 'custom');
             break;
           case "updateReceiptStart":
             $('li').filter(function() $(this).data('id') == message.id).
@@ -105,6 +226,11 @@ var Simulator = {
     // Clears removed apps on reload
     window.postMessage({ name: "listApps", flush: true }, "*");
     window.postMessage({ name: "listTabs" }, "*");
+    window.postMessage({ name: "listInstances" }, "*");
+    window.postMessage({ name: "listSnapshots" }, "*");
+    window.postMessage({ name: "getReceiptIssuer" }, "*");
+    window.postMessage({ name: "getPermissionPromptPolicy" }, "*");
+    window.postMessage({ name: "getNetworkThrottle" }, "*");
   },
 
   updateDeviceView: function() {
@@ -121,6 +247,80 @@ var Simulator = {
     window.postMessage({ name: "addAppByDirectory" }, "*");
   },
 
+  addAppByPackage: function() {
+    // already-zipped packaged apps
+    window.postMessage({ name: "addAppByPackage" }, "*");
+  },
+
+  serveDirectory: function() {
+    // hosted apps served by the built-in HTTP server
+    window.postMessage({ name: "serveDirectory" }, "*");
+  },
+
+  updateAll: function() {
+    window.postMessage({ name: "updateAll" }, "*");
+  },
+
+  // Show the progress of a reinstall of all apps, one line per app.
+  updateAllProgress: function(message) {
+    var listEl = $('#update-all-list');
+    $('#update-all').show();
+
+    var itemEl = listEl.children().filter(function() {
+      return $(this).data('id') == message.id;
+    });
+    if (!itemEl.length) {
+      itemEl = $('<li>').data('id', message.id).appendTo(listEl);
+    }
+    itemEl.attr('class', message.status).text(message.appName + ': ' +
+      (message.status == "failed" ? "failed (" + message.error + ")" :
+       message.status == "succeeded" ? "reinstalled" : "reinstalling..."));
+    if (message.fix) {
+      $('<span class="fix">').text(message.fix).appendTo(itemEl);
+    }
+
+    $('#update-all-status').text('Reinstalling apps: ' + message.completed +
+                                 ' of ' + message.total + ' done');
+  },
+
+  updateAllCompleted: function(message) {
+    $('#update-all').show();
+    var listEl = $('#update-all-list');
+    // Only keep the failures in the final summary.
+    listEl.children(':not(.failed)').remove();
+    $('#update-all-status').text(message.failures.length ?
+      'Reinstalled ' + message.total + ' apps, ' + message.failures.length +
+      ' failed:' : 'Reinstalled ' + message.total + ' apps.');
+  },
+
+  // Let the user review and edit a generated manifest before adding the app.
+  reviewManifest: function(message) {
+    $('#review-manifest').attr('data-url', message.url).show();
+    $('#review-manifest-url').text(message.url);
+    $('#review-manifest-text').val(message.text);
+    $('#review-manifest-error').text(message.error || '');
+
+    var warningsEl = $('#review-manifest-warnings').empty();
+    message.warnings.forEach(function(warning) {
+      $('<li>').text(warning).appendTo(warningsEl);
+    });
+  },
+
+  // Show the message of an error along with its suggested fix.
+  showErrorHelp: function(error) {
+    $('#error-help').attr('data-code', error.code).show();
+    $('#error-help-message').text(error.message);
+    $('#error-help-fix').text(error.fix);
+  },
+
+  importProject: function() {
+    window.postMessage({ name: "importProject" }, "*");
+  },
+
+  exportProject: function() {
+    window.postMessage({ name: "exportProject" }, "*");
+  },
+
   openConnectDevtools: function() {
     window.postMessage({ name: "openConnectDevtools" }, "*");
   }
@@ -0,0 +1,65 @@
+var SnapshotList = (function() {
+
+    var snapshotTemplate = new nunjucks.Template($('#snapshot-template').html());
+
+    var listEl = $('#snapshots-list');
+
+    function update(snapshots, pendingRestore, upgradeSnapshot) {
+        listEl.empty();
+
+        snapshots.forEach(function(snapshot) {
+            snapshot.prettyTime = timedelta(snapshot.time);
+            listEl.append($(snapshotTemplate.render(snapshot).trim()));
+        });
+
+        $('#snapshots-pending').text(pendingRestore ?
+            "Pending " + (pendingRestore == "factory reset" ?
+                          "factory reset" : "restore of " + pendingRestore) +
+            ", applied the next time the Simulator starts." : "");
+
+        $('#snapshots-upgrade').text(upgradeSnapshot ?
+            "The profile was reset for this version of the Simulator, " +
+            "restore the snapshot " + upgradeSnapshot + " to get back " +
+            "the apps and data of the previous version." : "");
+    }
+
+    $('#form-take-snapshot').on('submit', function(evt) {
+        evt.preventDefault();
+
+        window.postMessage({
+            name: "takeSnapshot",
+            snapshot: $('#take-snapshot-name').val().trim()
+        }, "*");
+        this.reset();
+    });
+
+    $('#action-factory-reset').on('click', function(evt) {
+        if (window.confirm("Reset the Simulator profile? Installed apps, " +
+                           "settings and data will be lost.")) {
+            window.postMessage({ name: "factoryReset" }, "*");
+        }
+    });
+
+    listEl.on('click', '.action', function(e) {
+        var action = $(this).data('action');
+        var snapshot = $(this).parents('[data-snapshot]').attr('data-snapshot');
+
+        if (!action || !snapshot) return;
+
+        e.preventDefault();
+
+        switch (action) {
+            case 'restore':
+                window.postMessage({ name: "restoreSnapshot", snapshot: snapshot }, "*");
+                break;
+            case 'remove':
+                window.postMessage({ name: "removeSnapshot", snapshot: snapshot }, "*");
+                break;
+        }
+    });
+
+    return {
+        'update': update
+    };
+
+})();
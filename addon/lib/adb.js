@@ -11,7 +11,7 @@
 // then it's a JavaScript Module.
 const COMMONJS = ("require" in this);
 
-let components, subprocess, file, env;
+let components, subprocess, file, env, SimulatorError;
 if (COMMONJS) {
   components = require("chrome").components;
 } else {
@@ -25,8 +25,11 @@ if (COMMONJS) {
   subprocess = require("subprocess");
   file = require("file");
   env = require("api-utils/environment").env;
+  SimulatorError = require("./errors").SimulatorError;
 } else {
   Cu.import("chrome://b2g-remote/content/subprocess.jsm");
+  ({ SimulatorError }) =
+    Cu.import("chrome://b2g-remote/content/errors.js", {});
   let { Loader, Require } =
     Cu.import('resource://gre/modules/commonjs/toolkit/loader.js').Loader;
 
@@ -564,7 +567,7 @@ this.ADB = {
     let shutdown = function() {
       debug("push shutdown");
       socket.close();
-      deferred.reject("BAD_RESPONSE");
+      deferred.reject(new SimulatorError("BAD_RESPONSE"));
     }
 
     let runFSM = function runFSM(aData) {
@@ -659,14 +662,14 @@ this.ADB = {
           break;
         default:
           debug("push Unexpected State: " + state);
-          deferred.reject("UNEXPECTED_STATE");
+          deferred.reject(new SimulatorError("UNEXPECTED_STATE"));
       }
     }
 
     let setupSocket = function() {
       socket.onerror = function(aEvent) {
         debug("push onerror");
-        deferred.reject("SOCKET_ERROR");
+        deferred.reject(new SimulatorError("SOCKET_ERROR"));
       }
 
       socket.onopen = function(aEvent) {
@@ -690,7 +693,7 @@ this.ADB = {
       function onSuccess(stat) {
         if (stat.isDir) {
           // The path represents a directory
-          deferred.reject("CANT_PUSH_DIR");
+          deferred.reject(new SimulatorError("CANT_PUSH_DIR", aFrom));
         } else {
           // The path represents a file, not a directory
           fileSize = stat.size;
@@ -706,14 +709,14 @@ this.ADB = {
               setupSocket();
             },
             function readError() {
-              deferred.reject("READ_FAILED");
+              deferred.reject(new SimulatorError("READ_FAILED", aFrom));
             }
           );
         }
       },
       function onFailure(reason) {
         debug(reason);
-        deferred.reject("CANT_ACCESS_FILE");
+        deferred.reject(new SimulatorError("CANT_ACCESS_FILE", aFrom));
       }
     );
 
@@ -728,7 +731,9 @@ this.ADB = {
     let deferred = Promise.defer();
     if (!this.ready) {
       let window = Services.wm.getMostRecentWindow("navigator:browser");
-      window.setTimeout(function() { deferred.reject("ADB_NOT_READY"); });
+      window.setTimeout(function() {
+        deferred.reject(new SimulatorError("ADB_NOT_READY"));
+      });
       return deferred.promise;
     }
 
@@ -745,7 +750,7 @@ this.ADB = {
 
     socket.onerror = function() {
       debug("runCommand onerror");
-      deferred.reject("NETWORK_ERROR");
+      deferred.reject(new SimulatorError("NETWORK_ERROR"));
     }
 
     socket.onclose = function() {
@@ -760,7 +765,7 @@ this.ADB = {
         socket.close();
         let packet = this._unpackPacket(data, false);
         debug("Error: " + packet.data);
-        deferred.reject("PROTOCOL_ERROR");
+        deferred.reject(new SimulatorError("PROTOCOL_ERROR", packet.data));
         return;
       }
 
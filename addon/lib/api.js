@@ -0,0 +1,281 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { Cu } = require("chrome");
+
+const { EventTarget } = require("sdk/event/target");
+const { emit, off } = require("sdk/event/core");
+const { Class } = require("sdk/core/heritage");
+const Promise = require("sdk/core/promise");
+const Simulator = require("simulator");
+const { SimulatorError } = require("./errors");
+
+Cu.import("resource://gre/modules/Services.jsm");
+
+// Version of the API, bumped when it changes in incompatible ways.
+const API_VERSION = 1;
+exports.API_VERSION = API_VERSION;
+
+// Topics of the notifications through which other addons get the API,
+// see doc/api.md.
+const API_REQUEST_TOPIC = "r2d2b2g:api-request";
+const API_READY_TOPIC = "r2d2b2g:api-ready";
+exports.API_REQUEST_TOPIC = API_REQUEST_TOPIC;
+exports.API_READY_TOPIC = API_READY_TOPIC;
+
+/**
+ * Promise-based API to drive the Simulator from other addons and scripts.
+ * Methods resolve once the Simulator is done and reject with
+ * a SimulatorError.  Emits "start" and "stop" when the Simulator starts
+ * and stops, "appOpen" and "appClose" with the app when one of the
+ * registered apps is opened or closed in it, and "permissionPrompt" when
+ * a permission prompt is answered by the prompt policy.
+ */
+const SimulatorAPI = Class({
+  extends: EventTarget,
+  initialize: function initialize(options) {
+    EventTarget.prototype.initialize.call(this, options);
+    this.version = API_VERSION;
+
+    // Listeners of the remote simulator client, removed by _destroy().
+    this._rsc = Simulator.remoteSimulator;
+    this._rscListeners = {
+      ready: (function() emit(this, "start")).bind(this),
+      exit: (function() emit(this, "stop")).bind(this),
+      appOpen: this._onAppEvent.bind(this, "appOpen"),
+      appClose: this._onAppEvent.bind(this, "appClose"),
+      permissionPrompt: this._onPermissionPrompt.bind(this)
+    };
+    for (let type in this._rscListeners) {
+      this._rsc.on(type, this._rscListeners[type]);
+    }
+  },
+
+  // Stop listening to the Simulator and remove the listeners of the API,
+  // once it's unregistered.
+  _destroy: function _destroy() {
+    for (let type in this._rscListeners) {
+      this._rsc.removeListener(type, this._rscListeners[type]);
+    }
+    this._rscListeners = {};
+    off(this);
+  },
+
+  get isRunning() Simulator.isRunning,
+
+  start: function start() {
+    return promised(function(next) Simulator.run(next));
+  },
+
+  stop: function stop() {
+    return promised(function(next) Simulator.kill(function() next()));
+  },
+
+  /**
+   * List the registered apps, see describeApp() for their properties.
+   */
+  listApps: function listApps() {
+    return Object.keys(Simulator.apps).
+      filter(function(id) !Simulator.apps[id].removed).
+      map(describeApp);
+  },
+
+  /**
+   * Register and install an app, from the `path` of its manifest.webapp or
+   * zip package, or from the `url` of its manifest or mini-manifest.
+   * The `type` of the app defaults to "local" (or "zip" for paths ending with
+   * ".zip") for paths, and to "hosted" for URLs; set it to "remote" for
+   * mini-manifests.  Resolves with the registered app.
+   */
+  addApp: function addApp({ path, url, type }) {
+    let id = path || url;
+    if (!type) {
+      type = url ? "hosted" : (/\.zip$/i.test(path) ? "zip" : "local");
+    }
+    return promised(function(next) {
+      Simulator.registerApp(id, type, function(error) next(error, id));
+    }).then(describeApp);
+  },
+
+  /**
+   * Install an app in the Simulator, or in the named `instance`.
+   */
+  install: function install(id, instance) {
+    return withApp(id, function(next) {
+      Simulator.updateApp(id, function(error) next(error, id), instance);
+    }).then(describeApp);
+  },
+
+  /**
+   * Reload the manifest (or package) of an app, validate it and reinstall it.
+   */
+  update: function update(id) {
+    return this.install(id);
+  },
+
+  /**
+   * Launch an app in the Simulator, or in the named `instance`.  Resolves
+   * once the app is open.
+   */
+  run: function run(id, instance) {
+    return withApp(id, function(next) {
+      Simulator.runApp(Simulator.apps[id], next, instance);
+    });
+  },
+
+  /**
+   * Uninstall an app and remove it from the registered apps.
+   */
+  remove: function remove(id) {
+    return withApp(id, function(next) {
+      Simulator.removeApp(id, function(error) {
+        if (!error) {
+          Simulator.removeAppFinal(id);
+        }
+        next(error);
+      });
+    });
+  },
+
+  /**
+   * Install an app on the device connected through ADB.
+   */
+  push: function push(id) {
+    return withApp(id, function(next) Simulator.pushAppToDevice(id, next));
+  },
+
+  /**
+   * Set how the permission prompts of the apps are answered: "prompt" to
+   * show them, "allow" or "deny" to answer them all, or "rules" to follow
+   * the rules set with setPermissionPromptRule().
+   */
+  setPermissionPromptPolicy: function setPermissionPromptPolicy(policy) {
+    return promised(function(next) {
+      Simulator.setPermissionPromptPolicy(policy);
+      next();
+    });
+  },
+
+  /**
+   * Answer the prompts for the permission `type` of an app with `decision`,
+   * "allow" or "deny", when the policy is "rules".  A null decision shows
+   * the prompts again.
+   */
+  setPermissionPromptRule: function setPermissionPromptRule(id, type,
+                                                            decision) {
+    return withApp(id, function(next) {
+      Simulator.setPermissionPromptRule(id, type, decision);
+      next();
+    });
+  },
+
+  _onAppEvent: function _onAppEvent(type, { manifestURL }) {
+    for (let id in Simulator.apps) {
+      if (Simulator.apps[id].manifestURL == manifestURL) {
+        emit(this, type, describeApp(id));
+        return;
+      }
+    }
+  },
+
+  _onPermissionPrompt: function _onPermissionPrompt(prompt) {
+    for (let id in Simulator.apps) {
+      if (Simulator.apps[id].origin == prompt.origin) {
+        emit(this, "permissionPrompt", {
+          app: describeApp(id),
+          permission: prompt.permission,
+          access: prompt.access,
+          decision: prompt.decision
+        });
+        return;
+      }
+    }
+  }
+});
+
+let gAPI = null;
+
+/**
+ * Get the API object, which is shared by all its consumers.
+ */
+function getAPI() {
+  if (!gAPI) {
+    gAPI = SimulatorAPI();
+  }
+  return gAPI;
+}
+exports.getAPI = getAPI;
+
+let requestObserver = {
+  observe: function(subject, topic, data) {
+    subject.wrappedJSObject.api = getAPI();
+  }
+};
+
+/**
+ * Make the API available to other addons: they get it synchronously by
+ * sending a API_REQUEST_TOPIC notification, or wait for the
+ * API_READY_TOPIC notification if they are loaded before this addon.
+ */
+exports.register = function register() {
+  Services.obs.addObserver(requestObserver, API_REQUEST_TOPIC, false);
+  Services.obs.notifyObservers({ wrappedJSObject: { api: getAPI() } },
+                               API_READY_TOPIC, null);
+};
+
+exports.unregister = function unregister() {
+  Services.obs.removeObserver(requestObserver, API_REQUEST_TOPIC);
+  if (gAPI) {
+    gAPI._destroy();
+    gAPI = null;
+  }
+};
+
+/**
+ * The public properties of a registered app.
+ */
+function describeApp(id) {
+  let app = Simulator.apps[id];
+  return {
+    id: id,
+    type: app.type,
+    name: app.name || (app.manifest && app.manifest.name) || null,
+    origin: app.origin || null,
+    manifestURL: app.manifestURL || null,
+    installed: !!app.installed,
+  };
+}
+
+/**
+ * Call fn(next) with a Node-style next(error, result) callback, and return
+ * a promise of its result.
+ */
+function promised(fn) {
+  let deferred = Promise.defer();
+  try {
+    fn(function(error, result) {
+      if (error) {
+        deferred.reject(SimulatorError.from(error));
+      } else {
+        deferred.resolve(result);
+      }
+    });
+  } catch(e) {
+    deferred.reject(SimulatorError.from(e));
+  }
+  return deferred.promise;
+}
+
+function withApp(id, fn) {
+  let app = Simulator.apps[id];
+  if (!app || app.removed) {
+    return promised(function(next) {
+      next(new SimulatorError("APP_NOT_FOUND", id));
+    });
+  }
+  return promised(fn);
+}
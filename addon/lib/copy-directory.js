@@ -0,0 +1,41 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { Cu } = require("chrome");
+
+const { OS } = Cu.import("resource://gre/modules/osfile.jsm", {});
+
+/**
+ * Copy a directory and its content off the main thread, one file at a time,
+ * like profiles which are too big to be copied synchronously.  Returns
+ * a promise (of OS.File) resolved once the copy is complete.
+ */
+function copyDirectory(sourcePath, destPath) {
+  let iterator = new OS.File.DirectoryIterator(sourcePath);
+
+  let copyEntries = function(entries) {
+    if (!entries.length) {
+      return null;
+    }
+    let entry = entries.shift();
+    let dest = OS.Path.join(destPath, entry.name);
+    let copy = entry.isDir ? copyDirectory(entry.path, dest) :
+                             OS.File.copy(entry.path, dest);
+    return copy.then(function() copyEntries(entries));
+  };
+
+  return OS.File.makeDir(destPath).then(function() {
+    return iterator.nextBatch();
+  }).then(function(entries) {
+    iterator.close();
+    return copyEntries(entries);
+  }, function(error) {
+    iterator.close();
+    throw error;
+  });
+}
+exports.copyDirectory = copyDirectory;
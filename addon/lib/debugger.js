@@ -11,12 +11,15 @@ const COMMONJS = ("require" in this);
 const TIMEOUT_DURATION = 15000; // ms
 
 let setTimeout, clearTimeout;
-let components;
+let components, SimulatorError;
 if (COMMONJS) {
   components = require("chrome").components;
   ({ setTimeout, clearTimeout }) = require("sdk/timers");
+  SimulatorError = require("./errors").SimulatorError;
 } else {
   components = Components;
+  ({ SimulatorError }) =
+    Components.utils.import("chrome://b2g-remote/content/errors.js", {});
   let { Loader, Require } =
     Cu.import('resource://gre/modules/commonjs/toolkit/loader.js').Loader;
 
@@ -68,9 +71,8 @@ this.Debugger = {
     let deferred = Promise.defer();
 
     let connectionTimer = setTimeout(function () {
-      let errorMsg = "Failed to connect to device: timeout";
-      dump(errorMsg + "\n");
-      deferred.reject(errorMsg);
+      dump("Failed to connect to device: timeout\n");
+      deferred.reject(new SimulatorError("DEBUGGER_TIMEOUT"));
     }, TIMEOUT_DURATION);
 
     // Not guaranteed to connect, Bug 883931
@@ -81,7 +83,7 @@ this.Debugger = {
           webappsActor = aResponse.webappsActor;
           deferred.resolve();
         } else {
-          deferred.reject();
+          deferred.reject(new SimulatorError("DEBUGGER_UNSUPPORTED"));
         }
       });
     });
@@ -97,7 +99,8 @@ this.Debugger = {
       function onResponse(aResponse) {
       dump("response=" + JSON.stringify(aResponse, null, 2) + "\n");
       if (aResponse.error) {
-        deferred.reject(aResponse.message);
+        deferred.reject(SimulatorError.fromResponse(aResponse,
+                                                    "DEBUGGER_REQUEST_FAILED"));
       } else {
         deferred.resolve();
       }
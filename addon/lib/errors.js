@@ -0,0 +1,306 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// Errors reported by the Simulator, with a stable code, a human readable
+// message and a suggested fix.
+//
+// Like adb.js and debugger.js, which import it, this file is also shipped
+// in b2g-remote (as chrome://b2g-remote/content/errors.js).
+
+'use strict';
+
+// Whether or not this script is being loaded as a CommonJS module
+// (from an addon built using the Add-on SDK).  If it isn't a CommonJS Module,
+// then it's a JavaScript Module.
+const COMMONJS = ("require" in this);
+
+if (!COMMONJS) {
+  this.EXPORTED_SYMBOLS = ["SimulatorError", "ERRORS"];
+}
+
+// Known errors, by code.  Codes are stable and may be compared by callers
+// and by the dashboard, messages and fixes are meant for the user.
+this.ERRORS = {
+  // Simulator
+  B2G_NOT_FOUND: {
+    message: "The Simulator executable was not found.",
+    fix: "Reinstall the Firefox OS Simulator add-on, it may be missing " +
+         "the files for your platform."
+  },
+  PROFILE_NOT_FOUND: {
+    message: "The Simulator profile to restore was not found.",
+    fix: "Take a new snapshot or reset the Simulator to factory settings."
+  },
+  PROFILE_RESTORE_FAILED: {
+    message: "The Simulator profile could not be restored.",
+    fix: "Check that there is enough disk space, or reset the Simulator " +
+         "to factory settings."
+  },
+  APP_NOT_FOUND: {
+    message: "The app is not registered in the Simulator.",
+    fix: "Add the app to the Simulator first."
+  },
+  APP_ALREADY_REGISTERED: {
+    message: "The app is already registered in the Simulator.",
+    fix: "Update the registered app instead of adding it again."
+  },
+  UNSUPPORTED_APP_TYPE: {
+    message: "This type of app can't be registered this way.",
+    fix: "Use a 'local', 'zip', 'hosted' or 'remote' app."
+  },
+  APP_NOT_INSTALLED: {
+    message: "The app is not installed in the Simulator.",
+    fix: "Click the app's Update button to reinstall it."
+  },
+  SIMULATOR_NOT_RUNNING: {
+    message: "The Simulator is not running.",
+    fix: "Start the Simulator and try again."
+  },
+  INSTALL_FAILED: {
+    message: "The Simulator could not install the app.",
+    fix: "Check the app's manifest and the Error Console for details."
+  },
+  APP_NOT_RUNNING: {
+    message: "The app is not running in the Simulator.",
+    fix: "Launch the app first."
+  },
+  RUN_FAILED: {
+    message: "The Simulator could not launch the app.",
+    fix: "Check that the app has a launch_path and try to reinstall it."
+  },
+
+  // Instances and snapshots
+  INVALID_NAME: {
+    message: "This name can't be used.",
+    fix: "Use only letters, digits, '-' and '_'."
+  },
+  INSTANCE_NOT_FOUND: {
+    message: "There is no Simulator instance with this name.",
+    fix: "Create the instance first, or check the name of the instance."
+  },
+  INSTANCE_EXISTS: {
+    message: "A Simulator instance with this name already exists.",
+    fix: "Choose another name, or remove the existing instance."
+  },
+  SIMULATOR_RUNNING: {
+    message: "The Simulator has to be stopped for this.",
+    fix: "Stop the Simulator and try again."
+  },
+  NO_PROFILE: {
+    message: "The Simulator hasn't been run yet, there is no profile.",
+    fix: "Run the Simulator once first."
+  },
+  SNAPSHOT_NOT_FOUND: {
+    message: "There is no profile snapshot with this name.",
+    fix: "Check the name of the snapshot, or take it first."
+  },
+  SNAPSHOT_EXISTS: {
+    message: "A profile snapshot with this name already exists.",
+    fix: "Choose another name, or remove the existing snapshot."
+  },
+  SNAPSHOT_FAILED: {
+    message: "The profile snapshot could not be taken.",
+    fix: "Check that there is enough disk space and try again."
+  },
+
+  // Receipts
+  RECEIPT_FAILED: {
+    message: "The test receipt could not be obtained.",
+    fix: "Check your network connection, or switch to the local receipt " +
+         "issuer in the Dashboard."
+  },
+
+  // Projects and exports
+  INVALID_PROJECT: {
+    message: "The project file is invalid.",
+    fix: "Check that the file was exported by the Simulator and is valid " +
+         "JSON."
+  },
+  WRITE_FAILED: {
+    message: "The file could not be written.",
+    fix: "Check that the directory exists and that you are allowed to " +
+         "write to it."
+  },
+  PACKAGE_FAILED: {
+    message: "The app's package could not be built.",
+    fix: "Check that you are allowed to read all the files of the app."
+  },
+  EXPORT_UNSUPPORTED: {
+    message: "Only packaged apps can be exported.",
+    fix: "Hosted apps are published from their own server."
+  },
+
+  // Manifests and packages
+  MANIFEST_NOT_FOUND: {
+    message: "The app's manifest is missing.",
+    fix: "Check that the manifest file or URL still exists, or remove " +
+         "the app and add it again."
+  },
+  MANIFEST_UNREADABLE: {
+    message: "The app's manifest could not be read.",
+    fix: "Check that the manifest is accessible and is valid JSON."
+  },
+  INVALID_MANIFEST: {
+    message: "The app's manifest is invalid.",
+    fix: "Fix the errors listed in the app's validation results."
+  },
+  HTTP_STATUS: {
+    message: "The server returned an unexpected status code.",
+    fix: "Check that the URL is correct and that the server is running."
+  },
+  BAD_CONTENT_TYPE: {
+    message: "The manifest was served with an unexpected Content-Type.",
+    fix: "Serve the manifest as 'application/x-web-app-manifest+json'."
+  },
+  INVALID_JSON: {
+    message: "The server did not return valid JSON.",
+    fix: "Check the syntax of the manifest or mini-manifest."
+  },
+  INVALID_PACKAGE: {
+    message: "The app's package is invalid.",
+    fix: "Check that the package is a zip file with a manifest.webapp at " +
+         "its root."
+  },
+  DOWNLOAD_FAILED: {
+    message: "The app's package could not be downloaded.",
+    fix: "Check the package_path of the mini-manifest and your network " +
+         "connection."
+  },
+
+  // ADB
+  ADB_NOT_READY: {
+    message: "ADB is not running.",
+    fix: "Install the ADB Helper add-on or start 'adb' yourself, then " +
+         "reconnect the device."
+  },
+  NETWORK_ERROR: {
+    message: "Could not connect to ADB.",
+    fix: "Restart the ADB server with 'adb kill-server' and reconnect " +
+         "the device."
+  },
+  PROTOCOL_ERROR: {
+    message: "ADB refused the command.",
+    fix: "Check that exactly one device is connected and that remote " +
+         "debugging is enabled in its Developer settings."
+  },
+  SOCKET_ERROR: {
+    message: "The connection to ADB failed while pushing a file.",
+    fix: "Reconnect the device and try again."
+  },
+  BAD_RESPONSE: {
+    message: "ADB returned an unexpected response while pushing a file.",
+    fix: "Reconnect the device and try again."
+  },
+  UNEXPECTED_STATE: {
+    message: "The transfer to the device ended in an unexpected state.",
+    fix: "Reconnect the device and try again."
+  },
+  CANT_PUSH_DIR: {
+    message: "Directories can't be pushed to the device.",
+    fix: "Push the files of the directory one by one."
+  },
+  CANT_ACCESS_FILE: {
+    message: "The file to push to the device could not be accessed.",
+    fix: "Check that the file exists and that you are allowed to read it."
+  },
+  READ_FAILED: {
+    message: "The file to push to the device could not be read.",
+    fix: "Check that you are allowed to read the file."
+  },
+
+  // Remote debugger
+  DEBUGGER_TIMEOUT: {
+    message: "Timed out connecting to the device's debugger.",
+    fix: "Enable remote debugging in the device's Developer settings and " +
+         "reconnect it."
+  },
+  DEBUGGER_UNSUPPORTED: {
+    message: "The device does not support installing apps remotely.",
+    fix: "Update the device to a newer build of Firefox OS."
+  },
+  DEBUGGER_REQUEST_FAILED: {
+    message: "The device refused the request.",
+    fix: "Check the device's log with 'adb logcat' for details."
+  },
+
+  // Settings
+  INVALID_SETTING: {
+    message: "This value is not supported for this Simulator setting.",
+    fix: "Use one of the values listed in the documentation of the setting."
+  },
+
+  UNKNOWN: {
+    message: "An unexpected error happened.",
+    fix: "Check the Error Console for details."
+  }
+};
+
+/**
+ * An error with a `code` from ERRORS, its `message` and `fix`, and an
+ * optional `detail` about this occurrence of the error (e.g. the URL that
+ * couldn't be fetched).  Unknown codes are reported as UNKNOWN.
+ */
+this.SimulatorError = function SimulatorError(code, detail) {
+  if (!(code in ERRORS)) {
+    detail = detail || code;
+    code = "UNKNOWN";
+  }
+  this.code = code;
+  this.message = ERRORS[code].message;
+  this.fix = ERRORS[code].fix;
+  this.detail = detail ? String(detail) : null;
+};
+
+SimulatorError.prototype = Object.create(Error.prototype);
+SimulatorError.prototype.constructor = SimulatorError;
+SimulatorError.prototype.name = "SimulatorError";
+
+SimulatorError.prototype.toString = function() {
+  return this.message + (this.detail ? " (" + this.detail + ")" : "");
+};
+
+// Plain object version of the error, to be posted to the dashboard.
+SimulatorError.prototype.toJSON = function() {
+  return {
+    code: this.code,
+    message: this.toString(),
+    fix: this.fix
+  };
+};
+
+/**
+ * Wrap any error (SimulatorError, Error, string...) into a SimulatorError,
+ * using `code` for the ones that aren't already SimulatorErrors.
+ */
+SimulatorError.from = function(error, code) {
+  if (error instanceof SimulatorError) {
+    return error;
+  }
+  let detail = error && error.message ? error.message : error;
+  return new SimulatorError(code || "UNKNOWN", detail);
+};
+
+// Errors returned by the Simulator actor, mapped to their codes.
+const ACTOR_ERRORS = {
+  "app-not-installed": "APP_NOT_INSTALLED",
+  "app-not-running": "APP_NOT_RUNNING"
+};
+
+/**
+ * Convert the error of a response of the Simulator actor, or of the webapps
+ * actor, into a SimulatorError, using `code` for unknown errors.
+ */
+SimulatorError.fromResponse = function(response, code) {
+  if (response.error in ACTOR_ERRORS) {
+    return new SimulatorError(ACTOR_ERRORS[response.error]);
+  }
+  return new SimulatorError(code || "UNKNOWN", response.message ?
+                            response.error + ": " + response.message :
+                            response.error);
+};
+
+if (COMMONJS) {
+  exports.ERRORS = this.ERRORS;
+  exports.SimulatorError = this.SimulatorError;
+}
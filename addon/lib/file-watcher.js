@@ -0,0 +1,167 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { Cc, Ci } = require("chrome");
+
+const { EventTarget } = require("sdk/event/target");
+const { emit } = require("sdk/event/core");
+const { Class } = require("sdk/core/heritage");
+const { setTimeout, clearTimeout } = require("sdk/timers");
+const File = require("file");
+const Ignore = require("./ignore");
+
+// How often (in ms) the watched path is scanned for changes.
+const POLL_INTERVAL = 1000;
+
+// The delay before the next scan is at least this many times the duration
+// of the last one, so that watching a large tree doesn't keep us busy.
+const SCAN_COST_FACTOR = 20;
+
+// How long (in ms) the watched path has to stay unchanged before a "change"
+// event is emitted, so that a burst of saves results in a single event.
+const DEBOUNCE_DELAY = 1000;
+
+/**
+ * Watches a file, or a directory recursively, and emits a "change" event
+ * once it has been modified and stayed unchanged for `debounceDelay` ms.
+ *
+ * Gecko doesn't provide a cross-platform file system watcher, so we poll
+ * the modification time and size of every entry.  Like archiveDir() does
+ * when packaging apps, hidden files, symlinks, special files and the files
+ * excluded by the Ignore.IGNORE_FILE of the directory are ignored, which
+ * also prevents editor swap files from triggering spurious changes.
+ */
+const FileWatcher = Class({
+  extends: EventTarget,
+  initialize: function initialize(options) {
+    EventTarget.prototype.initialize.call(this, options);
+    this.path = options.path;
+    this.pollInterval = options.pollInterval || POLL_INTERVAL;
+    this.debounceDelay = options.debounceDelay || DEBOUNCE_DELAY;
+    this._watching = false;
+    this._timeout = null;
+    this._lastChange = null;
+  },
+
+  get isWatching() this._watching,
+
+  start: function start() {
+    if (this._watching) {
+      return;
+    }
+    this._watching = true;
+    this._signature = this._computeSignature();
+    this._timeout = setTimeout(this._tick.bind(this), this.pollInterval);
+  },
+
+  stop: function stop() {
+    if (this._timeout) {
+      clearTimeout(this._timeout);
+      this._timeout = null;
+    }
+    this._watching = false;
+    this._lastChange = null;
+  },
+
+  _tick: function _tick() {
+    this._timeout = null;
+    let start = Date.now();
+    this._poll(start);
+
+    // The "change" listeners may have stopped the watcher.
+    if (this._watching) {
+      let delay = Math.max(this.pollInterval,
+                           (Date.now() - start) * SCAN_COST_FACTOR);
+      this._timeout = setTimeout(this._tick.bind(this), delay);
+    }
+  },
+
+  /**
+   * Scan the watched path, and emit a "change" event if it changed and
+   * then stayed unchanged for `debounceDelay` ms at time `now`.
+   */
+  _poll: function _poll(now) {
+    let signature = this._computeSignature();
+
+    if (signature != this._signature) {
+      // Still changing: wait for the burst of changes to settle down.
+      this._signature = signature;
+      this._lastChange = now;
+      return;
+    }
+
+    if (this._lastChange &&
+        now - this._lastChange >= this.debounceDelay) {
+      this._lastChange = null;
+      emit(this, "change", { path: this.path });
+    }
+  },
+
+  _computeSignature: function _computeSignature() {
+    let file = Cc["@mozilla.org/file/local;1"].createInstance(Ci.nsIFile);
+    file.initWithPath(this.path);
+
+    if (!file.exists()) {
+      return "";
+    }
+
+    let entries = [];
+    try {
+      if (file.isDirectory()) {
+        // The ignore file may have changed too, read it on every scan.
+        let rules = [];
+        let ignoreFile = File.join(this.path, Ignore.IGNORE_FILE);
+        if (File.exists(ignoreFile)) {
+          rules = Ignore.parse(File.read(ignoreFile));
+        }
+        collectEntries(file, "", rules, entries);
+      } else {
+        entries.push(file.path + ":" + file.lastModifiedTime + ":" +
+                     file.fileSize);
+      }
+    } catch(e) {
+      // Files can disappear while we walk the tree (e.g. an editor replacing
+      // a file on save), just report a change and retry on the next poll.
+      console.debug("FileWatcher: error scanning " + this.path + ": " + e);
+      return "error:" + Date.now();
+    }
+    return entries.join("\n");
+  },
+});
+
+/**
+ * Collect the signature of the entries of a directory which aren't ignored,
+ * `basePath` being the path of the directory relative to the watched one
+ * (with a trailing slash).
+ */
+function collectEntries(dir, basePath, rules, entries) {
+  let files = dir.directoryEntries;
+  while (files.hasMoreElements()) {
+    let file = files.getNext().QueryInterface(Ci.nsIFile);
+
+    if (file.isHidden() || file.isSymlink() || file.isSpecial()) {
+      continue;
+    }
+
+    let path = basePath + file.leafName;
+    let isDirectory = file.isDirectory();
+    if (Ignore.isIgnored(rules, path, isDirectory)) {
+      continue;
+    }
+
+    // The modification time of a directory changes whenever an entry is
+    // added or removed, including ignored ones, so only track its path.
+    if (isDirectory) {
+      entries.push(path + "/");
+      collectEntries(file, path + "/", rules, entries);
+    } else {
+      entries.push(path + ":" + file.lastModifiedTime + ":" + file.fileSize);
+    }
+  }
+}
+
+module.exports = FileWatcher;
@@ -0,0 +1,131 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+// Name of the file, at the root of a packaged app, listing the patterns
+// of the files to exclude from its archive.
+exports.IGNORE_FILE = ".simulatorignore";
+
+/**
+ * Parse gitignore-style patterns into a list of rules to be passed
+ * to isIgnored().
+ *
+ * Supported syntax:
+ * - blank lines and lines starting with '#' are ignored
+ * - a leading '!' negates the pattern
+ * - a trailing '/' only matches directories
+ * - patterns without a '/' match the name of a file at any level,
+ *   other patterns match its path relative to the app root
+ * - '*' and '?' match anything but '/', '**' matches across directories
+ */
+exports.parse = function(text) {
+  let rules = [];
+
+  text.split(/\r?\n/).forEach(function(line) {
+    let pattern = line.replace(/\s+$/, "");
+    if (!pattern || pattern[0] == "#") {
+      return;
+    }
+
+    let negate = false;
+    if (pattern[0] == "!") {
+      negate = true;
+      pattern = pattern.substring(1);
+    } else if (pattern[0] == "\\") {
+      // "\#" and "\!" escape a leading '#' or '!'
+      pattern = pattern.substring(1);
+    }
+
+    let dirOnly = false;
+    if (pattern[pattern.length - 1] == "/") {
+      dirOnly = true;
+      pattern = pattern.replace(/\/+$/, "");
+    }
+
+    let anchored = pattern.indexOf("/") != -1;
+    pattern = pattern.replace(/^\//, "");
+
+    if (!pattern) {
+      return;
+    }
+
+    rules.push({
+      pattern: line,
+      negate: negate,
+      dirOnly: dirOnly,
+      anchored: anchored,
+      regexp: globToRegExp(pattern)
+    });
+  });
+
+  return rules;
+};
+
+/**
+ * Check if a path, relative to the app root and using '/' as separator,
+ * is excluded by a list of rules.  As with gitignore, the last matching
+ * rule wins.
+ */
+exports.isIgnored = function(rules, path, isDirectory) {
+  let name = path.substring(path.lastIndexOf("/") + 1);
+  let ignored = false;
+
+  rules.forEach(function(rule) {
+    if (rule.dirOnly && !isDirectory) {
+      return;
+    }
+    if (rule.regexp.test(rule.anchored ? path : name)) {
+      ignored = !rule.negate;
+    }
+  });
+
+  return ignored;
+};
+
+function globToRegExp(glob) {
+  let source = "";
+
+  for (let i = 0; i < glob.length; i++) {
+    let c = glob[i];
+
+    if (c == "*") {
+      if (glob[i + 1] == "*") {
+        if (glob[i + 2] == "/") {
+          // "**/" matches zero or more directories
+          source += "(?:.*/)?";
+          i += 2;
+        } else {
+          source += ".*";
+          i += 1;
+        }
+      } else {
+        source += "[^/]*";
+      }
+    } else if (c == "?") {
+      source += "[^/]";
+    } else if (c == "[") {
+      let end = glob.indexOf("]", i + 1);
+      if (end == -1) {
+        source += "\\[";
+      } else {
+        let range = glob.substring(i + 1, end).replace(/^!/, "^")
+                                              .replace(/\\/g, "\\\\");
+        source += "[" + range + "]";
+        i = end;
+      }
+    } else if (c == "\\" && i + 1 < glob.length) {
+      source += escapeRegExp(glob[++i]);
+    } else {
+      source += escapeRegExp(c);
+    }
+  }
+
+  return new RegExp("^" + source + "$");
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\\/]/g, "\\$&");
+}
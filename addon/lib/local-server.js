@@ -0,0 +1,330 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { Cc, Ci, Cr, Cu } = require("chrome");
+
+const { EventTarget } = require("sdk/event/target");
+const { emit } = require("sdk/event/core");
+const { Class } = require("sdk/core/heritage");
+
+Cu.import("resource://gre/modules/Services.jsm");
+Cu.import("resource://gre/modules/NetUtil.jsm");
+Cu.import("resource://gre/modules/FileUtils.jsm");
+
+// Content types of the files served, by extension.  The ones missing here
+// are looked up by the MIME service.
+const CONTENT_TYPES = {
+  "webapp": "application/x-web-app-manifest+json",
+  "appcache": "text/cache-manifest",
+  "html": "text/html",
+  "htm": "text/html",
+  "js": "application/javascript",
+  "css": "text/css",
+  "json": "application/json",
+  "txt": "text/plain",
+  "xml": "application/xml",
+  "svg": "image/svg+xml",
+  "png": "image/png",
+  "jpg": "image/jpeg",
+  "jpeg": "image/jpeg",
+  "gif": "image/gif",
+  "ico": "image/x-icon",
+  "webp": "image/webp",
+  "woff": "application/font-woff",
+  "ttf": "application/x-font-ttf",
+  "ogg": "audio/ogg",
+  "oga": "audio/ogg",
+  "ogv": "video/ogg",
+  "mp3": "audio/mpeg",
+  "wav": "audio/wav",
+  "webm": "video/webm",
+  "mp4": "video/mp4",
+  "properties": "text/plain",
+  "zip": "application/zip",
+};
+
+const STATUS_TEXTS = {
+  200: "OK",
+  204: "No Content",
+  400: "Bad Request",
+  403: "Forbidden",
+  404: "Not Found",
+  405: "Method Not Allowed",
+  413: "Request Entity Too Large",
+  500: "Internal Server Error",
+};
+
+// Maximum size of the head of a request.
+const MAX_REQUEST_HEAD = 16384;
+
+// Maximum size of the body of a request to a path handler.
+const MAX_REQUEST_BODY = 65536;
+
+/**
+ * Get the content type of a file from its name.
+ */
+function getContentType(name) {
+  let extension = name.substring(name.lastIndexOf(".") + 1).toLowerCase();
+  if (extension in CONTENT_TYPES) {
+    return CONTENT_TYPES[extension];
+  }
+  try {
+    return Cc["@mozilla.org/mime;1"].getService(Ci.nsIMIMEService).
+           getTypeFromExtension(extension);
+  } catch(e) {
+    return "application/octet-stream";
+  }
+}
+exports.getContentType = getContentType;
+
+/**
+ * A minimal HTTP server serving the files of the `root` directory on
+ * localhost, so that a hosted app can be tested without a web server.
+ * Listens on `port`, or on any available port if not specified.  Files are
+ * served to GET and HEAD requests, directories are served as their
+ * index.html file.  Paths can also be handled by functions, see
+ * registerPathHandler().  Emits "request" with the method, path and status
+ * of each request.
+ */
+const LocalServer = Class({
+  extends: EventTarget,
+  initialize: function initialize(options) {
+    EventTarget.prototype.initialize.call(this, options);
+    this.root = options.root || null;
+    this.port = options.port || -1;
+    this._socket = null;
+    this._handlers = {};
+  },
+
+  get isRunning() !!this._socket,
+
+  get origin() "http://localhost:" + this.port,
+
+  /**
+   * Start listening, throws if the port is already in use.
+   */
+  start: function start() {
+    if (this._socket) {
+      return;
+    }
+    let socket = Cc["@mozilla.org/network/server-socket;1"].
+                 createInstance(Ci.nsIServerSocket);
+    // Only accept connections from the loopback interface.
+    socket.init(this.port, true, -1);
+    socket.asyncListen({
+      onSocketAccepted: this._onSocketAccepted.bind(this),
+      onStopListening: function() {}
+    });
+    this._socket = socket;
+    this.port = socket.port;
+    console.log("LocalServer serving " + (this.root || "handlers") + " on " +
+                this.origin);
+  },
+
+  stop: function stop() {
+    if (this._socket) {
+      this._socket.close();
+      this._socket = null;
+    }
+  },
+
+  /**
+   * Handle the requests to `path` (without its query string) with
+   * `handler`, whatever their method.  The handler is called with the
+   * `method`, `path`, `headers` (by lower case name) and `body` of the
+   * request, and returns the `status`, and optionally the `headers` and
+   * `body` of the response.  Pass a null handler to unregister it.
+   */
+  registerPathHandler: function registerPathHandler(path, handler) {
+    if (handler) {
+      this._handlers[path] = handler;
+    } else {
+      delete this._handlers[path];
+    }
+  },
+
+  _onSocketAccepted: function _onSocketAccepted(socket, transport) {
+    let input = transport.openInputStream(0, 0, 0).
+                QueryInterface(Ci.nsIAsyncInputStream);
+    let output = transport.openOutputStream(0, 0, 0);
+    let data = "";
+
+    let reader = {
+      onInputStreamReady: (function(stream) {
+        let available;
+        try {
+          available = stream.available();
+        } catch(e) {
+          // The connection was closed.
+          transport.close(Cr.NS_OK);
+          return;
+        }
+        data += NetUtil.readInputStreamToString(stream, available);
+
+        let end = data.indexOf("\r\n\r\n");
+        if (end == -1 && data.length < MAX_REQUEST_HEAD) {
+          input.asyncWait(reader, 0, 0, Services.tm.currentThread);
+          return;
+        }
+        let request = end == -1 ? null : parseHead(data.substring(0, end));
+        if (request) {
+          let length = parseInt(request.headers["content-length"], 10) || 0;
+          if (length > MAX_REQUEST_BODY) {
+            request.status = 413;
+          } else if (data.length - end - 4 < length) {
+            input.asyncWait(reader, 0, 0, Services.tm.currentThread);
+            return;
+          }
+          request.body = data.substr(end + 4, length);
+        }
+        this._respond(request, output, function() transport.close(Cr.NS_OK));
+      }).bind(this)
+    };
+    input.asyncWait(reader, 0, 0, Services.tm.currentThread);
+  },
+
+  _respond: function _respond(request, output, onDone) {
+    let { method, path } = request || {};
+    let status = 200;
+    let file = null;
+
+    if (!method || !path) {
+      status = 400;
+    } else if (request.status) {
+      status = request.status;
+    } else if (path.replace(/[?#].*$/, "") in this._handlers) {
+      this._respondWithHandler(request, output, onDone);
+      return;
+    } else if (method != "GET" && method != "HEAD") {
+      status = 405;
+    } else if (!this.root) {
+      status = 404;
+    } else {
+      file = this._getFile(path);
+      if (!file) {
+        status = 403;
+      } else if (!file.exists() || file.isDirectory()) {
+        status = 404;
+      }
+    }
+    emit(this, "request", { method: method, path: path, status: status });
+
+    let headers = "HTTP/1.1 " + status + " " + STATUS_TEXTS[status] + "\r\n" +
+                  "Connection: close\r\n" +
+                  "Cache-Control: no-cache\r\n";
+    let streams = Cc["@mozilla.org/io/multiplex-input-stream;1"].
+                  createInstance(Ci.nsIMultiplexInputStream);
+
+    if (status == 200) {
+      headers += "Content-Type: " + getContentType(file.leafName) + "\r\n" +
+                 "Content-Length: " + file.fileSize + "\r\n" +
+                 "Last-Modified: " +
+                 new Date(file.lastModifiedTime).toUTCString() + "\r\n\r\n";
+      streams.appendStream(stringStream(headers));
+      if (method == "GET") {
+        let fileStream = Cc["@mozilla.org/network/file-input-stream;1"].
+                         createInstance(Ci.nsIFileInputStream);
+        fileStream.init(file, FileUtils.MODE_RDONLY, 0, 0);
+        streams.appendStream(fileStream);
+      }
+    } else {
+      let body = status + " " + STATUS_TEXTS[status] + "\n";
+      headers += "Content-Type: text/plain\r\n" +
+                 "Content-Length: " + body.length + "\r\n\r\n";
+      streams.appendStream(stringStream(headers +
+                                        (method == "HEAD" ? "" : body)));
+    }
+
+    NetUtil.asyncCopy(streams, output, function(result) onDone());
+  },
+
+  _respondWithHandler: function _respondWithHandler(request, output, onDone) {
+    let response;
+    try {
+      response = this._handlers[request.path.replace(/[?#].*$/, "")](request);
+    } catch(e) {
+      console.error("LocalServer handler of " + request.path + " failed: " + e);
+      response = { status: 500 };
+    }
+    let status = response.status || 200;
+    let body = "body" in response ? response.body :
+               status + " " + STATUS_TEXTS[status] + "\n";
+    emit(this, "request", { method: request.method, path: request.path,
+                            status: status });
+
+    let headers = "HTTP/1.1 " + status + " " + STATUS_TEXTS[status] + "\r\n" +
+                  "Connection: close\r\n" +
+                  "Cache-Control: no-cache\r\n" +
+                  "Content-Length: " + body.length + "\r\n";
+    let responseHeaders = response.headers || {};
+    if (!("Content-Type" in responseHeaders)) {
+      headers += "Content-Type: text/plain\r\n";
+    }
+    Object.keys(responseHeaders).forEach(function(name) {
+      headers += name + ": " + responseHeaders[name] + "\r\n";
+    });
+
+    NetUtil.asyncCopy(stringStream(headers + "\r\n" +
+                                   (request.method == "HEAD" ? "" : body)),
+                      output, function(result) onDone());
+  },
+
+  /**
+   * Get the file served for a request path, or null if the path is outside
+   * of the root directory.
+   */
+  _getFile: function _getFile(path) {
+    path = path.replace(/[?#].*$/, "");
+    let segments;
+    try {
+      segments = path.split("/").map(decodeURIComponent);
+    } catch(e) {
+      return null;
+    }
+
+    let file = new FileUtils.File(this.root);
+    for (let i = 0; i < segments.length; i++) {
+      let segment = segments[i];
+      if (!segment || segment == ".") {
+        continue;
+      }
+      if (segment == ".." || /[\/\\]/.test(segment)) {
+        return null;
+      }
+      file.append(segment);
+    }
+
+    if (file.exists() && file.isDirectory()) {
+      file.append("index.html");
+    }
+    return file;
+  }
+});
+
+exports.LocalServer = LocalServer;
+
+// Parse the request line and the headers of a request.
+function parseHead(head) {
+  let lines = head.split("\r\n");
+  let [method, path] = lines.shift().split(" ");
+  let headers = {};
+  lines.forEach(function(line) {
+    let colon = line.indexOf(":");
+    if (colon > 0) {
+      headers[line.substring(0, colon).trim().toLowerCase()] =
+        line.substring(colon + 1).trim();
+    }
+  });
+  return { method: method, path: path, headers: headers };
+}
+
+function stringStream(string) {
+  let stream = Cc["@mozilla.org/io/string-input-stream;1"].
+               createInstance(Ci.nsIStringInputStream);
+  stream.setData(string, string.length);
+  return stream;
+}
@@ -15,8 +15,10 @@ const Menuitems = require("menuitems");
 const ContextMenu = require("context-menu");
 const Request = require('request').Request;
 const SStorage = require("simple-storage");
+const File = require("file");
 const Gcli = require('gcli');
 const Simulator = require("simulator.js");
+const SimulatorAPI = require("api");
 const Prefs = require("preferences-service");
 
 Cu.import("resource://gre/modules/Services.jsm");
@@ -50,11 +52,11 @@ function ensureXkeysValid() {
     // Give the app a new unique xkey.
     app.xkey = UUID.uuid().toString().slice(1, -1);
 
-    // For "local" (i.e. packaged) apps, make the origin and manifest URL match
+    // For packaged apps, make the origin and manifest URL match
     // the xkey, since we'll use the xkey as the ID of the app in
     // DOMApplicationRegistry, which expects each packaged app's origin to match
     // its ID.
-    if (app.type == "local") {
+    if (Simulator.isPackagedApp(app)) {
       app.origin = "app://" + app.xkey;
       app.manifestURL = app.origin + "/manifest.webapp";
     }
@@ -99,6 +101,15 @@ if (["install", "downgrade", "upgrade"].indexOf(Self.loadReason) >= 0) {
       SStorage.storage.needsUpdateAll = true;
     }
   }
+
+  // The working copy of the Simulator profile comes from the previous
+  // version of the addon, so replace it with the profile of this version,
+  // keeping a snapshot of it.  So do the profiles of named instances, which
+  // are replaced the next time they are started.
+  if (Self.loadReason != "install" && File.exists(Simulator.profileDir)) {
+    Simulator.resetProfileForUpgrade(lastVersion);
+  }
+  Simulator.resetInstanceProfiles();
 }
 
 switch (Self.loadReason) {
@@ -107,7 +118,20 @@ switch (Self.loadReason) {
     break;
 }
 
+// Serve again the directories of the locally served hosted apps.
+Simulator.restoreLocalServers();
+
+// Verify again the receipts of the local receipt issuer.
+Simulator.restoreReceiptIssuer();
+
+// Resume watching the source directories of the apps in "watch" mode.
+Simulator.restoreWatchers();
+
+// Make the API available to other addons.
+SimulatorAPI.register();
+
 exports.onUnload = function(reason) {
+  SimulatorAPI.unregister();
   Simulator.unload(reason);
 };
 
@@ -194,6 +218,218 @@ Gcli.addCommand({
   },
 });
 
+// Lookup function of the GCLI parameters selecting a registered app by name.
+function lookupApps() {
+  return Object.keys(Simulator.apps).
+    filter(function(id) !Simulator.apps[id].removed).
+    map(function(id) {
+      return { name: Simulator.apps[id].name || id, value: id };
+    });
+}
+
+Gcli.addCommand({
+  name: "firefoxos export",
+  description: "Export a packaged app and its mini-manifest for the Marketplace",
+  params: [
+    {
+      name: "app",
+      type: { name: "selection", lookup: lookupApps },
+      description: "The packaged app to export",
+    },
+    {
+      name: "directory",
+      type: "string",
+      description: "The directory to write the package and mini-manifest to",
+    },
+    {
+      name: "notes",
+      type: "string",
+      description: "Release notes of this version",
+      defaultValue: "",
+    },
+  ],
+  exec: function(args, context) {
+    let promise = context.createPromise();
+    Simulator.exportPackage(args.app, args.directory,
+                            { releaseNotes: args.notes },
+                            function(error, result) {
+      if (error) {
+        promise.resolve("Error exporting package: " + error);
+        return;
+      }
+      let output = "Exported " + result.package + " and " +
+                   result.miniManifest;
+      if (result.warnings.length) {
+        output += "\n" + result.warnings.join("\n");
+      }
+      promise.resolve(output);
+    });
+    return promise;
+  },
+});
+
+// Lookup function of the GCLI parameters selecting a named instance.
+function lookupInstances() {
+  return Object.keys(Simulator.instances).map(function(name) {
+    return { name: name, value: name };
+  });
+}
+
+// Output of the GCLI commands controlling an instance: `run(next)` runs
+// the command, and the output is the error it passes to next(), if any,
+// or `success`.
+function instanceCommandOutput(context, run, success) {
+  let promise = context.createPromise();
+  run(function(error) {
+    promise.resolve(error ? String(error) : success);
+  });
+  return promise;
+}
+
+Gcli.addCommand({
+  name: "firefoxos instance",
+  description: "Commands to control named Firefox OS Simulator instances",
+});
+
+Gcli.addCommand({
+  name: "firefoxos instance list",
+  description: "List the named Simulator instances",
+  params: [],
+  exec: function(args, context) {
+    let names = Object.keys(Simulator.instances);
+    if (!names.length) {
+      return "No Simulator instances.";
+    }
+    return names.map(function(name) {
+      let instance = Simulator.instances[name];
+      return name + (instance.screen ? " (" + instance.screen + ")" : "") +
+             ": " + (Simulator.isInstanceRunning(name) ? "running" : "stopped") +
+             ", " + instance.apps.length + " app(s)";
+    }).join("\n");
+  },
+});
+
+Gcli.addCommand({
+  name: "firefoxos instance create",
+  description: "Create a Simulator instance with its own profile",
+  params: [
+    {
+      name: "name",
+      type: "string",
+      description: "The name of the instance",
+    },
+    {
+      name: "screen",
+      type: "string",
+      description: "The screen size of the instance (e.g. 320x480)",
+      defaultValue: null,
+    },
+  ],
+  exec: function(args, context) {
+    try {
+      Simulator.createInstance(args.name, { screen: args.screen });
+    } catch(e) {
+      return String(e);
+    }
+    return "Created instance " + args.name + ".";
+  },
+});
+
+Gcli.addCommand({
+  name: "firefoxos instance remove",
+  description: "Stop and remove a Simulator instance and its profile",
+  params: [
+    {
+      name: "name",
+      type: { name: "selection", lookup: lookupInstances },
+      description: "The name of the instance",
+    },
+  ],
+  exec: function(args, context) {
+    return instanceCommandOutput(context, function(next) {
+      Simulator.removeInstance(args.name, next);
+    }, "Removed instance " + args.name + ".");
+  },
+});
+
+Gcli.addCommand({
+  name: "firefoxos instance start",
+  description: "Start a Simulator instance and install its apps",
+  params: [
+    {
+      name: "name",
+      type: { name: "selection", lookup: lookupInstances },
+      description: "The name of the instance",
+    },
+  ],
+  exec: function(args, context) {
+    return instanceCommandOutput(context, function(next) {
+      Simulator.startInstance(args.name, next);
+    }, "Started instance " + args.name + ".");
+  },
+});
+
+Gcli.addCommand({
+  name: "firefoxos instance stop",
+  description: "Stop a Simulator instance",
+  params: [
+    {
+      name: "name",
+      type: { name: "selection", lookup: lookupInstances },
+      description: "The name of the instance",
+    },
+  ],
+  exec: function(args, context) {
+    return instanceCommandOutput(context, function(next) {
+      Simulator.stopInstance(args.name, next);
+    }, "Stopped instance " + args.name + ".");
+  },
+});
+
+Gcli.addCommand({
+  name: "firefoxos instance install",
+  description: "Install a registered app in a Simulator instance",
+  params: [
+    {
+      name: "name",
+      type: { name: "selection", lookup: lookupInstances },
+      description: "The name of the instance",
+    },
+    {
+      name: "app",
+      type: { name: "selection", lookup: lookupApps },
+      description: "The app to install",
+    },
+  ],
+  exec: function(args, context) {
+    return instanceCommandOutput(context, function(next) {
+      Simulator.addAppToInstance(args.name, args.app, next);
+    }, "Installed " + args.app + " in instance " + args.name + ".");
+  },
+});
+
+Gcli.addCommand({
+  name: "firefoxos instance uninstall",
+  description: "Uninstall an app from a Simulator instance",
+  params: [
+    {
+      name: "name",
+      type: { name: "selection", lookup: lookupInstances },
+      description: "The name of the instance",
+    },
+    {
+      name: "app",
+      type: { name: "selection", lookup: lookupApps },
+      description: "The app to uninstall",
+    },
+  ],
+  exec: function(args, context) {
+    return instanceCommandOutput(context, function(next) {
+      Simulator.removeAppFromInstance(args.name, args.app, next);
+    }, "Uninstalled " + args.app + " from instance " + args.name + ".");
+  },
+});
+
 let PermissionSettings;
 try {
   PermissionSettings =
@@ -0,0 +1,60 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+/**
+ * Compare two versions of a manifest and return the list of changes,
+ * sorted by path.  Each change has the dotted `path` of the property
+ * (e.g. "icons.128"), its `type` ("added", "removed" or "changed"),
+ * and its `oldValue` and `newValue`.  Arrays are compared as a whole.
+ */
+exports.diff = function(oldManifest, newManifest) {
+  let changes = [];
+  diffValues(oldManifest || {}, newManifest || {}, "", changes);
+  return changes.sort(function(a, b) a.path < b.path ? -1 : 1);
+};
+
+/**
+ * Describe a change in a single line, e.g. '~ name: "Old" -> "New"'.
+ */
+exports.describe = function(change) {
+  switch (change.type) {
+    case "added":
+      return "+ " + change.path + ": " + JSON.stringify(change.newValue);
+    case "removed":
+      return "- " + change.path + ": " + JSON.stringify(change.oldValue);
+    default:
+      return "~ " + change.path + ": " + JSON.stringify(change.oldValue) +
+             " -> " + JSON.stringify(change.newValue);
+  }
+};
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function diffValues(oldValue, newValue, path, changes) {
+  if (isObject(oldValue) && isObject(newValue)) {
+    let prefix = path ? path + "." : "";
+    Object.keys(oldValue).forEach(function(key) {
+      if (!(key in newValue)) {
+        changes.push({ path: prefix + key, type: "removed",
+                       oldValue: oldValue[key], newValue: undefined });
+      }
+    });
+    Object.keys(newValue).forEach(function(key) {
+      if (!(key in oldValue)) {
+        changes.push({ path: prefix + key, type: "added",
+                       oldValue: undefined, newValue: newValue[key] });
+      } else {
+        diffValues(oldValue[key], newValue[key], prefix + key, changes);
+      }
+    });
+  } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+    changes.push({ path: path, type: "changed",
+                   oldValue: oldValue, newValue: newValue });
+  }
+}
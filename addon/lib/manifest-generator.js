@@ -0,0 +1,164 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const URL = require("url");
+
+// Link relations of the icons of a page, by order of preference for icons
+// of the same size (touch icons are usually PNGs made for homescreens).
+const ICON_RELS = ["apple-touch-icon", "apple-touch-icon-precomposed",
+                   "icon", "shortcut icon"];
+
+// Size assumed for icons that don't declare one.
+const DEFAULT_ICON_SIZES = {
+  "apple-touch-icon": 57,
+  "apple-touch-icon-precomposed": 57,
+  "icon": 16,
+  "shortcut icon": 16
+};
+
+// Size of the icons on the Firefox OS homescreen.
+const HOMESCREEN_ICON_SIZE = 60;
+
+// Length of the names that fit under the icons on the homescreen.
+const HOMESCREEN_NAME_LENGTH = 18;
+
+/**
+ * Collect the information about a page used to generate its manifest:
+ * its title, language, description, application name, theme color,
+ * viewport and icons.
+ */
+exports.extractPageInfo = function(doc) {
+  let info = {
+    title: doc.title ? doc.title.trim() : null,
+    lang: doc.documentElement && doc.documentElement.getAttribute("lang"),
+    description: null,
+    applicationName: null,
+    themeColor: null,
+    viewport: null,
+    icons: []
+  };
+
+  let metas = doc.getElementsByTagName("meta");
+  for (let i = 0; i < metas.length; i++) {
+    let name = (metas[i].getAttribute("name") || "").toLowerCase();
+    let content = (metas[i].getAttribute("content") || "").trim();
+    if (!content) {
+      continue;
+    }
+    switch (name) {
+      case "description":
+        info.description = content;
+        break;
+      case "application-name":
+      case "apple-mobile-web-app-title":
+        info.applicationName = info.applicationName || content;
+        break;
+      case "theme-color":
+        info.themeColor = content;
+        break;
+      case "viewport":
+        info.viewport = content;
+        break;
+    }
+  }
+
+  let links = doc.getElementsByTagName("link");
+  for (let i = 0; i < links.length; i++) {
+    let rel = (links[i].getAttribute("rel") || "").toLowerCase().trim();
+    let href = links[i].getAttribute("href");
+    if (ICON_RELS.indexOf(rel) != -1 && href) {
+      info.icons.push({
+        rel: rel,
+        href: href,
+        sizes: links[i].getAttribute("sizes") || null
+      });
+    }
+  }
+
+  return info;
+};
+
+/**
+ * Generate the manifest of the page at `pageUrl` from the information
+ * returned by extractPageInfo().  Returns the manifest and a list of
+ * warnings about the page for the user to review.
+ */
+exports.generate = function(info, pageUrl) {
+  let url = URL.URL(pageUrl);
+  let origin = url.toString().substring(0, url.lastIndexOf(url.path));
+  let warnings = [];
+
+  let name = info.applicationName || info.title || url.host;
+  if (name.length > HOMESCREEN_NAME_LENGTH) {
+    warnings.push("The name '" + name + "' is longer than " +
+                  HOMESCREEN_NAME_LENGTH + " characters, it will be " +
+                  "truncated on the homescreen.");
+  }
+
+  let manifest = {
+    name: name,
+    description: info.description || info.title || name,
+    default_locale: info.lang || "en",
+    launch_path: url.path || "/",
+    icons: {}
+  };
+
+  // Keep the preferred icon of each size.
+  let icons = {};
+  info.icons.forEach(function(icon) {
+    let src = URL.URL(icon.href, pageUrl).toString();
+    if (src.indexOf(origin + "/") == 0) {
+      src = src.substring(origin.length);
+    }
+    parseSizes(icon.sizes, DEFAULT_ICON_SIZES[icon.rel]).forEach(function(size) {
+      let current = icons[size];
+      if (!current ||
+          ICON_RELS.indexOf(icon.rel) < ICON_RELS.indexOf(current.rel)) {
+        icons[size] = { rel: icon.rel, src: src };
+      }
+    });
+  });
+  Object.keys(icons).forEach(function(size) {
+    manifest.icons[size] = icons[size].src;
+  });
+
+  let sizes = Object.keys(manifest.icons).map(Number);
+  if (!sizes.length) {
+    manifest.icons["16"] = "/favicon.ico";
+    warnings.push("The page doesn't declare any icon, /favicon.ico is used.");
+  }
+  if (!sizes.some(function(size) size >= HOMESCREEN_ICON_SIZE)) {
+    warnings.push("No icon of at least " + HOMESCREEN_ICON_SIZE + "px, " +
+                  "the icon will look blurry on the homescreen.");
+  }
+
+  if (info.themeColor) {
+    manifest.theme_color = info.themeColor;
+  }
+  if (!info.viewport) {
+    warnings.push("The page doesn't have a viewport meta tag, it may not " +
+                  "be laid out for a phone screen.");
+  }
+
+  return { manifest: manifest, warnings: warnings };
+};
+
+// Parse the sizes attribute of an icon ("32x32 64x64") into a list of widths,
+// ignoring "any" and invalid sizes.
+function parseSizes(sizes, defaultSize) {
+  if (!sizes) {
+    return [defaultSize];
+  }
+  let widths = [];
+  sizes.split(/\s+/).forEach(function(size) {
+    let match = /^(\d+)x\d+$/i.exec(size);
+    if (match) {
+      widths.push(parseInt(match[1], 10));
+    }
+  });
+  return widths;
+}
@@ -0,0 +1,105 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { EventTarget } = require("sdk/event/target");
+const { emit } = require("sdk/event/core");
+const { Class } = require("sdk/core/heritage");
+const { setInterval, clearInterval } = require("sdk/timers");
+const Request = require("./request").Request;
+
+// How often (in ms) the manifest is requested.
+const POLL_INTERVAL = 10000;
+
+/**
+ * Polls the manifest of a hosted app and emits a "change" event with
+ * the new `manifest` and its `etag` and `lastModified` validators when
+ * its content may have changed.
+ *
+ * Requests are conditional (If-None-Match/If-Modified-Since) when the
+ * server provided validators, so that unchanged manifests cost a 304.
+ * Servers that don't are detected by comparing the content of responses.
+ */
+const ManifestPoller = Class({
+  extends: EventTarget,
+  initialize: function initialize(options) {
+    EventTarget.prototype.initialize.call(this, options);
+    this.url = options.url;
+    this.pollInterval = options.pollInterval || POLL_INTERVAL;
+    // Validators of the version of the manifest already known, if any.
+    this.etag = options.etag || null;
+    this.lastModified = options.lastModified || null;
+    this._text = null;
+    this._interval = null;
+    this._polling = false;
+  },
+
+  get isWatching() !!this._interval,
+
+  start: function start() {
+    if (this._interval) {
+      return;
+    }
+    this._interval = setInterval(this.poll.bind(this), this.pollInterval);
+  },
+
+  stop: function stop() {
+    if (this._interval) {
+      clearInterval(this._interval);
+      this._interval = null;
+    }
+  },
+
+  poll: function poll() {
+    // Don't pile up requests to a slow server.
+    if (this._polling) {
+      return;
+    }
+    this._polling = true;
+
+    let headers = { "Cache-Control": "no-cache" };
+    if (this.etag) {
+      headers["If-None-Match"] = this.etag;
+    }
+    if (this.lastModified) {
+      headers["If-Modified-Since"] = this.lastModified;
+    }
+
+    Request({
+      url: this.url,
+      headers: headers,
+      onComplete: (function(response) {
+        this._polling = false;
+
+        if (response.status == 304) {
+          return;
+        }
+        if (response.status != 200 || !response.json) {
+          console.warn("ManifestPoller: unexpected response for " + this.url +
+                       ": " + response.status);
+          return;
+        }
+
+        // The content of the first response isn't known, consumers compare
+        // it to the manifest they have.
+        let changed = response.text !== this._text;
+        this._text = response.text;
+        this.etag = response.headers["ETag"] || null;
+        this.lastModified = response.headers["Last-Modified"] || null;
+
+        if (changed) {
+          emit(this, "change", {
+            manifest: response.json,
+            etag: this.etag,
+            lastModified: this.lastModified
+          });
+        }
+      }).bind(this)
+    }).get();
+  }
+});
+
+module.exports = ManifestPoller;
@@ -0,0 +1,74 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+// Default names of the files written when exporting a packaged app.
+exports.PACKAGE_NAME = "application.zip";
+exports.MINI_MANIFEST_NAME = "package.webapp";
+
+/**
+ * Generate the mini-manifest of a packaged app, as expected by the
+ * Marketplace and by navigator.mozApps.installPackage().
+ *
+ * @param manifest     the manifest.webapp of the app
+ * @param packagePath  the path (or URL) of the package, relative to the
+ *                     mini-manifest
+ * @param size         the size of the package in bytes
+ * @param releaseNotes optional release notes of this version
+ */
+exports.build = function(manifest, { packagePath, size, releaseNotes }) {
+  let miniManifest = {
+    name: manifest.name,
+    package_path: packagePath,
+    size: size,
+    version: manifest.version,
+    developer: manifest.developer,
+    release_notes: releaseNotes || "",
+  };
+
+  // Copy the properties that the Marketplace displays before installation.
+  if (manifest.locales) {
+    miniManifest.locales = {};
+    Object.keys(manifest.locales).forEach(function(locale) {
+      if (manifest.locales[locale].name) {
+        miniManifest.locales[locale] = { name: manifest.locales[locale].name };
+      }
+    });
+  }
+  if (manifest.icons) {
+    miniManifest.icons = manifest.icons;
+  }
+
+  return miniManifest;
+};
+
+/**
+ * Check a mini-manifest for the properties needed to install and update
+ * the packaged app it describes.  Returns the lists of `errors`, which
+ * prevent installing the app, and of `warnings`.
+ */
+exports.validate = function(miniManifest) {
+  let errors = [];
+  let warnings = [];
+
+  if (!miniManifest.name) {
+    errors.push("Missing mandatory 'name' in mini-manifest.");
+  }
+  if (!miniManifest.package_path) {
+    errors.push("Missing mandatory 'package_path' in mini-manifest.");
+  }
+  if (!miniManifest.version) {
+    warnings.push("Missing 'version' in mini-manifest (needed for app updates " +
+                "on the Marketplace).");
+  }
+  if ("size" in miniManifest &&
+      (typeof miniManifest.size !== "number" || miniManifest.size < 0)) {
+    errors.push("Invalid 'size' in mini-manifest: '" + miniManifest.size +
+                "'.");
+  }
+
+  return { errors: errors, warnings: warnings };
+};
@@ -0,0 +1,134 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { Cc, Ci } = require("chrome");
+const JsonLint = require("jsonlint/jsonlint");
+
+// Version of the project file format written by serialize().
+const PROJECT_VERSION = 1;
+exports.PROJECT_VERSION = PROJECT_VERSION;
+
+// Types of the apps registered by the path of a file (their manifest.webapp
+// or their archive), the other ones are registered by a URL.
+const FILE_APP_TYPES = ["local", "zip"];
+const URL_APP_TYPES = ["hosted", "generated", "remote"];
+
+// Per-app settings saved in project files.
+const APP_SETTINGS = ["receiptType", "watch", "autoReinstall",
+                      "permissionOverrides", "permissionPromptRules"];
+exports.APP_SETTINGS = APP_SETTINGS;
+
+/**
+ * Serialize the app registry to a project file saved at `projectPath`.
+ * Paths are stored relative to the directory of the project file, so that
+ * it can be shared along with the source of the apps.  Removed apps are
+ * left out.
+ */
+exports.serialize = function(apps, projectPath) {
+  let projectDir = getFile(projectPath).parent;
+
+  let entries = Object.keys(apps).filter(function(id) !apps[id].removed).
+    map(function(id) {
+      let app = apps[id];
+      let entry = { type: app.type };
+
+      if (FILE_APP_TYPES.indexOf(app.type) != -1) {
+        entry.path = getFile(id).getRelativeDescriptor(projectDir);
+      } else {
+        entry.url = id;
+      }
+      if (app.type == "generated") {
+        // Generated manifests can't be fetched again.
+        entry.manifest = app.manifest;
+      }
+
+      let settings = {};
+      APP_SETTINGS.forEach(function(name) {
+        if (app[name] !== undefined && app[name] !== null) {
+          settings[name] = app[name];
+        }
+      });
+      entry.settings = settings;
+
+      return entry;
+    });
+
+  return JSON.stringify({ version: PROJECT_VERSION, apps: entries }, null, 2);
+};
+
+/**
+ * Parse a project file loaded from `projectPath` into a list of entries
+ * with the registry id, type, settings (and manifest for generated apps)
+ * of each app.  Throws if the project file is invalid.
+ */
+exports.parse = function(text, projectPath) {
+  let projectDir = getFile(projectPath).parent;
+  let project = JsonLint.parse(text);
+
+  if (!project || !Array.isArray(project.apps)) {
+    throw Error("Missing 'apps' list in project file.");
+  }
+  if (project.version > PROJECT_VERSION) {
+    throw Error("Unsupported project file version: '" + project.version +
+                "'.");
+  }
+
+  return project.apps.map(function(entry, index) {
+    let id;
+
+    if (FILE_APP_TYPES.indexOf(entry.type) != -1) {
+      if (!entry.path) {
+        throw Error("Missing 'path' of app #" + index + " in project file.");
+      }
+      id = resolvePath(projectDir, entry.path);
+    } else if (URL_APP_TYPES.indexOf(entry.type) != -1) {
+      if (!entry.url) {
+        throw Error("Missing 'url' of app #" + index + " in project file.");
+      }
+      if (entry.type == "generated" && !entry.manifest) {
+        throw Error("Missing 'manifest' of app #" + index +
+                    " in project file.");
+      }
+      id = entry.url;
+    } else {
+      throw Error("Unknown type of app #" + index + " in project file: '" +
+                  entry.type + "'.");
+    }
+
+    let settings = {};
+    APP_SETTINGS.forEach(function(name) {
+      if (entry.settings && name in entry.settings) {
+        settings[name] = entry.settings[name];
+      }
+    });
+
+    return {
+      id: id,
+      type: entry.type,
+      manifest: entry.manifest || null,
+      settings: settings
+    };
+  });
+};
+
+function getFile(path) {
+  let file = Cc["@mozilla.org/file/local;1"].createInstance(Ci.nsIFile);
+  file.initWithPath(path);
+  return file;
+}
+
+// Resolve a path relative to the directory of the project file, absolute
+// paths written by hand are used as-is.
+function resolvePath(projectDir, path) {
+  let file = Cc["@mozilla.org/file/local;1"].createInstance(Ci.nsIFile);
+  try {
+    file.initWithPath(path);
+  } catch(e) {
+    file.setRelativeDescriptor(projectDir, path);
+  }
+  return file.path;
+}
@@ -0,0 +1,443 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { Cc, Ci, Cr } = require("chrome");
+
+const { Class } = require("sdk/core/heritage");
+const UUID = require("sdk/util/uuid");
+const Base64 = require("sdk/base64");
+const { LocalServer } = require("./local-server");
+
+const IdentityCrypto = Cc["@mozilla.org/identity/crypto-service;1"].
+                       getService(Ci.nsIIdentityCryptoService);
+
+// The types of test receipts, as on the Marketplace test receipt server.
+const RECEIPT_TYPES = ["ok", "expired", "invalid", "refunded"];
+exports.RECEIPT_TYPES = RECEIPT_TYPES;
+
+// Path of the verification endpoint, followed by the receipt type.
+const VERIFY_PATH = "/receipts/verify/";
+
+// Validity of the receipts, in seconds.
+const RECEIPT_LIFETIME = 365 * 24 * 60 * 60;
+
+// DER encoded DigestInfo of a SHA-256 hash, which prefixes the hash
+// in RS256 signatures (RFC 3447, section 9.2).
+const SHA256_DIGEST_INFO = "3031300d060960864801650304020105000420";
+
+/**
+ * Issue test receipts signed with a local keypair, like the Marketplace
+ * test receipt server but without network access, and serve the
+ * verification endpoint of the receipts on localhost.
+ *
+ * The public keys of the keypairs are kept in `keys` (indexed by key id),
+ * and the verification endpoint listens on `port` if specified, so that
+ * receipts issued in a previous session can still be verified.  Keys that
+ * haven't signed a receipt for longer than the lifetime of the receipts
+ * are dropped, since none of their receipts can still be valid.
+ */
+const ReceiptIssuer = Class({
+  initialize: function initialize(options) {
+    this.keys = options.keys || {};
+    this.port = options.port || -1;
+    this._server = null;
+    this._keyPair = null;
+    this._pruneKeys(Date.now());
+  },
+
+  get isRunning() !!this._server,
+
+  get origin() "http://localhost:" + this.port,
+
+  /**
+   * Start the verification endpoint.  Falls back to any available port if
+   * `port` is already in use.
+   */
+  start: function start() {
+    if (this._server) {
+      return;
+    }
+    let server = new LocalServer({ port: this.port });
+    try {
+      server.start();
+    } catch(e) {
+      console.warn("Port " + this.port + " of the receipt verifier is " +
+                   "unavailable, previous receipts won't verify: " + e);
+      server = new LocalServer({});
+      server.start();
+    }
+    RECEIPT_TYPES.forEach(function(type) {
+      server.registerPathHandler(VERIFY_PATH + type,
+                                 this._handleVerify.bind(this));
+    }, this);
+    this._server = server;
+    this.port = server.port;
+  },
+
+  stop: function stop() {
+    if (this._server) {
+      this._server.stop();
+      this._server = null;
+    }
+  },
+
+  /**
+   * Issue a receipt of `type` for the app whose manifest is at (or whose
+   * origin is) `productURL`.  Calls `cb` with an error message or null and
+   * the receipt.  Invalid receipts are signed with a key that is unknown
+   * to the verifier, expired receipts expired the day before.
+   *
+   * The optional `claims` override the claims of the receipt, to test edge
+   * cases of receipt verification: `product` is the product URL, `user`
+   * the user identifier, and other claims (e.g. `exp`) replace the claim
+   * of the same name.
+   */
+  issue: function issue(productURL, type, claims, cb) {
+    if (RECEIPT_TYPES.indexOf(type) == -1) {
+      cb("unknown receipt type " + type, null);
+      return;
+    }
+    this.start();
+
+    let now = Math.floor(Date.now() / 1000);
+    let issuedAt = type == "expired" ? now - RECEIPT_LIFETIME - 86400 : now;
+    let payload = {
+      typ: "test-receipt",
+      product: { url: productURL, storedata: "id=0" },
+      user: { type: "directed-identifier", value: uuid() },
+      iss: this.origin,
+      nbf: issuedAt,
+      iat: issuedAt,
+      exp: issuedAt + RECEIPT_LIFETIME,
+      verify: this.origin + VERIFY_PATH + type
+    };
+    for (let name in claims) {
+      if (name == "product") {
+        payload.product.url = claims.product;
+      } else if (name == "user") {
+        payload.user.value = claims.user;
+      } else {
+        payload[name] = claims[name];
+      }
+    }
+
+    let getKeyPair = type == "invalid" ? generateKeyPair :
+                     this._getKeyPair.bind(this);
+    getKeyPair((function(error, keyPair, kid) {
+      if (error) {
+        cb("can't generate the signing key: " + error, null);
+        return;
+      }
+      if (kid in this.keys) {
+        this.keys[kid].lastUsed = Date.now();
+      }
+      sign({ alg: "RS256", typ: "JWT", kid: kid }, payload, keyPair, cb);
+    }).bind(this));
+  },
+
+  /**
+   * Verify a receipt, returns the response of the verification endpoint:
+   * an object with the `status` of the receipt ("ok", "expired", "invalid"
+   * or "refunded") and the `reason` of invalid receipts.
+   */
+  verify: function verify(receipt) {
+    return verifyReceipt(receipt, this.keys, Date.now());
+  },
+
+  _handleVerify: function _handleVerify(request) {
+    let headers = {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "POST",
+      "Access-Control-Allow-Headers": "Content-Type"
+    };
+    if (request.method == "OPTIONS") {
+      return { status: 204, headers: headers, body: "" };
+    }
+    if (request.method != "POST") {
+      return { status: 405, headers: headers };
+    }
+
+    let result = this.verify(request.body.trim());
+    let verifyURL = this.origin + request.path.replace(/[?#].*$/, "");
+    let receipt = decodeReceipt(request.body.trim());
+    if (result.status != "invalid" && receipt.payload.verify != verifyURL) {
+      result = { status: "invalid", reason: "receipt of another verifier" };
+    }
+    headers["Content-Type"] = "application/json";
+    return { status: 200, headers: headers, body: JSON.stringify(result) };
+  },
+
+  // Get the keypair signing the receipts of this session, and its key id.
+  _getKeyPair: function _getKeyPair(cb) {
+    if (this._keyPair) {
+      cb(null, this._keyPair.keyPair, this._keyPair.kid);
+      return;
+    }
+    generateKeyPair((function(error, keyPair, kid) {
+      if (!error) {
+        this._keyPair = { keyPair: keyPair, kid: kid };
+        this.keys[kid] = {
+          n: keyPair.hexRSAPublicKeyModulus,
+          e: keyPair.hexRSAPublicKeyExponent,
+          lastUsed: Date.now()
+        };
+      }
+      cb(error, keyPair, kid);
+    }).bind(this));
+  },
+
+  // Drop the keys that last signed a receipt more than a receipt lifetime
+  // before `now`.  Keys kept before their use was recorded count as used
+  // `now`.
+  _pruneKeys: function _pruneKeys(now) {
+    for (let kid in this.keys) {
+      let key = this.keys[kid];
+      if (!key.lastUsed) {
+        key.lastUsed = now;
+      } else if (key.lastUsed + RECEIPT_LIFETIME * 1000 < now) {
+        delete this.keys[kid];
+      }
+    }
+  }
+});
+
+exports.ReceiptIssuer = ReceiptIssuer;
+
+/**
+ * Decode a receipt, with or without its certificate ("cert~receipt"), into
+ * its JWT `header` and `payload`, the `signature` and the `signingInput`
+ * it signs.  Returns null if the receipt is malformed.
+ */
+function decodeReceipt(receipt) {
+  let jwt = String(receipt).split("~").pop();
+  let parts = jwt.split(".");
+  if (parts.length != 3) {
+    return null;
+  }
+  try {
+    return {
+      header: JSON.parse(base64UrlDecode(parts[0], "utf-8")),
+      payload: JSON.parse(base64UrlDecode(parts[1], "utf-8")),
+      signature: base64UrlDecode(parts[2]),
+      signingInput: parts[0] + "." + parts[1]
+    };
+  } catch(e) {
+    return null;
+  }
+}
+exports.decodeReceipt = decodeReceipt;
+
+/**
+ * Verify a receipt against the public keys indexed by key id, at time `now`
+ * (in milliseconds).  Returns the `status` of the receipt, and the `reason`
+ * of invalid receipts.  The status of receipts that are otherwise valid is
+ * the type at the end of their verification URL.
+ */
+function verifyReceipt(receipt, keys, now) {
+  let decoded = decodeReceipt(receipt);
+  if (!decoded) {
+    return { status: "invalid", reason: "malformed receipt" };
+  }
+  let { header, payload } = decoded;
+  if (header.alg != "RS256" || !keys[header.kid]) {
+    return { status: "invalid", reason: "unknown signing key" };
+  }
+  if (!checkSignature(decoded.signingInput, decoded.signature,
+                      keys[header.kid])) {
+    return { status: "invalid", reason: "bad signature" };
+  }
+  if (!payload.product || !payload.product.url || !payload.verify) {
+    return { status: "invalid", reason: "missing product or verify URL" };
+  }
+  if (payload.exp * 1000 < now) {
+    return { status: "expired" };
+  }
+  let type = payload.verify.substring(payload.verify.lastIndexOf("/") + 1);
+  return { status: type == "refunded" ? "refunded" : "ok" };
+}
+exports.verifyReceipt = verifyReceipt;
+
+function uuid() {
+  return UUID.uuid().toString().replace(/[{}]/g, "");
+}
+
+// Generate an RS256 keypair, and call `cb` with an error or null, the
+// keypair and a new key id.
+function generateKeyPair(cb) {
+  IdentityCrypto.generateKeyPair("RS256", {
+    generateKeyPairFinished: function(rv, keyPair) {
+      if (rv != Cr.NS_OK) {
+        cb("error " + rv, null, null);
+        return;
+      }
+      cb(null, keyPair, uuid());
+    }
+  });
+}
+
+// Sign the JWT of `header` and `payload` with `keyPair`, and call `cb`
+// with an error or null and the JWT.
+function sign(header, payload, keyPair, cb) {
+  let signingInput =
+    IdentityCrypto.base64UrlEncode(JSON.stringify(header)).replace(/=+$/, "") +
+    "." +
+    IdentityCrypto.base64UrlEncode(JSON.stringify(payload)).replace(/=+$/, "");
+  keyPair.sign(signingInput, {
+    signFinished: function(rv, signature) {
+      if (rv != Cr.NS_OK) {
+        cb("can't sign the receipt: error " + rv, null);
+        return;
+      }
+      cb(null, signingInput + "." + signature.replace(/=+$/, ""));
+    }
+  });
+}
+
+function base64UrlDecode(data, charset) {
+  data = data.replace(/-/g, "+").replace(/_/g, "/");
+  while (data.length % 4) {
+    data += "=";
+  }
+  return Base64.decode(data, charset);
+}
+
+function sha256Hex(string) {
+  let hash = Cc["@mozilla.org/security/hash;1"].
+             createInstance(Ci.nsICryptoHash);
+  hash.init(Ci.nsICryptoHash.SHA256);
+  let bytes = [];
+  for (let i = 0; i < string.length; i++) {
+    bytes.push(string.charCodeAt(i));
+  }
+  hash.update(bytes, bytes.length);
+  return binaryToHex(hash.finish(false));
+}
+
+function binaryToHex(binary) {
+  let hex = "";
+  for (let i = 0; i < binary.length; i++) {
+    hex += ("0" + binary.charCodeAt(i).toString(16)).slice(-2);
+  }
+  return hex;
+}
+
+// Check the RS256 `signature` (a binary string) of `signingInput` with
+// the public key {n, e} (hex modulus and exponent).
+function checkSignature(signingInput, signature, key) {
+  let modulus = bigFromHex(key.n);
+  let length = Math.ceil(bigBitLength(modulus) / 8);
+  let expected = "0001" +
+    new Array(length - 3 - SHA256_DIGEST_INFO.length / 2 - 32 + 1).join("ff") +
+    "00" + SHA256_DIGEST_INFO + sha256Hex(signingInput);
+
+  let message = bigModPow(bigFromHex(binaryToHex(signature)),
+                          bigFromHex(key.e), modulus);
+  return bigToHex(message, length * 2) == expected;
+}
+
+// Unsigned big integers, as little endian arrays of 16 bit digits, just
+// enough to check RSA signatures.
+
+function bigFromHex(hex) {
+  let digits = [];
+  for (let end = hex.length; end > 0; end -= 4) {
+    digits.push(parseInt(hex.substring(Math.max(0, end - 4), end), 16));
+  }
+  return bigTrim(digits);
+}
+
+function bigToHex(a, length) {
+  let hex = a.map(function(digit) ("000" + digit.toString(16)).slice(-4)).
+            reverse().join("").replace(/^0+/, "");
+  while (hex.length < length) {
+    hex = "0" + hex;
+  }
+  return hex;
+}
+
+function bigTrim(a) {
+  while (a.length && !a[a.length - 1]) {
+    a.pop();
+  }
+  return a;
+}
+
+function bigBitLength(a) {
+  if (!a.length) {
+    return 0;
+  }
+  return (a.length - 1) * 16 + a[a.length - 1].toString(2).length;
+}
+
+function bigCompare(a, b) {
+  if (a.length != b.length) {
+    return a.length - b.length;
+  }
+  for (let i = a.length - 1; i >= 0; i--) {
+    if (a[i] != b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return 0;
+}
+
+function bigMultiply(a, b) {
+  let result = [];
+  for (let i = 0; i < a.length + b.length; i++) {
+    result.push(0);
+  }
+  for (let i = 0; i < a.length; i++) {
+    let carry = 0;
+    for (let j = 0; j < b.length; j++) {
+      let t = result[i + j] + a[i] * b[j] + carry;
+      result[i + j] = t % 0x10000;
+      carry = Math.floor(t / 0x10000);
+    }
+    result[i + b.length] = carry;
+  }
+  return bigTrim(result);
+}
+
+// The remainder of a divided by n, by binary long division.
+function bigMod(a, n) {
+  let r = [];
+  for (let i = bigBitLength(a) - 1; i >= 0; i--) {
+    // r = r * 2 + (bit i of a)
+    let carry = (a[i >> 4] >> (i & 15)) & 1;
+    for (let k = 0; k < r.length; k++) {
+      let t = (r[k] << 1) | carry;
+      r[k] = t & 0xffff;
+      carry = t >> 16;
+    }
+    if (carry) {
+      r.push(carry);
+    }
+
+    if (bigCompare(r, n) >= 0) {
+      let borrow = 0;
+      for (let k = 0; k < r.length; k++) {
+        let t = r[k] - (n[k] || 0) - borrow;
+        borrow = t < 0 ? 1 : 0;
+        r[k] = t < 0 ? t + 0x10000 : t;
+      }
+      bigTrim(r);
+    }
+  }
+  return r;
+}
+
+function bigModPow(base, exponent, n) {
+  let result = [1];
+  base = bigMod(base, n);
+  for (let i = bigBitLength(exponent) - 1; i >= 0; i--) {
+    result = bigMod(bigMultiply(result, result), n);
+    if ((exponent[i >> 4] >> (i & 15)) & 1) {
+      result = bigMod(bigMultiply(result, base), n);
+    }
+  }
+  return result;
+}
@@ -18,6 +18,9 @@ const Self = require("self");
 const URL = require("url");
 const Subprocess = require("subprocess");
 const { setTimeout, clearTimeout } = require("sdk/timers");
+const { SimulatorError } = require("./errors");
+const { copyDirectory } = require("./copy-directory");
+const { OS } = Cu.import("resource://gre/modules/osfile.jsm", {});
 
 const { rootURI: ROOT_URI } = require('@loader/options');
 const PROFILE_URL = ROOT_URI + "profile/";
@@ -51,6 +54,14 @@ const RemoteSimulatorClient = Class({
   extends: EventTarget,
   initialize: function initialize(options) {
     this._appUpdateHandler = options.appUpdateHandler;
+    // Path of the profile to run b2g with (defaults to the addon's profile)
+    // and optional screen size (e.g. "320x480", "qHD@240"), used to run
+    // several isolated instances side by side.
+    this._profile = options.profile || null;
+    this._screen = options.screen || null;
+    // Path of a profile to replace the profile with on the next run,
+    // see _prepareProfile().
+    this.pendingProfileRestore = options.pendingProfileRestore || null;
     EventTarget.prototype.initialize.call(this, options);
     this._hookInternalEvents();
   },
@@ -59,11 +70,13 @@ const RemoteSimulatorClient = Class({
   // TODO: remove them when bug 800447 is fixed.
   _clientConnecting: false,
   _clientConnected: false,
+  // Whether the profile is being copied before b2g is started.
+  _preparingProfile: false,
 
   // check if b2g is running and connected
   get isConnected() this._clientConnected,
-  // check if b2g is running
-  get isRunning() !!this.process,
+  // check if b2g is running, or about to once its profile is prepared
+  get isRunning() !!this.process || this._preparingProfile,
   // check if the remote is connected and fully initialized
   // (means that we can start using the client!)
   get isReady() !!this._remote,
@@ -145,9 +158,14 @@ const RemoteSimulatorClient = Class({
   },
 
   /**
-   * Start the process and connect the debugger client.
+   * Start the process and connect the debugger client, once the profile is
+   * prepared.  Calls `onError` with the error if it can't be started.
    */
-  run: function() {
+  run: function(onError) {
+    onError = onError || function(error) {
+      console.error("Error starting the Simulator: " + error);
+    };
+
     // resolve b2g binaries path (raise exception if not found)
     let b2gExecutable = this.b2gExecutable;
 
@@ -156,6 +174,25 @@ const RemoteSimulatorClient = Class({
       this.process.kill();
     }
 
+    if (this._preparingProfile) {
+      return;
+    }
+    this._preparingProfile = true;
+    this._prepareProfile((function(error) {
+      this._preparingProfile = false;
+      if (error) {
+        onError(error);
+        return;
+      }
+      try {
+        this._spawn(b2gExecutable);
+      } catch(e) {
+        onError(e);
+      }
+    }).bind(this));
+  },
+
+  _spawn: function(b2gExecutable) {
     this.once("stdout", function () {
       if (Runtime.OS == "Darwin") {
           console.debug("WORKAROUND run osascript to show b2g-desktop window"+
@@ -212,6 +249,55 @@ const RemoteSimulatorClient = Class({
     this.connectDebuggerClient();
   },
 
+  // Create the profile from the addon's pristine profile if it doesn't exist
+  // yet, or replace it with the pending profile to restore, if any.  The
+  // copy is made off the main thread, `next` is called with an error or
+  // null once the profile is ready.
+  _prepareProfile: function(next) {
+    if (!this._profile) {
+      // running the addon's profile itself
+      next(null);
+      return;
+    }
+
+    let profile = Cc["@mozilla.org/file/local;1"].createInstance(Ci.nsIFile);
+    profile.initWithPath(this._profile);
+
+    let source = this.pendingProfileRestore;
+    if (!source && !profile.exists()) {
+      source = URL.toFilename(PROFILE_URL);
+    }
+    if (!source) {
+      next(null);
+      return;
+    }
+
+    let sourceDir = Cc["@mozilla.org/file/local;1"].createInstance(Ci.nsIFile);
+    sourceDir.initWithPath(source);
+    if (!sourceDir.exists()) {
+      next(new SimulatorError("PROFILE_NOT_FOUND", source));
+      return;
+    }
+
+    console.log("rsc: copying profile " + source + " to " + this._profile);
+    if (!profile.parent.exists()) {
+      profile.parent.create(Ci.nsIFile.DIRECTORY_TYPE, parseInt("755", 8));
+    }
+    OS.File.removeDir(this._profile, { ignoreAbsent: true }).then((function() {
+      return copyDirectory(source, this._profile);
+    }).bind(this)).then(
+      (function success() {
+        this.pendingProfileRestore = null;
+        emit(this, "profileRestored", { source: source });
+        next(null);
+      }).bind(this),
+      function failure(error) {
+        next(new SimulatorError("PROFILE_RESTORE_FAILED",
+                                source + ": " + error));
+      }
+    );
+  },
+
   // request a b2g instance kill and optionally execute a callback on exit
   kill: function(onKilled) {
     if (this.process && !this.shuttingDown) {
@@ -256,6 +342,10 @@ const RemoteSimulatorClient = Class({
     client.addListener("geolocationStop", this.onGeolocationStop.bind(this));
     client.addListener("appOpen", this.onAppOpen.bind(this));
     client.addListener("appClose", this.onAppClose.bind(this));
+    client.addListener("permissionPrompt", this.onPermissionPrompt.bind(this));
+    client.addListener("activityResult", this.onActivityResult.bind(this));
+    client.addListener("networkThrottleChange",
+                       this.onNetworkThrottleChange.bind(this));
 
     this._registerAppUpdateRequest(client);
 
@@ -328,6 +418,27 @@ const RemoteSimulatorClient = Class({
     });
   },
 
+  onPermissionPrompt: function (type, packet) {
+    emit(this, "permissionPrompt", {
+      origin: packet.origin,
+      permission: packet.permission,
+      access: packet.access,
+      decision: packet.decision
+    });
+  },
+
+  onActivityResult: function (type, packet) {
+    emit(this, "activityResult", {
+      activityId: packet.activityId,
+      result: packet.result,
+      error: packet.error
+    });
+  },
+
+  onNetworkThrottleChange: function (type, packet) {
+    emit(this, "networkThrottleChange", packet.state);
+  },
+
   // send a getBuildID request to the remote simulator actor
   getBuildID: function(onResponse) {
     let remote = this._remote;
@@ -348,7 +459,8 @@ const RemoteSimulatorClient = Class({
                                   type: "install",
                                   appId: appInfo.appId,
                                   appReceipt: appInfo.appReceipt,
-                                  appType: appInfo.appType},
+                                  appType: appInfo.appType,
+                                  tempDir: appInfo.tempDir},
                                 onResponse);
   },
 
@@ -384,6 +496,87 @@ const RemoteSimulatorClient = Class({
                                 onResponse);
   },
 
+  getAppStorage: function(appId, onResponse) {
+    this._remote.client.request({ to: this._remote.simulator,
+                                  type: "getAppStorage",
+                                  appId: appId
+                                },
+                                onResponse);
+  },
+
+  removeAppStorageItem: function(appId, storage, key, onResponse) {
+    this._remote.client.request({ to: this._remote.simulator,
+                                  type: "removeAppStorageItem",
+                                  appId: appId,
+                                  storage: storage,
+                                  key: key
+                                },
+                                onResponse);
+  },
+
+  getAppPermissions: function(appId, permissions, onResponse) {
+    this._remote.client.request({ to: this._remote.simulator,
+                                  type: "getAppPermissions",
+                                  appId: appId,
+                                  permissions: permissions
+                                },
+                                onResponse);
+  },
+
+  setAppPermission: function(appId, permission, state, onResponse) {
+    this._remote.client.request({ to: this._remote.simulator,
+                                  type: "setAppPermission",
+                                  appId: appId,
+                                  permission: permission,
+                                  state: state
+                                },
+                                onResponse);
+  },
+
+  setPermissionPromptPolicy: function(policy, onResponse) {
+    this._remote.client.request({ to: this._remote.simulator,
+                                  type: "setPermissionPromptPolicy",
+                                  policy: policy
+                                },
+                                onResponse);
+  },
+
+  listActivities: function(onResponse) {
+    this._remote.client.request({ to: this._remote.simulator,
+                                  type: "listActivities"
+                                },
+                                onResponse);
+  },
+
+  startActivity: function(name, data, onResponse) {
+    this._remote.client.request({ to: this._remote.simulator,
+                                  type: "startActivity",
+                                  name: name,
+                                  data: data
+                                },
+                                onResponse);
+  },
+
+  sendSystemMessage: function(appId, messageType, message, onResponse) {
+    this._remote.client.request({ to: this._remote.simulator,
+                                  type: "sendSystemMessage",
+                                  appId: appId,
+                                  messageType: messageType,
+                                  message: message
+                                },
+                                onResponse);
+  },
+
+  setNetworkThrottle: function(throttle, onResponse) {
+    this._remote.client.request({ to: this._remote.simulator,
+                                  type: "setNetworkThrottle",
+                                  profile: throttle.profile,
+                                  latency: throttle.latency,
+                                  bandwidth: throttle.bandwidth
+                                },
+                                onResponse);
+  },
+
   // send a ping request to the remote simulator actor
   ping: function(onResponse) {
     let remote = this._remote;
@@ -456,7 +649,7 @@ const RemoteSimulatorClient = Class({
 
     if (!executable.exists()) {
       // B2G binaries not found
-      throw Error("b2g-desktop Executable not found.");
+      throw new SimulatorError("B2G_NOT_FOUND", executable.path);
     }
 
     this._executable = executable;
@@ -469,9 +662,13 @@ const RemoteSimulatorClient = Class({
   get b2gArguments() {
     let args = [];
 
-    let profile = URL.toFilename(PROFILE_URL);
+    let profile = this._profile || URL.toFilename(PROFILE_URL);
     args.push("-profile", profile);
 
+    if (this._screen) {
+      args.push("-screen", this._screen);
+    }
+
     // NOTE: push dbgport option on the b2g-desktop commandline
     args.push("-dbgport", ""+this.remoteDebuggerPort);
     
@@ -17,14 +17,24 @@ const Prefs = require("preferences-service");
 const Request = require('./request').Request;
 const SStorage = require("simple-storage");
 const WindowUtils = require("window/utils");
-const Timer = require("timer");
 const RemoteSimulatorClient = require("remote-simulator-client");
+const FileWatcher = require("file-watcher");
+const ManifestPoller = require("manifest-poller");
+const ManifestDiff = require("./manifest-diff");
+const ManifestGenerator = require("./manifest-generator");
+const { LocalServer } = require("./local-server");
+const { ReceiptIssuer } = require("./receipt-issuer");
 const xulapp = require("sdk/system/xul-app");
 const JsonLint = require("jsonlint/jsonlint");
 const ADB = require("adb");
 const Promise = require("sdk/core/promise");
 const Runtime = require("runtime");
 const Validator = require("./validator");
+const Ignore = require("./ignore");
+const MiniManifest = require("./mini-manifest");
+const Project = require("./project");
+const { SimulatorError } = require("./errors");
+const { copyDirectory } = require("./copy-directory");
 
 // The b2gremote debugger module that installs apps to devices.
 const Debugger = require("debugger");
@@ -38,6 +48,9 @@ const TEST_RECEIPT_URL = "https://marketplace.firefox.com/api/v1/receipts/test/"
 
 Cu.import("resource://gre/modules/XPCOMUtils.jsm");
 Cu.import("resource://gre/modules/Services.jsm");
+Cu.import("resource://gre/modules/NetUtil.jsm");
+Cu.import("resource://gre/modules/FileUtils.jsm");
+Cu.import("resource://gre/modules/osfile.jsm");
 const { gDevTools } = Cu.import("resource:///modules/devtools/gDevTools.jsm", {});
 
 const PR_RDWR = 0x04;
@@ -45,14 +58,66 @@ const PR_CREATE_FILE = 0x08;
 const PR_TRUNCATE = 0x20;
 const PR_USEC_PER_MSEC = 1000;
 
+// Name of the file listing the entries of an archive built by archiveDir()
+const PACKAGE_CACHE_FILE = "package-cache.json";
+
 const MANIFEST_CONTENT_TYPE = "application/x-web-app-manifest+json";
 
+// Maximum number of events kept in the history of each app.
+const HISTORY_LIMIT = 50;
+
+// Maximum number of apps reinstalled at the same time by updateAll().
+const UPDATE_ALL_CONCURRENCY = 4;
+
+// Types of the apps that can be registered by registerApp(), generated apps
+// are only created from the pages opened in tabs.
+const REGISTRABLE_APP_TYPES = ["local", "zip", "hosted", "remote"];
+
+// Network profiles emulated by the Simulator, see
+// prosthesis/modules/NetworkThrottle.jsm.
+const NETWORK_PROFILES = ["none", "offline", "2g", "3g", "custom"];
+
+// Policies deciding the permission prompts of the apps: show the prompts,
+// allow or deny them all, or follow the rules set per app and permission.
+const PERMISSION_PROMPT_POLICIES = ["prompt", "allow", "deny", "rules"];
+
+// Names of the Simulator instances, also used as profile directory names.
+const INSTANCE_NAME_PATTERN = /^[\w-]+$/;
+
+// App types installed from an application.zip: "local" apps are packaged
+// from a source directory, "remote" ones are downloaded from the package_path
+// of a mini-manifest and "zip" ones are imported from an existing archive.
+const PACKAGED_APP_TYPES = ["local", "remote", "zip"];
+
+// App types whose source can be watched for changes.  The manifest of hosted
+// apps is polled, the rest of their source is on the server.
+const WATCHABLE_APP_TYPES = ["local", "zip", "hosted"];
+
 let worker, remoteSimulator;
 let deviceConnected, adbReady, debuggerReady;
 let gCurrentToolbox, gCurrentToolboxManifestURL;
 // Lock to prevent duplicate toolbox creation
 let gConnectingToApp = false;
 let gRunningApps = [];
+// FileWatcher (or ManifestPoller) instances of the apps in "watch" mode,
+// indexed by app id
+let gWatchers = {};
+// Arguments of addManifest() for the generated apps being reviewed on
+// the Dashboard, indexed by page URL
+let gPendingGeneratedApps = {};
+// LocalServer instances serving directories as hosted apps, indexed by path
+let gLocalServers = {};
+// RemoteSimulatorClient instances of the named Simulator instances
+let gInstanceClients = {};
+// ReceiptIssuer signing test receipts when the local issuer is selected
+let gReceiptIssuer = null;
+// Number of snapshots being taken of the profile, and the callbacks waiting
+// for them to start the Simulator
+let gSnapshotsInProgress = 0;
+let gSnapshotWaiters = [];
+// Package builds of local apps waiting for the previous build of the app
+// to complete, by app xkey, as they all update the same cached archive
+let gPackageBuilds = {};
 
 let simulator = module.exports = {
   QueryInterface: XPCOMUtils.generateQI([Ci.nsIObserver,
@@ -67,6 +132,12 @@ let simulator = module.exports = {
     // and so they close their filehandles if the user is updating the addon,
     // which we need to do on Windows to replace the files.
     this.kill();
+    this.killInstances();
+    this.stopWatchers();
+    this.stopLocalServers();
+    if (gReceiptIssuer) {
+      gReceiptIssuer.stop();
+    }
     if (ADB.didRunInitially) {
       ADB.kill(Runtime.OS == "WINNT" ? true : false /* sync */);
     }
@@ -89,10 +160,50 @@ let simulator = module.exports = {
     return SStorage.storage.apps || (SStorage.storage.apps = {});
   },
 
+  /**
+   * The named Simulator instances, which run side by side with the default
+   * one, each with its own profile, debugger port, screen and set of apps.
+   */
+  get instances() {
+    return SStorage.storage.instances || (SStorage.storage.instances = {});
+  },
+
   get permissions() {
     return SStorage.storage.permissions || (SStorage.storage.permissions = {});
   },
 
+  /**
+   * The ports of the directories served by the built-in HTTP server, indexed
+   * by path.  Ports are kept across sessions, since they are part of the
+   * origin (and id) of the hosted apps.
+   */
+  get localServers() {
+    return SStorage.storage.localServers ||
+           (SStorage.storage.localServers = {});
+  },
+
+  /**
+   * The issuer of test receipts: "live" for the Marketplace test receipt
+   * server, "local" for the local issuer, which works offline.
+   */
+  get receiptIssuer() SStorage.storage.receiptIssuer || "live",
+
+  /**
+   * The policy deciding permission prompts, one of
+   * PERMISSION_PROMPT_POLICIES.
+   */
+  get permissionPromptPolicy()
+    SStorage.storage.permissionPromptPolicy || "prompt",
+
+  /**
+   * The network conditions emulated by the Simulator: the `profile`, one of
+   * NETWORK_PROFILES, and the `latency` (ms) and `bandwidth` (kbit/s) of
+   * the "custom" profile.
+   */
+  get networkThrottle()
+    SStorage.storage.networkThrottle ||
+    { profile: "none", latency: 0, bandwidth: 0 },
+
   get worker() worker,
 
   set worker(newVal) {
@@ -120,6 +231,10 @@ let simulator = module.exports = {
 
   get contentScript() Self.data.url("content-script.js"),
 
+  isPackagedApp: function isPackagedApp(app) {
+    return PACKAGED_APP_TYPES.indexOf(app.type) != -1;
+  },
+
   addAppByDirectory: function() {
     console.log("Simulator.addAppByDirectory");
 
@@ -157,6 +272,58 @@ let simulator = module.exports = {
     }
   },
 
+  /**
+   * Register an already-zipped packaged app, which is installed as-is
+   * and re-imported whenever the archive changes (see setAppWatch()).
+   */
+  addAppByPackage: function addAppByPackage() {
+    console.log("Simulator.addAppByPackage");
+
+    let win = Services.wm.getMostRecentWindow("navigator:browser");
+
+    let fp = Cc["@mozilla.org/filepicker;1"].createInstance(Ci.nsIFilePicker);
+    fp.init(win, "Select a Packaged App", Ci.nsIFilePicker.modeOpen);
+    fp.appendFilter("Packaged App", "*.zip");
+    fp.appendFilters(Ci.nsIFilePicker.filterAll);
+
+    let ret = fp.show();
+    if (ret != Ci.nsIFilePicker.returnOK && ret != Ci.nsIFilePicker.returnReplace) {
+      return;
+    }
+
+    let packageFile = fp.file.path;
+    console.log("Selected " + packageFile);
+
+    // Keep the record, and so the settings, of a package added before.
+    let config = this.apps[packageFile];
+    if (config && config.type == "zip") {
+      config.removed = false;
+    } else {
+      let xkey = UUID.uuid().toString().slice(1, -1);
+      config = this.apps[packageFile] = {
+        type: "zip",
+        xkey: xkey,
+        origin: "app://" + xkey,
+      };
+    }
+    console.log("Registered App " + JSON.stringify(config));
+
+    this.updateApp(packageFile, function next(error, app) {
+      simulator.sendListApps();
+      if (!error) {
+        simulator.runApp(app);
+      }
+    });
+    if (config.watch) {
+      this._startWatcher(packageFile);
+    }
+  },
+
+  /**
+   * Reinstall all the active registered apps, UPDATE_ALL_CONCURRENCY
+   * at a time, streaming the progress to the Dashboard.  Failures don't
+   * interrupt the reinstall, they are summarized once all apps are done.
+   */
   updateAll: function(oncompleted) {
     simulator.showRemoteNotification("Reinstalling registered apps...");
     this.run(function (error) {
@@ -168,28 +335,101 @@ let simulator = module.exports = {
         }
         return;
       }
-      function next(error, app) {
-        // Call iterator.next() in a timeout to ensure updateApp() has returned;
-        // otherwise we might raise "TypeError: already executing generator".
-        if (error) {
-          simulator.error(error);
+
+      // only active apps needs to be reinstalled
+      let activeAppIds = Object.keys(simulator.apps)
+        .filter(function (appId) !simulator.apps[appId].removed);
+      let pendingAppIds = activeAppIds.slice();
+      let total = activeAppIds.length;
+      let completed = 0;
+      let running = 0;
+      let failures = [];
+
+      let getName = function getName(id) {
+        let app = simulator.apps[id];
+        return (app && app.name) || id;
+      };
+
+      let finish = function finish() {
+        let summary = "Reinstalling completed.";
+        if (failures.length) {
+          summary = "Reinstalling completed: " + failures.length + " of " +
+                    total + " apps failed.";
         }
-        Timer.setTimeout(function() {
-          try {
-            iterator.next();
-          } catch (err if err instanceof StopIteration) {
-            simulator.showRemoteNotification("Reinstalling completed.");
-            if (typeof oncompleted === "function") {
-              oncompleted();
+        simulator.showRemoteNotification(summary);
+
+        if (simulator.worker) {
+          simulator.worker.postMessage({
+            name: "updateAllCompleted",
+            total: total,
+            failures: failures,
+          });
+        } else if (failures.length) {
+          simulator.error(summary + " " + failures.map(function(failure) {
+            return failure.name + ": " + failure.error;
+          }).join("; "));
+        }
+
+        if (typeof oncompleted === "function") {
+          oncompleted();
+        }
+      };
+
+      let postProgress = function postProgress(id, status, error) {
+        if (!simulator.worker) {
+          return;
+        }
+        simulator.worker.postMessage({
+          name: "updateAllProgress",
+          id: id,
+          appName: getName(id),
+          status: status,
+          error: error ? error.toString() : null,
+          fix: error ? error.fix : null,
+          completed: completed,
+          total: total,
+        });
+      };
+
+      let startNext = function startNext() {
+        while (running < UPDATE_ALL_CONCURRENCY && pendingAppIds.length) {
+          let id = pendingAppIds.shift();
+          running++;
+          postProgress(id, "started");
+
+          simulator.updateApp(id, function next(error, app) {
+            running--;
+            completed++;
+
+            if (error) {
+              console.error("Error reinstalling " + id + ": " + error);
+              error = SimulatorError.from(error, "INSTALL_FAILED");
+              failures.push({
+                id: id,
+                name: getName(id),
+                code: error.code,
+                error: error.toString(),
+                fix: error.fix,
+              });
+              postProgress(id, "failed", error);
+            } else {
+              postProgress(id, "succeeded");
             }
-          }
-        }, 0);
+
+            if (completed == total) {
+              finish();
+            } else {
+              startNext();
+            }
+          });
+        }
+      };
+
+      if (total == 0) {
+        finish();
+      } else {
+        startNext();
       }
-      // only active apps needs to be reinstalled
-      let activeAppIds = Object.keys(simulator.apps)
-        .filter(function (appId) !simulator.apps[appId].deleted);
-      let iterator = (simulator.updateApp(activeAppIds[i], next) for (i in activeAppIds));
-      next();
     });
   },
 
@@ -206,8 +446,16 @@ let simulator = module.exports = {
     return File.join(basePath, "b2g");
   },
 
-  updateApp: function(id, next) {
-    console.log("Simulator.updateApp " + id);
+  // The webapps actor removes the install directory of an app in tempDir
+  // once installed, so we keep the archives we build in a separate directory
+  // to be able to update them incrementally.
+  get packageCacheDir() {
+    let basePath = Services.dirsvc.get("TmpD", Ci.nsIFile).path;
+    return File.join(basePath, "b2g-packages");
+  },
+
+  updateApp: function(id, next, instance) {
+    console.log("Simulator.updateApp " + id + (instance ? " in " + instance : ""));
 
     simulator._updateCachedManifest(id, function(error, manifest) {
       let app = simulator.apps[id];
@@ -215,9 +463,11 @@ let simulator = module.exports = {
 
       if (error) {
         app.validation.errors.push("Error updating cached Manifest: " + error);
+        simulator.recordEvent(id, "error", "Error updating cached manifest: " +
+                              error);
         if (typeof next === "function") {
           // NOTE: blocking error
-          next(Error("Unable to read manifest: '" + id + "'."), app);
+          next(SimulatorError.from(error, "MANIFEST_UNREADABLE"), app);
         }
         return;
       }
@@ -226,7 +476,7 @@ let simulator = module.exports = {
         app.validation.errors.push("Missing Manifest.");
         if (typeof next === "function") {
           // NOTE: blocking error
-          next(Error("Missing manifest: '" + id + "'."), app);
+          next(new SimulatorError("MANIFEST_NOT_FOUND", id), app);
           return;
         }
       }
@@ -243,9 +493,11 @@ let simulator = module.exports = {
 
         if (!error) {
           // NOTE: try to updateApp if there isn't any blocking error
-          simulator._updateApp(id, next);
+          simulator._updateApp(id, next, instance);
         } else {
           // validation error
+          simulator.recordEvent(id, "error", "Validation failed: " +
+                                app.validation.errors.join(" "));
           if (typeof next === "function") {
             next(error, app);
           }
@@ -254,8 +506,8 @@ let simulator = module.exports = {
     });
   },
 
-  _updateApp: function(id, next) {
-    console.log("Simulator._updateApp " + id);
+  _updateApp: function(id, next, instance) {
+    console.log("Simulator._updateApp " + id + (instance ? " in " + instance : ""));
 
     let tempDir = this.tempDir;
     let apps = simulator.apps;
@@ -282,33 +534,51 @@ let simulator = module.exports = {
     }
 
     config.lastUpdate = Date.now();
+    // only tracked for the default instance, see _onWatchedAppChange()
+    if (!instance) {
+      delete config.changedSinceInstall;
+    }
     simulator.apps[id] = config;
 
-    switch (config.type) {
-      case 'local':
-        config.manifestURL = config.origin + "/manifest.webapp";
-        break;
-      default:
-        config.manifestURL = id;
+    if (this.isPackagedApp(config)) {
+      config.manifestURL = config.origin + "/manifest.webapp";
+    } else {
+      config.manifestURL = id;
     }
     console.log("Updating webapp entry: " + JSON.stringify(config, null, 2));
 
-    // Create target folder
-    let tempWebappDir = File.join(tempDir, config.xkey);
+    // Create target folder, unique to this install as the app may be
+    // installed into several instances at once
+    let installDirName = config.xkey + "-" + UUID.uuid().toString().slice(1, -1);
+    let tempWebappDir = File.join(tempDir, installDirName);
 
     File.mkpath(tempWebappDir);
     console.log("Created " + tempWebappDir);
 
+    let target = instance ? " in instance " + instance : "";
     let onInstall = function onInstall(res) {
       console.debug("webappsActor install app reply: ",
                     JSON.stringify(res));
-      if (typeof next === "function") {
-        // detect success/error and report to the "next" callback
-        if (res.error) {
-          next(res.error + ": " + res.message, config);
-        } else {
-          next(null, config);
-        }
+      if (res.error) {
+        simulator.recordEvent(id, "error", "Install failed" + target + ": " +
+                              res.error + ": " + res.message);
+      } else {
+        simulator.recordEvent(id, config.installed ? "update" : "install",
+                              (config.installed ? "Reinstalled" : "Installed") +
+                              target);
+        config.installed = true;
+      }
+      if (typeof next !== "function") {
+        next = function() {};
+      }
+      // detect success/error and report to the "next" callback
+      if (res.error) {
+        next(SimulatorError.fromResponse(res, "INSTALL_FAILED"), config);
+      } else {
+        // The install resets the permissions, set the user's choices again.
+        simulator._applyPermissionOverrides(id,
+                                            simulator.getInstanceClient(instance),
+                                            function() next(null, config));
       }
     };
 
@@ -316,16 +586,14 @@ let simulator = module.exports = {
       appId: config.xkey,
       appType: null,
       appReceipt: config.receipt,
+      tempDir: installDirName,
     };
 
-    if (config.type == "local") {
-      // Archive source folder to target folder
-      let sourceDir = id.replace(/[\/\\][^\/\\]*$/, "");
-      let archiveFile = File.join(tempWebappDir, "application.zip");
-
-      console.log("Zipping " + sourceDir + " to " + archiveFile);
-      archiveDir(archiveFile, sourceDir, function(error) {
+    if (this.isPackagedApp(config)) {
+      // Archive source folder (or copy the downloaded package) to target folder
+      this.buildPackage(id, function(error) {
         if (error) {
+          simulator.recordEvent(id, "error", "Packaging failed: " + error);
           if (next) {
             next(error);
           }
@@ -336,9 +604,11 @@ let simulator = module.exports = {
 
           console.log("Requesting webappsActor to install packaged app: ",
                       config.xkey);
-          simulator.run(function(error) {
+          simulator.runInstance(instance, function(error) {
             // exit if error running b2g-desktop
             if (error) {
+              simulator.recordEvent(id, "error", "Install failed" + target +
+                                    ": " + error);
               if (typeof next === "function") {
                 next(error, config);
               } else {
@@ -346,10 +616,10 @@ let simulator = module.exports = {
               }
               return;
             }
-            simulator.remoteSimulator.install(appInfo, onInstall);
+            simulator.getInstanceClient(instance).install(appInfo, onInstall);
           });
         }
-      });
+      }, tempWebappDir);
     } else {
       // Hosted App
 
@@ -398,8 +668,10 @@ let simulator = module.exports = {
               simulator.info(config.name + " (hosted app) installed in Firefox OS");
 
               // Complete install (Hosted)
-              simulator.run(function(error) {
+              simulator.runInstance(instance, function(error) {
                 if (error) {
+                  simulator.recordEvent(id, "error", "Install failed" + target +
+                                        ": " + error);
                   // exit on error running b2g-desktop
                   if (typeof next === "function") {
                     next(error, config);
@@ -409,7 +681,7 @@ let simulator = module.exports = {
                   return;
                 }
                 console.log("Requesting webappsActor to install hosted app: ",config.xkey);
-                simulator.remoteSimulator.install(appInfo, onInstall);
+                simulator.getInstanceClient(instance).install(appInfo, onInstall);
               });
             }); // END writeAsync metadataFile
         }); // END writeAsync manifest.webapp
@@ -420,26 +692,57 @@ let simulator = module.exports = {
     }
   },
 
-  updateReceiptType: function updateReceiptType(appId, receiptType) {
+  /**
+   * Record an event in the persistent history of an app.  `type` is one of
+   * "install", "update", "launch", "push", "receipt", "permission",
+   * "message", "export" or "error".
+   */
+  recordEvent: function recordEvent(id, type, message) {
+    let app = this.apps[id];
+    if (!app) {
+      return;
+    }
+
+    let history = app.history || (app.history = []);
+    history.push({ time: Date.now(), type: type, message: "" + message });
+    if (history.length > HISTORY_LIMIT) {
+      history.splice(0, history.length - HISTORY_LIMIT);
+    }
+  },
+
+  /**
+   * Replace the receipt of an app with a new test receipt of `receiptType`.
+   * Receipts with custom `claims` (see ReceiptIssuer.issue()) are always
+   * signed by the local receipt issuer.
+   */
+  updateReceiptType: function updateReceiptType(appId, receiptType, claims) {
     let app = this.apps[appId];
     let manifestURL =
-      app.type === "local" ? "https://" + app.xkey + ".simulator" : app.origin;
+      this.isPackagedApp(app) ? "https://" + app.xkey + ".simulator" : app.origin;
     if (receiptType === "none") {
       app.receipt = null;
       app.receiptType = receiptType;
+      this.recordEvent(appId, "receipt", "Receipt removed");
       this._updateApp(appId, this.sendListApps.bind(this));
     } else {
       app.updateReceipt = true;
       this.postUpdateReceiptStart(appId);
-      this.fetchReceipt(manifestURL, receiptType, function fetched(err, receipt) {
+      this.fetchReceipt(manifestURL, receiptType, claims,
+                        function fetched(err, receipt) {
         delete app.updateReceipt;
         this.postUpdateReceiptStop(appId);
         if (err || !receipt) {
-          this.error("Error getting receipt: " + (err || "unknown error"));
+          err = SimulatorError.from(err || "no receipt", "RECEIPT_FAILED");
+          this.error(err);
+          this.recordEvent(appId, "error", "Error getting " + receiptType +
+                           " receipt: " + err);
           this.sendListApps();
         } else {
           app.receipt = receipt;
           app.receiptType = receiptType;
+          this.recordEvent(appId, "receipt", "Installed a " +
+                           (claims ? "custom " : "") + "test receipt of " +
+                           "type '" + receiptType + "'");
           this._updateApp(appId, this.sendListApps.bind(this));
         }
       }.bind(this));
@@ -458,7 +761,17 @@ let simulator = module.exports = {
     }
   },
 
-  fetchReceipt: function fetchReceipt(manifestURL, receiptType, cb) {
+  fetchReceipt: function fetchReceipt(manifestURL, receiptType, claims, cb) {
+    if (this.receiptIssuer == "local" || claims) {
+      console.log("Issuing " + receiptType + " test receipt for " + manifestURL);
+      this._getReceiptIssuer().issue(manifestURL, receiptType, claims,
+                                     function(error, receipt) {
+        cb(error ? SimulatorError.from(error, "RECEIPT_FAILED") : null,
+           receipt);
+      });
+      return;
+    }
+
     console.log("Fetching " + receiptType + " test receipt for " + manifestURL);
     Request({
       url: TEST_RECEIPT_URL,
@@ -469,17 +782,21 @@ let simulator = module.exports = {
       },
       onComplete: function(response) {
         if (response.status === 400 && "error_message" in response.json) {
-          return cb("bad request made to test receipt server: " +
-                    JSON.stringify(response.json.error_message), null);
+          return cb(new SimulatorError("RECEIPT_FAILED",
+                    "bad request made to test receipt server: " +
+                    JSON.stringify(response.json.error_message)), null);
         }
         if (response.status !== 201) {
-          return cb("unexpected status code " + response.status, null);
+          return cb(new SimulatorError("HTTP_STATUS", TEST_RECEIPT_URL +
+                                       ": " + response.status), null);
         }
         if (!response.json) {
-          return cb("expected JSON response", null);
+          return cb(new SimulatorError("INVALID_JSON", TEST_RECEIPT_URL),
+                    null);
         }
         if (!('receipt' in response.json)) {
-          return cb("expected receipt field in test receipt response", null);
+          return cb(new SimulatorError("RECEIPT_FAILED",
+                    "expected receipt field in test receipt response"), null);
         }
         console.log("Received receipt: " + response.json.receipt);
         return cb(null, response.json.receipt);
@@ -487,7 +804,56 @@ let simulator = module.exports = {
     }).post();
   },
 
-  removeApp: function(id) {
+  setReceiptIssuer: function setReceiptIssuer(issuer) {
+    if (issuer != "live" && issuer != "local") {
+      console.error("Unknown receipt issuer " + issuer);
+      return;
+    }
+    SStorage.storage.receiptIssuer = issuer;
+    this.restoreReceiptIssuer();
+    this.sendReceiptIssuer();
+  },
+
+  sendReceiptIssuer: function sendReceiptIssuer() {
+    if (this.worker) {
+      this.worker.postMessage({
+        name: "receiptIssuer",
+        issuer: this.receiptIssuer,
+        verifierOrigin: gReceiptIssuer ? gReceiptIssuer.origin : null
+      });
+    }
+  },
+
+  /**
+   * Start the verification endpoint of the local receipt issuer, so that
+   * the receipts it issued in a previous session can be verified.
+   */
+  restoreReceiptIssuer: function restoreReceiptIssuer() {
+    if (this.receiptIssuer == "local") {
+      try {
+        this._getReceiptIssuer();
+      } catch(e) {
+        console.error("Error starting the receipt verifier: " + e);
+      }
+    }
+  },
+
+  // Get the started local receipt issuer.  Its public keys and port are kept
+  // across sessions, so that the receipts it issued remain valid.
+  _getReceiptIssuer: function _getReceiptIssuer() {
+    if (!gReceiptIssuer) {
+      gReceiptIssuer = new ReceiptIssuer({
+        keys: SStorage.storage.receiptKeys ||
+              (SStorage.storage.receiptKeys = {}),
+        port: SStorage.storage.receiptVerifierPort
+      });
+    }
+    gReceiptIssuer.start();
+    SStorage.storage.receiptVerifierPort = gReceiptIssuer.port;
+    return gReceiptIssuer;
+  },
+
+  removeApp: function(id, next) {
     let apps = simulator.apps;
     let config = apps[id];
 
@@ -499,18 +865,27 @@ let simulator = module.exports = {
     config.removed = true;
     apps[id] = config;
 
+    this._stopWatcher(id);
+
     simulator.run(function(error) {
       // on error flag app as not removed and exit
       if (error) {
-        simulator.error(error);
         config.removed = false;
         simulator.sendListApps();
+        if (typeof next === "function") {
+          next(error);
+        } else {
+          simulator.error(error);
+        }
         return;
       }
       simulator.remoteSimulator.uninstall(config.xkey, function() {
         // app uninstall completed
         // TODO: add success/error detection and report to the user
         simulator.sendListApps();
+        if (typeof next === "function") {
+          next(null);
+        }
       });
     });
   },
@@ -526,6 +901,10 @@ let simulator = module.exports = {
     config.removed = false;
     apps[id] = config;
 
+    if (config.watch) {
+      this._startWatcher(id);
+    }
+
     simulator.updateApp(id, function next(error, app) {
       // app reinstall completed
       // success/error detection and report to the user
@@ -548,6 +927,19 @@ let simulator = module.exports = {
 
     // remove from the registered app list
     delete apps[id];
+    this._stopWatcher(id);
+    this._removePackageCache(config);
+    if (config.type == "hosted") {
+      this._stopLocalServer(config.origin);
+    }
+
+    // remove from the apps of the named instances
+    for each (let instance in this.instances) {
+      let index = instance.apps.indexOf(id);
+      if (index != -1) {
+        instance.apps.splice(index, 1);
+      }
+    }
 
     // cleanup registered permissions
     let permissions = simulator.permissions;
@@ -570,753 +962,2484 @@ let simulator = module.exports = {
   },
 
   /**
-   * Installs the web page in the active tab as if it was an app.
+   * Enable or disable the "watch" mode of an app, which reinstalls
+   * and relaunches a packaged app whenever its source directory (or archive)
+   * changes, and polls the manifest of a hosted app for changes.
    */
-  addActiveTab: function() {
-    console.log("Simulator.addActiveTab");
-    this.addAppByTabUrl(Tabs.activeTab.url, false);
+  setAppWatch: function setAppWatch(id, watch) {
+    let config = this.apps[id];
+    if (!config || WATCHABLE_APP_TYPES.indexOf(config.type) == -1) {
+      return;
+    }
+
+    config.watch = !!watch;
+    if (config.watch && !config.removed) {
+      this._startWatcher(id);
+    } else {
+      this._stopWatcher(id);
+    }
+
+    if (this.worker) {
+      this.sendListApps();
+    }
   },
 
   /**
-   * Installs the web page in the active tab as if it was an app.
+   * Start watching the apps that were in "watch" mode in a previous session.
    */
-  addAppByTabUrl: function(tabUrl, force) {
-    console.log("Simulator.addAppByTabUrl " + tabUrl);
-    let url = URL.URL(tabUrl);
-    let origin = url.toString().substring(0, url.lastIndexOf(url.path));
-    let found = false;
-    let tab = null;
-    let title = null;
-    for each (tab in Tabs) {
-      if (tab.url == tabUrl) {
-        found = true;
-        break;
-      }
-    }
-    if (!found) {
-      console.error("Could not find tab");
-      title = url.host;
-      if (!force) {
-        this.validateUrl(tabUrl, function(err) {
-          if (err) {
-            simulator.addAppByTabUrl(tabUrl, true);
-          } else {
-            simulator.addManifestUrl(tabUrl);
-          }
-        });
-        return;
+  restoreWatchers: function restoreWatchers() {
+    for (let id in this.apps) {
+      let config = this.apps[id];
+      if (config.watch && !config.removed) {
+        this._startWatcher(id);
       }
-    } else {
-      title = tab.title || url.host;
     }
+  },
 
-    let manifestUrl = URL.URL(origin + "/" + "manifest.webapp");
-    let webapp = {
-      name: title.substring(0, 18),
-      description: title,
-      default_locale: "en",
-      launch_path: url.path || '/',
-      icons: {
-        "16": "/favicon.ico"
-      },
-    };
-    console.log("Generated manifest " + JSON.stringify(webapp, null, 2));
-    // Possible icon? 'http://www.google.com/s2/favicons?domain=' + url.host
-
-    let addManifestArgs = {
-      manifestUrl: manifestUrl,
-      webapp: webapp,
-      installOrigin: origin,
-      generated: true
-    };
-    this.addManifest(addManifestArgs);
+  stopWatchers: function stopWatchers() {
+    Object.keys(gWatchers).forEach(this._stopWatcher, this);
   },
 
-  addManifestUrl: function(manifestUrl) {
-    console.log("Simulator.addManifestUrl " + manifestUrl);
+  _startWatcher: function _startWatcher(id) {
+    if (gWatchers[id]) {
+      return;
+    }
 
-    Request({
-      url: manifestUrl.toString(),
-      onComplete: function (response) {
-        if (response.status != 200) {
-          simulator.error("Unexpected status code " + response.status);
-          return;
-        }
-        if (!response.json) {
-          simulator.error("Expected JSON response.");
-          return;
-        }
-        if (!response.json.name || !response.json.description) {
-          simulator.error("Missing mandatory property (name or description) " +
-                          "in webapp manifest");
-          return;
-        }
+    let config = this.apps[id];
+    if (config.type == "hosted") {
+      console.log("Simulator polling " + id);
 
-        let contentType = response.headers["Content-Type"];
-        if (!contentType) {
-          console.warn("Webapp manifest is served without any content type.");
-        } else if (contentType.split(";")[0].trim() != MANIFEST_CONTENT_TYPE) {
-          console.warn("Webapp manifest is served with an invalid content " +
-                       "type: " + contentType + ".");
-        }
+      let poller = gWatchers[id] = new ManifestPoller({
+        url: id,
+        etag: config.manifestETag,
+        lastModified: config.manifestLastModified,
+      });
+      poller.on("change", this._onHostedManifestChange.bind(this, id));
+      poller.start();
+      return;
+    }
 
-        console.log("Fetched manifest " + JSON.stringify(response.json, null, 2));
+    // Watch the source directory of "local" apps, the archive of "zip" ones.
+    let path = config.type == "zip" ? id :
+               id.replace(/[\/\\][^\/\\]*$/, "");
+    console.log("Simulator watching " + path);
 
-        simulator.addManifest({
-          manifestUrl: manifestUrl,
-          webapp: response.json
-        });
-      }
-    }).get();
+    let watcher = gWatchers[id] = new FileWatcher({ path: path });
+    watcher.on("change", this._onWatchedAppChange.bind(this, id));
+    watcher.start();
   },
 
-  validateUrl: function(url, cb) {
-    console.log("Simulator.validateUrl " + url);
+  _stopWatcher: function _stopWatcher(id) {
+    let watcher = gWatchers[id];
+    if (watcher) {
+      watcher.stop();
+      delete gWatchers[id];
+    }
+  },
 
-    Request({
-      url: url,
-      onComplete: function (response) {
-        var err = null;
-        if (response.status != 200) {
-          err = "Unexpected status code " + response.status;
+  _onWatchedAppChange: function _onWatchedAppChange(id) {
+    let config = this.apps[id];
+    if (!config || config.removed) {
+      return;
+    }
+
+    // Reinstall the app in the running instances it's installed in.
+    // Don't launch the Simulator for a change, reinstall the app once it
+    // is started instead, instances reinstall all their apps on start.
+    let instances = Object.keys(gInstanceClients).filter(function(name) {
+      return gInstanceClients[name].isReady && this.instances[name] &&
+             this.instances[name].apps.indexOf(id) != -1;
+    }, this);
+    if (this.remoteSimulator.isReady) {
+      instances.unshift(null);
+    } else {
+      console.log("Simulator will reinstall changed app " + id + " on start");
+      config.changedSinceInstall = config.changedSinceInstall || Date.now();
+      if (this.worker) {
+        this.sendListApps();
+      }
+    }
+    if (!instances.length) {
+      return;
+    }
+
+    console.log("Simulator reinstalling changed app " + id);
+
+    // The manifest of an archive has to be read and validated again,
+    // whereas the one of a source directory is read when packaging it.
+    let update = config.type == "zip" ? this.updateApp : this._updateApp;
+    let reinstallNext = function reinstallNext() {
+      if (!instances.length) {
+        if (simulator.worker) {
+          simulator.sendListApps();
+        }
+        return;
+      }
+
+      let instance = instances.shift();
+      update.call(simulator, id, function next(error, app) {
+        if (error) {
+          simulator.error("Error reinstalling " + config.name + ": " + error);
         } else {
-          let contentType = response.headers["Content-Type"];
-          if (!contentType) {
-            err = "No Content-Type for webapp manifest";
-          } else if (contentType && contentType.split(";")[0].trim() != MANIFEST_CONTENT_TYPE) {
-            err = "Unexpected Content-Type " + contentType;
+          config.lastAutoReinstall = Date.now();
+          simulator.runApp(app, null, instance);
+        }
+        reinstallNext();
+      }, instance);
+    };
+    reinstallNext();
+  },
+
+  // Reinstall the watched apps that changed while the Simulator wasn't
+  // running.
+  _reinstallChangedApps: function _reinstallChangedApps() {
+    Object.keys(this.apps).forEach(function(id) {
+      if (this.apps[id].changedSinceInstall) {
+        this._onWatchedAppChange(id);
+      }
+    }, this);
+  },
+
+  /**
+   * Handle a change of the manifest of a hosted app in "watch" mode:
+   * reinstall the app if it's in "autoReinstall" mode, otherwise keep
+   * the list of changes for the Dashboard to show them and prompt the user.
+   */
+  _onHostedManifestChange: function _onHostedManifestChange(id, { manifest }) {
+    let config = this.apps[id];
+    if (!config || config.removed) {
+      return;
+    }
+
+    let changes = ManifestDiff.diff(config.manifest, manifest);
+    if (!changes.length) {
+      delete config.pendingManifestChange;
+      return;
+    }
+
+    console.log("Simulator detected manifest change of " + id);
+    config.pendingManifestChange = {
+      time: Date.now(),
+      changes: changes.map(ManifestDiff.describe),
+    };
+
+    if (config.autoReinstall) {
+      this.updateApp(id, function next(error, app) {
+        if (error) {
+          simulator.error("Error reinstalling " + config.name + ": " + error);
+        } else {
+          config.lastAutoReinstall = Date.now();
+          simulator.runApp(app);
+        }
+        simulator.sendListApps();
+      });
+    } else {
+      this.sendListApps();
+    }
+  },
+
+  /**
+   * Enable or disable the "autoReinstall" mode of a hosted app in "watch"
+   * mode, which reinstalls it without prompting when its manifest changes.
+   */
+  setAppAutoReinstall: function setAppAutoReinstall(id, autoReinstall) {
+    let config = this.apps[id];
+    if (!config || config.type != "hosted") {
+      return;
+    }
+    config.autoReinstall = !!autoReinstall;
+    this.sendListApps();
+  },
+
+  dismissManifestChange: function dismissManifestChange(id) {
+    let config = this.apps[id];
+    if (config) {
+      delete config.pendingManifestChange;
+      this.sendListApps();
+    }
+  },
+
+  /**
+   * Save the app registry to a project file that can be shared with
+   * other users and imported with importProject().
+   */
+  exportProject: function exportProject(projectPath, next) {
+    console.log("Simulator.exportProject " + projectPath);
+
+    let text;
+    try {
+      text = Project.serialize(this.apps, projectPath);
+    } catch(e) {
+      next(new SimulatorError("INVALID_PROJECT", e.message || e));
+      return;
+    }
+
+    File.open(projectPath, "w").writeAsync(text, function(error) {
+      if (error) {
+        next(new SimulatorError("WRITE_FAILED", projectPath + ": " + error));
+        return;
+      }
+      next(null);
+    });
+  },
+
+  /**
+   * Merge the apps of a project file into the app registry.  Apps that
+   * aren't registered yet are added, the settings of the ones that are
+   * are replaced by the settings from the project file.  Apps the user
+   * removed are left alone.
+   *
+   * Calls next(error, result) where result has the lists of "added",
+   * "updated", "skipped" (registered as another type of app) and "removed"
+   * app ids.
+   */
+  importProject: function importProject(projectPath, next) {
+    console.log("Simulator.importProject " + projectPath);
+
+    let entries;
+    try {
+      entries = Project.parse(File.read(projectPath), projectPath);
+    } catch(e) {
+      next(new SimulatorError("INVALID_PROJECT",
+                              projectPath + ": " + (e.message || e)));
+      return;
+    }
+
+    let result = { added: [], updated: [], skipped: [], removed: [] };
+    let pendingReceipts = {};
+
+    entries.forEach(function(entry) {
+      let config = this.apps[entry.id];
+
+      if (config && config.type != entry.type) {
+        console.warn("Skipping " + entry.id + ": already registered as " +
+                     "another type of app.");
+        result.skipped.push(entry.id);
+        return;
+      }
+
+      if (config && config.removed) {
+        console.log("Skipping " + entry.id + ": removed by the user.");
+        result.removed.push(entry.id);
+        return;
+      }
+
+      if (config) {
+        result.updated.push(entry.id);
+      } else {
+        config = this.apps[entry.id] = this._createAppRecord(entry);
+        result.added.push(entry.id);
+      }
+
+      let settings = entry.settings;
+      Object.keys(settings).forEach(function(name) {
+        if (name == "receiptType") {
+          // Receipts have to be fetched, see below.
+          if (settings.receiptType != (config.receiptType || "none")) {
+            pendingReceipts[entry.id] = settings.receiptType;
+          }
+        } else if (name == "watch") {
+          config.watch = !!settings.watch;
+        } else {
+          config[name] = settings[name];
+        }
+      });
+    }, this);
+
+    let ids = result.added.concat(result.updated);
+    ids.forEach(function(id) {
+      if (this.apps[id].watch) {
+        this._startWatcher(id);
+      } else {
+        this._stopWatcher(id);
+      }
+    }, this);
+
+    // Reinstall the imported apps one at a time.
+    let installNext = function installNext() {
+      if (!ids.length) {
+        if (simulator.worker) {
+          simulator.sendListApps();
+        }
+        next(null, result);
+        return;
+      }
+
+      let id = ids.shift();
+      simulator.updateApp(id, function(error) {
+        if (error) {
+          console.error("Error installing " + id + ": " + error);
+        } else if (id in pendingReceipts) {
+          simulator.updateReceiptType(id, pendingReceipts[id]);
+        }
+        installNext();
+      });
+    };
+    installNext();
+  },
+
+  /**
+   * Register an app by the path of its manifest or package ("local" and
+   * "zip" apps), or by the URL of its manifest or mini-manifest ("hosted"
+   * and "remote" apps), then install it.  Calls next(error, app).
+   */
+  registerApp: function registerApp(id, type, next) {
+    console.log("Simulator.registerApp " + id);
+
+    if (REGISTRABLE_APP_TYPES.indexOf(type) == -1) {
+      next(new SimulatorError("UNSUPPORTED_APP_TYPE", type), null);
+      return;
+    }
+
+    let config = this.apps[id];
+    if (config && !config.removed) {
+      next(new SimulatorError("APP_ALREADY_REGISTERED", id), config);
+      return;
+    }
+    if (config) {
+      // Replace the record of a removed app.
+      this._stopWatcher(id);
+      this._removePackageCache(config);
+    }
+
+    config = this.apps[id] = this._createAppRecord({ id: id, type: type });
+    console.log("Registered App " + JSON.stringify(config));
+
+    this.updateApp(id, function(error, app) {
+      if (simulator.worker) {
+        simulator.sendListApps();
+      }
+      next(error, app);
+    });
+  },
+
+  /**
+   * Create the registry record of an app imported from a project file
+   * or registered by registerApp().
+   */
+  _createAppRecord: function _createAppRecord(entry) {
+    let config = { type: entry.type, xkey: null };
+
+    if (this.isPackagedApp(config)) {
+      config.xkey = UUID.uuid().toString().slice(1, -1);
+      config.origin = "app://" + config.xkey;
+    } else {
+      config.origin = Services.io.newURI(entry.id, null, null).prePath;
+      config.installOrigin = config.origin;
+    }
+
+    if (config.type != "local" && config.type != "zip") {
+      config.host = URL.URL(entry.id).host;
+    }
+    if (config.type == "generated") {
+      config.manifest = entry.manifest;
+      config.name = entry.manifest.name;
+    }
+
+    return config;
+  },
+
+  exportProjectToFile: function exportProjectToFile() {
+    let win = Services.wm.getMostRecentWindow("navigator:browser");
+
+    let fp = Cc["@mozilla.org/filepicker;1"].createInstance(Ci.nsIFilePicker);
+    fp.init(win, "Export Project", Ci.nsIFilePicker.modeSave);
+    fp.appendFilter("Simulator Project", "*.json");
+    fp.defaultString = "simulator-project.json";
+
+    let ret = fp.show();
+    if (ret != Ci.nsIFilePicker.returnOK && ret != Ci.nsIFilePicker.returnReplace) {
+      return;
+    }
+
+    this.exportProject(fp.file.path, function(error) {
+      if (error) {
+        simulator.error(error);
+      }
+    });
+  },
+
+  importProjectFromFile: function importProjectFromFile() {
+    let win = Services.wm.getMostRecentWindow("navigator:browser");
+
+    let fp = Cc["@mozilla.org/filepicker;1"].createInstance(Ci.nsIFilePicker);
+    fp.init(win, "Import Project", Ci.nsIFilePicker.modeOpen);
+    fp.appendFilter("Simulator Project", "*.json");
+    fp.appendFilters(Ci.nsIFilePicker.filterAll);
+
+    if (fp.show() != Ci.nsIFilePicker.returnOK) {
+      return;
+    }
+
+    this.importProject(fp.file.path, function(error, result) {
+      if (error) {
+        simulator.error(error);
+        return;
+      }
+      if (result.skipped.length) {
+        simulator.error("Skipped apps already registered with another " +
+                        "type: " + result.skipped.join(", "));
+      }
+      if (result.removed.length) {
+        simulator.error("Skipped apps you removed, add them again to " +
+                        "import them: " + result.removed.join(", "));
+      }
+    });
+  },
+
+  /**
+   * Serve a directory with a manifest.webapp on localhost with the built-in
+   * HTTP server, and register it as a hosted app.
+   */
+  serveDirectory: function serveDirectory() {
+    console.log("Simulator.serveDirectory");
+
+    let win = Services.wm.getMostRecentWindow("navigator:browser");
+
+    let fp = Cc["@mozilla.org/filepicker;1"].createInstance(Ci.nsIFilePicker);
+    fp.init(win, "Select the Directory of a Hosted App",
+            Ci.nsIFilePicker.modeGetFolder);
+
+    let ret = fp.show();
+    if (ret != Ci.nsIFilePicker.returnOK) {
+      return;
+    }
+
+    let dir = fp.file.path;
+    if (!File.exists(File.join(dir, "manifest.webapp"))) {
+      this.error("No manifest.webapp in " + dir + ".");
+      return;
+    }
+
+    let server;
+    try {
+      server = this._startLocalServer(dir);
+    } catch(e) {
+      this.error("Error serving " + dir + ": " + e);
+      return;
+    }
+    this.addManifestUrl(URL.URL(server.origin + "/manifest.webapp"));
+  },
+
+  /**
+   * Serve again the directories that were served in a previous session.
+   */
+  restoreLocalServers: function restoreLocalServers() {
+    Object.keys(this.localServers).forEach(function(dir) {
+      if (!File.exists(dir)) {
+        console.warn("Not serving missing directory " + dir);
+        return;
+      }
+      try {
+        this._startLocalServer(dir);
+      } catch(e) {
+        console.error("Error serving " + dir + ": " + e);
+      }
+    }, this);
+  },
+
+  stopLocalServers: function stopLocalServers() {
+    for each (let server in gLocalServers) {
+      server.stop();
+    }
+    gLocalServers = {};
+  },
+
+  _startLocalServer: function _startLocalServer(dir) {
+    if (gLocalServers[dir]) {
+      return gLocalServers[dir];
+    }
+    let server = new LocalServer({ root: dir, port: this.localServers[dir] });
+    server.start();
+    this.localServers[dir] = server.port;
+    return gLocalServers[dir] = server;
+  },
+
+  // Stop serving the directory served on an origin, if any.
+  _stopLocalServer: function _stopLocalServer(origin) {
+    for (let dir in gLocalServers) {
+      if (gLocalServers[dir].origin == origin) {
+        gLocalServers[dir].stop();
+        delete gLocalServers[dir];
+        delete this.localServers[dir];
+        return;
+      }
+    }
+  },
+
+  /**
+   * Installs the web page in the active tab as if it was an app.
+   */
+  addActiveTab: function() {
+    console.log("Simulator.addActiveTab");
+    this.addAppByTabUrl(Tabs.activeTab.url, false);
+  },
+
+  /**
+   * Installs the web page in the active tab as if it was an app.
+   */
+  addAppByTabUrl: function(tabUrl, force) {
+    console.log("Simulator.addAppByTabUrl " + tabUrl);
+    let url = URL.URL(tabUrl);
+    let origin = url.toString().substring(0, url.lastIndexOf(url.path));
+    let found = false;
+    let tab = null;
+    let title = null;
+    for each (tab in Tabs) {
+      if (tab.url == tabUrl) {
+        found = true;
+        break;
+      }
+    }
+    if (!found) {
+      console.error("Could not find tab");
+      if (!force) {
+        this.validateUrl(tabUrl, function(err) {
+          if (err) {
+            simulator.addAppByTabUrl(tabUrl, true);
+          } else {
+            simulator.addManifestUrl(tabUrl);
           }
+        });
+        return;
+      }
+    } else {
+      title = tab.title;
+    }
+
+    this.generateManifest(tabUrl, title, function(webapp, warnings) {
+      console.log("Generated manifest " + JSON.stringify(webapp, null, 2));
+
+      let addManifestArgs = {
+        manifestUrl: URL.URL(origin + "/" + "manifest.webapp"),
+        webapp: webapp,
+        installOrigin: origin,
+        generated: true
+      };
+
+      // Let the user review and edit the manifest before registering the app.
+      if (simulator.worker) {
+        gPendingGeneratedApps[tabUrl] = addManifestArgs;
+        simulator.worker.postMessage({
+          name: "reviewManifest",
+          url: tabUrl,
+          text: JSON.stringify(webapp, null, 2),
+          warnings: warnings,
+        });
+      } else {
+        simulator.addManifest(addManifestArgs);
+      }
+    });
+  },
+
+  /**
+   * Generate the manifest of a page from its icons and meta tags.
+   * Calls next(manifest, warnings).  Pages that can't be fetched get
+   * a minimal manifest based on their `title`.
+   */
+  generateManifest: function generateManifest(pageUrl, title, next) {
+    Request({
+      url: pageUrl,
+      onComplete: function (response) {
+        let info = { title: title, icons: [] };
+        if (response.status == 200 && response.text) {
+          try {
+            let parser = Cc["@mozilla.org/xmlextras/domparser;1"].
+                         createInstance(Ci.nsIDOMParser);
+            let doc = parser.parseFromString(response.text, "text/html");
+            info = ManifestGenerator.extractPageInfo(doc);
+            // The title of an open tab may have been updated by scripts.
+            info.title = title || info.title;
+          } catch(e) {
+            console.error("Error parsing " + pageUrl + ": " + e);
+          }
+        } else {
+          console.warn("Unexpected status code fetching " + pageUrl + ": " +
+                       response.status);
+        }
+
+        let { manifest, warnings } =
+          ManifestGenerator.generate(info, pageUrl);
+        next(manifest, warnings);
+      }
+    }).get();
+  },
+
+  /**
+   * Register the app whose generated manifest the user reviewed (and maybe
+   * edited) on the Dashboard.
+   */
+  addGeneratedApp: function addGeneratedApp(pageUrl, text) {
+    let addManifestArgs = gPendingGeneratedApps[pageUrl];
+    if (!addManifestArgs) {
+      return;
+    }
+
+    try {
+      addManifestArgs.webapp = JsonLint.parse(text);
+    } catch(e) {
+      this.worker.postMessage({
+        name: "reviewManifest",
+        url: pageUrl,
+        text: text,
+        warnings: [],
+        error: "Invalid manifest: " + (e.message || e),
+      });
+      return;
+    }
+
+    delete gPendingGeneratedApps[pageUrl];
+    this.addManifest(addManifestArgs);
+  },
+
+  cancelGeneratedApp: function cancelGeneratedApp(pageUrl) {
+    delete gPendingGeneratedApps[pageUrl];
+  },
+
+  addManifestUrl: function(manifestUrl) {
+    console.log("Simulator.addManifestUrl " + manifestUrl);
+
+    Request({
+      url: manifestUrl.toString(),
+      onComplete: function (response) {
+        if (response.status != 200) {
+          simulator.error("Unexpected status code " + response.status);
+          return;
+        }
+        if (!response.json) {
+          simulator.error("Expected JSON response.");
+          return;
+        }
+        if (response.json.package_path) {
+          // A packaged app's mini-manifest rather than a hosted app's manifest.
+          console.log("Fetched mini-manifest " +
+                      JSON.stringify(response.json, null, 2));
+          simulator.addMiniManifest({
+            miniManifestUrl: manifestUrl,
+            miniManifest: response.json
+          });
+          return;
+        }
+        if (!response.json.name || !response.json.description) {
+          simulator.error("Missing mandatory property (name or description) " +
+                          "in webapp manifest");
+          return;
+        }
+
+        let contentType = response.headers["Content-Type"];
+        if (!contentType) {
+          console.warn("Webapp manifest is served without any content type.");
+        } else if (contentType.split(";")[0].trim() != MANIFEST_CONTENT_TYPE) {
+          console.warn("Webapp manifest is served with an invalid content " +
+                       "type: " + contentType + ".");
+        }
+
+        console.log("Fetched manifest " + JSON.stringify(response.json, null, 2));
+
+        simulator.addManifest({
+          manifestUrl: manifestUrl,
+          webapp: response.json
+        });
+      }
+    }).get();
+  },
+
+  validateUrl: function(url, cb) {
+    console.log("Simulator.validateUrl " + url);
+
+    Request({
+      url: url,
+      onComplete: function (response) {
+        var err = null;
+        if (response.status != 200) {
+          err = "Unexpected status code " + response.status;
+        } else {
+          let contentType = response.headers["Content-Type"];
+          if (!contentType) {
+            err = "No Content-Type for webapp manifest";
+          } else if (contentType && contentType.split(";")[0].trim() != MANIFEST_CONTENT_TYPE) {
+            err = "Unexpected Content-Type " + contentType;
+          }
+        }
+
+        if (err) {
+          console.error(err);
+        }
+        if (cb) {
+          cb(err);
+        } else {
+          simulator.worker.postMessage({
+            name: "validateUrl",
+            err: err,
+          });
+        }
+      }
+    }).head();
+  },
+
+  addManifest: function({ manifestUrl, webapp, installOrigin, generated}) {
+    console.log("Simulator.addManifest " + manifestUrl);
+    manifestUrl = URL.URL(manifestUrl.toString());
+    let origin = manifestUrl.toString().substring(0, manifestUrl.toString().lastIndexOf(manifestUrl.path));
+    if (!installOrigin) {
+      installOrigin = origin;
+    }
+
+    let icon = null;
+    if (webapp.icons) {
+      let size = Object.keys(webapp.icons).sort(function(a, b) b - a)[0] || null;
+      if (size) {
+        icon = webapp.icons[size];
+      }
+    }
+
+    let id = generated ? (origin + webapp.launch_path) : manifestUrl.toString();
+
+    let apps = simulator.apps;
+    apps[id] = {
+      type: (generated) ? "generated" : "hosted",
+      xkey: null,
+      name: webapp.name,
+      icon: icon,
+      manifest: webapp,
+      origin: origin,
+      host: manifestUrl.host,
+      installOrigin: installOrigin,
+    }
+    console.log("Registered App " + JSON.stringify(apps[id], null, 2));
+
+    this.updateApp(id, function next(error, app) {
+      // Update the Dashboard to reflect changes to the record and run the app
+      // if the update succeeded.  Otherwise, it isn't necessary to notify
+      // the user about the error, as it'll show up in the validation results.
+      simulator.sendListApps();
+      if (!error) {
+        simulator.runApp(app);
+      }
+    });
+  },
+
+  /**
+   * Register a packaged app from the URL of its mini-manifest.  The package
+   * itself is downloaded and validated by _updateCachedManifest().
+   */
+  addMiniManifest: function({ miniManifestUrl, miniManifest }) {
+    console.log("Simulator.addMiniManifest " + miniManifestUrl);
+    let id = miniManifestUrl.toString();
+
+    let xkey = UUID.uuid().toString().slice(1, -1);
+    simulator.apps[id] = {
+      type: "remote",
+      xkey: xkey,
+      origin: "app://" + xkey,
+      name: miniManifest.name,
+      miniManifest: miniManifest,
+      host: URL.URL(id).host,
+    };
+    console.log("Registered App " + JSON.stringify(simulator.apps[id], null, 2));
+
+    this.updateApp(id, function next(error, app) {
+      simulator.sendListApps();
+      if (!error) {
+        simulator.runApp(app);
+      }
+    });
+  },
+
+  _updateCachedManifest: function(id, next) {
+    let app = simulator.apps[id];
+
+    switch (app.type) {
+    case "local":
+      try {
+        let manifest = JsonLint.parse(File.read(id));
+        app.manifest = manifest;
+        next(null, app.manifest);
+      } catch(e) {
+        if (typeof next === "function") {
+          next(new SimulatorError(File.exists(id) ? "INVALID_JSON" :
+                                  "MANIFEST_NOT_FOUND", e.message || e), null);
+        }
+      }
+      break;
+    case "hosted":
+      Request({
+        url: id,
+        // Never fetch manifest from cache as if the user has hit "Update"
+        // it has probably changed.  This works around SDK bug 884113.
+        headers: {
+          "Cache-Control": "no-cache",
+        },
+        onComplete: function (response) {
+          let error;
+          if (response.status != 200) {
+            error = new SimulatorError("HTTP_STATUS", response.status);
+          } else if (!response.json) {
+            error = new SimulatorError("INVALID_JSON", getJSONError(response));
+          } else {
+            app.manifest = response.json;
+            // Validators for the conditional requests of the ManifestPoller.
+            app.manifestETag = response.headers["ETag"] || null;
+            app.manifestLastModified = response.headers["Last-Modified"] ||
+                                       null;
+            delete app.pendingManifestChange;
+            let contentType = response.headers["Content-Type"];
+            if (!contentType) {
+              error = new SimulatorError("BAD_CONTENT_TYPE", "none");
+            } else if (contentType && contentType.split(";")[0].trim() != MANIFEST_CONTENT_TYPE) {
+              error = new SimulatorError("BAD_CONTENT_TYPE", contentType);
+            }
+          }
+          if (typeof next === "function") {
+            next(error, app.manifest);
+          }
+        }
+      }).get();
+      break;
+    case "generated":
+      // nothing to update
+      next(null, app.manifest);
+      break;
+    case "remote":
+      this._updateRemotePackage(id, next);
+      break;
+    case "zip":
+      try {
+        // Only read the package again if it changed since it was imported.
+        let mtime = getLastModifiedTime(id);
+        if (!app.manifest || mtime != app.packageMtime) {
+          app.manifest = readZipManifest(id);
+          app.packageMtime = mtime;
+        }
+        next(null, app.manifest);
+      } catch(e) {
+        next(new SimulatorError("INVALID_PACKAGE", e), null);
+      }
+      break;
+    }
+  },
+
+  /**
+   * Fetch the mini-manifest of a "remote" packaged app, download the package
+   * it refers to into the package cache and read the manifest it contains.
+   */
+  _updateRemotePackage: function(id, next) {
+    let app = simulator.apps[id];
+
+    Request({
+      url: id,
+      headers: {
+        "Cache-Control": "no-cache",
+      },
+      onComplete: function (response) {
+        if (response.status != 200) {
+          next(new SimulatorError("HTTP_STATUS", response.status), null);
+          return;
+        }
+        if (!response.json) {
+          next(new SimulatorError("INVALID_JSON", getJSONError(response)),
+               null);
+          return;
+        }
+
+        let miniManifest = response.json;
+        // Its warnings are reported by validateApp().
+        let errors = MiniManifest.validate(miniManifest).errors;
+        if (errors.length) {
+          next(new SimulatorError("INVALID_MANIFEST", errors.join(" ")), null);
+          return;
+        }
+        app.miniManifest = miniManifest;
+
+        let packageUrl = URL.URL(miniManifest.package_path, id).toString();
+        let packageDir = File.join(simulator.packageCacheDir, app.xkey);
+        File.mkpath(packageDir);
+        let packageFile = File.join(packageDir, MiniManifest.PACKAGE_NAME);
+
+        console.log("downloading " + packageUrl + " to " + packageFile);
+        downloadFile(packageUrl, packageFile, function(error, size) {
+          if (error) {
+            next(new SimulatorError("DOWNLOAD_FAILED",
+                                    packageUrl + ": " + error), null);
+            return;
+          }
+          app.packageUrl = packageUrl;
+          app.packageSize = size;
+
+          try {
+            app.manifest = readZipManifest(packageFile);
+          } catch(e) {
+            next(new SimulatorError("INVALID_PACKAGE", packageUrl + ": " + e),
+                 null);
+            return;
+          }
+          next(null, app.manifest);
+        });
+      }
+    }).get();
+  },
+
+  // validateApp: updates and validate app manifest
+  // - errors:
+  //   - missing manifest
+  //   - invalid json
+  //   - missing name
+  //   - hosted app can not be type privileged/certified
+  // - warnings:
+  //   - non-blocking manifest errors:
+  //     - missing icons
+  //     - app submission to the Marketplace needs at least an 128 icon
+  //     - unknown type
+  //     - unknown permission
+  //     - unknwon permission access
+  //     - deny permission
+  //   - simulator supported warnings:
+  //     - certified apps are fully supported on the simulator
+  //     - WebAPI XXX is not currently supported on the simulator
+  validateApp: function(id, next) {
+    let app = simulator.apps[id];
+    app.validation = {errors: [], warnings: []};
+
+    // NOTE: add errors/warnings for name and icons manifest attributes
+    //       and updates name and icon attributes on the registered app object
+    Validator.validateNameIcons(app.validation.errors, app.validation.warnings,
+                                app.manifest, app);
+    Validator.validatePermissions(app.validation.errors, app.validation.warnings,
+                                  app.manifest);
+    Validator.validateType(app.validation.errors, app.validation.warnings,
+                           app.manifest, app);
+    Validator.validateManifest(app.validation.errors, app.validation.warnings,
+                               app.manifest);
+
+    // Appcache checks
+    if (["generated", "hosted"].indexOf(app.type) !== -1) {
+      // Only verify appcache for hosted apps
+      Validator.validateAppCache(app.validation.errors, app.validation.warnings,
+                                 app.manifest, app.origin);
+    } else if ("appcache_path" in app.manifest) {
+      app.validation.warnings.push("Packaged apps don't support appcache");
+    }
+
+    if (app.type == "remote") {
+      Validator.validateMiniManifest(app.validation.errors,
+                                     app.validation.warnings,
+                                     app.miniManifest, app.manifest,
+                                     app.packageSize);
+    }
+
+    // check if there's any validation error
+    if (typeof next === "function") {
+      if (app.validation.errors.length === 0) {
+        next(null, app);
+      } else {
+        next(new SimulatorError("INVALID_MANIFEST",
+                                app.validation.errors.join(" ")), app);
+      }
+    }
+  },
+
+  sendListApps: function() {
+    console.log("Simulator.sendListApps");
+    // Apps may be changed by the API while the Dashboard is closed.
+    if (!this.worker) {
+      return;
+    }
+    this.worker.postMessage({
+      name: "listApps",
+      list: simulator.apps,
+    });
+  },
+
+  sendListTabs: function() {
+    var tabs = {};
+    for each (var tab in Tabs) {
+      if (!tab.url || !(/^https?:/).test(tab.url)) {
+        continue;
+      }
+      tabs[tab.url] = tab.title;
+    }
+    this.worker.postMessage({
+      name: "listTabs",
+      list: tabs
+    });
+  },
+
+  openTab: function(url, lax, cb) {
+    cb = cb || function () {};
+    for each (let tab in Tabs) {
+      if (tab.url === url || (lax && tab.url.indexOf(url) === 0)) {
+        tab.activate();
+        // Hacky workaround to ensure the tab is ready before we call
+        // the callback.  Implement better approach after fixing SDK bug 879534!
+        let worker = tab.attach({
+          contentScript: "self.postMessage()",
+          onMessage: function() {
+            worker.destroy();
+            cb(tab);
+          },
+        });
+        return;
+      }
+    }
+
+    Windows.activeWindow.tabs.open({
+      url: url,
+      onReady: cb,
+    });
+  },
+
+  openHelperTab: function(cb) {
+    cb = cb || function () {};
+    // Ensure opening only one simulator page
+    if (this.worker) {
+      let tab = this.worker.tab;
+      tab.activate();
+      // Hacky workaround to ensure the tab is ready before we call
+      // the callback.  Implement better approach after fixing SDK bug 879534!
+      let worker = tab.attach({
+        contentScript: "self.postMessage()",
+        onMessage: function() {
+          worker.destroy();
+          cb(tab);
+        },
+      });
+    } else {
+      this.openTab(simulator.contentPage, true, cb);
+    }
+  },
+
+  closeHelperTab: function closeHelperTab() {
+    if (this.worker) {
+      this.worker.tab.close();
+    }
+  },
+
+  connectToApp: function(id) {
+    // connectToApp implementation is asynchronous and take a visible amount of
+    // time to end up displaying the toolbox.
+    // We need to lock down toolbox create to prevent trying to display more
+    // than one at a time.
+    if (gConnectingToApp)
+      return;
+    gConnectingToApp = true;
+
+    let app = this.apps[id];
+    this.runApp(app, (function(error) {
+      if (error) {
+        if (error.code == "APP_NOT_INSTALLED") {
+          this.updateApp(id, (function(error) {
+            if (error) {
+              gConnectingToApp = false;
+              this.error(SimulatorError.from(error));
+            } else {
+              this.runApp(app, this.openToolboxForApp.bind(this, app));
+            }
+          }).bind(this));
+        } else {
+          gConnectingToApp = false;
+          this.error(SimulatorError.from(error));
+        }
+      } else {
+        this.openToolboxForApp(app);
+      }
+    }).bind(this));
+  },
+
+  openToolboxForApp: function(app) {
+    if (gCurrentToolbox) {
+      gCurrentToolbox.destroy();
+      gCurrentToolbox = null;
+    }
+    gCurrentToolboxManifestURL = app.manifestURL;
+
+    // Function called whenever the toolbox is finally created
+    function toolboxDisplayed(toolbox) {
+      gCurrentToolbox = toolbox;
+      gConnectingToApp = false;
+
+      // Display a message in the console to make it clear that the toolbox
+      // got connected to a new App
+      let ui = toolbox.getPanel("webconsole").hud.ui;
+      let CATEGORY_JS = 2;
+      let SEVERITY_INFO = 2;
+      let node = ui.createMessageNode(CATEGORY_JS, SEVERITY_INFO,
+                                      "The toolbox is now connected to " + app.name);
+      ui.outputMessage(CATEGORY_JS, node);
+    }
+    // We need to workaround existing devtools DebuggerClient.close code,
+    // that tries to close the connection when the toolbox is closed
+    // whereas we want to keep the client alive for other usages!
+    // Although, at the same time, we do want the other cleanups being done in
+    // client.close.
+    // http://hg.mozilla.org/mozilla-central/file/a67425aa4728/toolkit/devtools/client/dbg-client.jsm#l354
+    // TODO: tweak platform code to prevent that and remove this workaround.
+    let client = this.remoteSimulator.client;
+    function clientClose(aOnClosed) {
+      // Disable detach event notifications, because event handlers will be in a
+      // cleared scope by the time they run.
+      //this._eventsEnabled = false;
+
+      if (aOnClosed) {
+        this.addOneTimeListener('closed', function(aEvent) {
+          aOnClosed();
+        });
+      }
+
+      // In this function, we're using the hoisting behavior of nested
+      // function definitions to write the code in the order it will actually
+      // execute. So converting to arrow functions to get rid of 'self' would
+      // be unhelpful here.
+      let self = this;
+
+      let continuation = function () {
+        self._consoleClients = {};
+        detachThread();
+      }
+
+      for each (let client in this._consoleClients) {
+        continuation = client.close.bind(client, continuation);
+      }
+
+      continuation();
+
+      function detachThread() {
+        if (self.activeThread) {
+          self.activeThread.detach(detachTab);
+        } else {
+          detachTab();
+        }
+      }
+
+      function detachTab() {
+        if (self.activeTab) {
+          self.activeTab.detach(closeTransport);
+        } else {
+          closeTransport();
+        }
+      }
+
+      function closeTransport() {
+        console.log("client.close: hooked and cancelled transport closing");
+        //self._transport.close();
+        //self._transport = null;
+      }
+    }
+    let clientProxy = new Proxy(client, {
+      get: function (target, name) {
+        // Hook close method to prevent transport closing
+        if (name == "close") {
+          return clientClose.bind(target);
+        }
+        return target[name];
+      },
+      set: function (target, name, v) {
+        // Prevent `this._transport = null;`
+        if (name == "_transport") {
+          return false;
+        }
+        target[name] = v;
+      }
+    });
+
+    let self = this;
+    this.remoteSimulator.getActorForApp(app.manifestURL, function (actor) {
+      let options = {
+        form: actor,
+        client: clientProxy,
+        chrome: false
+      };
+
+      // Devtools API changed at each 3 last FF version :'(
+      // Either on how to load modules, or how to use the API.
+      try {
+        let devtools;
+        try {
+          // FF24
+          devtools = Cu.import("resource://gre/modules/devtools/Loader.jsm", {}).devtools;
+        } catch(e) {
+          // FF23
+          devtools = Cu.import("resource:///modules/devtools/gDevTools.jsm", {}).devtools;
+        }
+        let promise = devtools.TargetFactory.forRemoteTab(options).then(function (target) {
+          // We have to set tab as BottomHost expect a tab attribute on target whereas
+          // TabTarget ignores any tab being given as options attributes passed to forRemoteTab.
+          let browserWindow = Services.wm.getMostRecentWindow("navigator:browser");
+          Object.defineProperty(target, "tab", {value: browserWindow.gBrowser.selectedTab});
+
+          let promise = gDevTools.showToolbox(target, "webconsole", devtools.Toolbox.HostType.BOTTOM);
+          promise.then(toolboxDisplayed);
+        });
+      } catch(e) {
+        let TargetFactory = Cu.import("resource:///modules/devtools/Target.jsm", {}).TargetFactory;
+        let Toolbox = Cu.import("resource:///modules/devtools/Toolbox.jsm", {}).Toolbox;
+        if (TargetFactory.forRemote) {
+          // FF21
+          let target = TargetFactory.forRemote(options.form, options.client, options.chrome);
+
+          // We have to set tab as BottomHost expect a tab attribute on target whereas
+          // TabTarget ignores any tab being given as options attributes passed to forRemoteTab.
+          let browserWindow = Services.wm.getMostRecentWindow("navigator:browser");
+          Object.defineProperty(target, "tab", {value: browserWindow.gBrowser.selectedTab});
+
+          // XXX: For some unknown reason, the toolbox doesn't get unregistered
+          // on close. Workaround that by manually unregistering it.
+          gDevTools._toolboxes.delete(target);
+
+          let promise = gDevTools.showToolbox(target, "webconsole", Toolbox.HostType.BOTTOM);
+          promise.then(toolboxDisplayed);
+        } else {
+          // FF22
+          let target = TargetFactory.forTab(options);
+          // We have to set tab as BottomHost expect a tab attribute on target whereas
+          // TabTarget ignores any tab being given as options attributes passed to forRemoteTab.
+          let browserWindow = Services.wm.getMostRecentWindow("navigator:browser");
+          Object.defineProperty(target, "tab", {value: browserWindow.gBrowser.selectedTab});
+          target.makeRemote(options).then(function() {
+            let promise = gDevTools.showToolbox(target, "webconsole", Toolbox.HostType.BOTTOM);
+            promise.then(toolboxDisplayed);
+          });
+        }
+      }
+    });
+  },
+
+  kill: function(onKilled) {
+    // WORKAROUND: currently add and update an app will be executed
+    // as a simulator.kill callback
+    if (this.remoteSimulator.isRunning) {
+      this.remoteSimulator.kill(onKilled);
+    } else if (typeof onKilled === "function") {
+      onKilled();
+    }
+  },
+
+  revealApp: function(id) {
+    let config = this.apps[id];
+    if (!config) {
+      return;
+    }
+    switch (config.type) {
+      case "local":
+      case "zip":
+        let manifestFile = Cc["@mozilla.org/file/local;1"].createInstance(Ci.nsIFile);
+        manifestFile.initWithPath(id);
+        try {
+          manifestFile.reveal();
+        } catch (e) {
+          this.error("Could not open " + id);
+        }
+        break;
+      case "generated":
+        this.openTab(id);
+        break;
+      case "hosted":
+      case "remote":
+        this.openTab(id);
+        break;
+    }
+  },
+
+  run: function (cb) {
+    let next = null;
+    // if needsUpdateAll try to reinstall all active registered app
+    if (SStorage.storage.needsUpdateAll) {
+      next = (typeof cb === "function") ?
+        (function(e) e ? cb(e) : simulator.updateAll(cb)) :
+        (function(e) e ? null  : simulator.updateAll());
+    } else {
+      next = (typeof cb === "function") ? cb : (function() {});
+    }
+
+    // NOTE: if a b2g instance is already running send request
+    //       or start a new instance and send request on ready
+    if (this.isRunning) {
+      if (this.remoteSimulator.isReady) {
+        next();
+      } else {
+        this.remoteSimulator.once("ready", next);
+      }
+    } else if (gSnapshotsInProgress) {
+      // Wait for the snapshot being taken of the profile.
+      gSnapshotWaiters.push(function() simulator.run(cb));
+    } else {
+      this.remoteSimulator.once("ready", function ready() {
+        // once we reach ready we can disable needsUpdateAll
+        if (SStorage.storage.needsUpdateAll) {
+          SStorage.storage.needsUpdateAll = false;
         }
+        next();
+      });
 
-        if (err) {
-          console.error(err);
+      // Reset currently opened app list
+      gRunningApps = [];
+
+      let onError = function(e) {
+        if (!cb) {
+          // report error if simulator.run is called
+          // without a cb to handle the error.
+          simulator.error(e);
         }
-        if (cb) {
-          cb(err);
+        simulator.postIsRunning();
+        next(e);
+      };
+      try {
+        this.remoteSimulator.run(onError);
+      } catch(e) {
+        onError(e);
+      }
+    }
+  },
+
+  runApp: function(app, next, instance) {
+    let id = this._getAppId(app);
+    let target = instance ? " in instance " + instance : "";
+
+    this.runInstance(instance, function (error) {
+      if (error) {
+        simulator.recordEvent(id, "error", "Launch failed" + target + ": " +
+                              error);
+        if (typeof next === "function") {
+          next(error);
         } else {
-          simulator.worker.postMessage({
-            name: "validateUrl",
-            err: err,
-          });
+          simulator.error(error);
         }
+        return;
       }
-    }).head();
+
+      let client = simulator.getInstanceClient(instance);
+      client.runApp(app.xkey, function(response) {
+        if (!response.success) {
+          let error = SimulatorError.fromResponse(response, "RUN_FAILED");
+          simulator.recordEvent(id, "error", "Launch failed" + target + ": " +
+                                error);
+          if (typeof next === "function") {
+            next(error);
+          } else {
+            simulator.error(error);
+          }
+          return;
+        }
+        simulator.recordEvent(id, "launch", "Launched" + target);
+
+        // Listen for app to be finally opened before firing the callback
+        if (typeof next === "function") {
+          if (!instance && gRunningApps.indexOf(app) != -1) {
+            next();
+          } else {
+            client.on("appOpen", function listener({manifestURL}) {
+              if (manifestURL == app.manifestURL) {
+                client.removeListener("appOpen", listener);
+                next();
+              }
+            });
+          }
+        }
+      });
+    });
   },
 
-  addManifest: function({ manifestUrl, webapp, installOrigin, generated}) {
-    console.log("Simulator.addManifest " + manifestUrl);
-    manifestUrl = URL.URL(manifestUrl.toString());
-    let origin = manifestUrl.toString().substring(0, manifestUrl.toString().lastIndexOf(manifestUrl.path));
-    if (!installOrigin) {
-      installOrigin = origin;
+  get isRunning() {
+    return this.remoteSimulator.isRunning;
+  },
+
+  /**
+   * Get the localStorage, sessionStorage, cookies and IndexedDB databases
+   * of an installed app.  Calls next(error, storage).
+   *
+   * b2g keeps the files of the IndexedDB databases open while it's running,
+   * so they are only listed if the Simulator isn't running yet, otherwise
+   * `storage.indexedDB` is null.
+   */
+  getAppStorage: function getAppStorage(id, next) {
+    let app = this.apps[id];
+    if (!app || app.removed) {
+      next(new SimulatorError("APP_NOT_FOUND", id));
+      return;
+    }
+    if (!app.xkey) {
+      next(new SimulatorError("APP_NOT_INSTALLED", id));
+      return;
     }
 
-    let icon = null;
-    if (webapp.icons) {
-      let size = Object.keys(webapp.icons).sort(function(a, b) b - a)[0] || null;
-      if (size) {
-        icon = webapp.icons[size];
+    let indexedDB = null;
+    if (!this.remoteSimulator.isRunning &&
+        !SStorage.storage.pendingProfileRestore) {
+      try {
+        indexedDB = listIndexedDB(this.profileDir, app.xkey);
+      } catch(e) {
+        console.error("Error listing the IndexedDB databases of " + id + ": " +
+                      e);
       }
     }
 
-    let id = generated ? (origin + webapp.launch_path) : manifestUrl.toString();
+    this.run(function(error) {
+      if (error) {
+        next(error);
+        return;
+      }
+      simulator.remoteSimulator.getAppStorage(app.xkey, function(response) {
+        if (!response.success) {
+          next(SimulatorError.fromResponse(response));
+        } else {
+          response.storage.indexedDB = indexedDB;
+          next(null, response.storage);
+        }
+      });
+    });
+  },
 
-    let apps = simulator.apps;
-    apps[id] = {
-      type: (generated) ? "generated" : "hosted",
-      xkey: null,
-      name: webapp.name,
-      icon: icon,
-      manifest: webapp,
-      origin: origin,
-      host: manifestUrl.host,
-      installOrigin: installOrigin,
+  removeAppStorageItem: function removeAppStorageItem(id, storage, key, next) {
+    let error = this._checkAppInstalled(id);
+    if (error) {
+      next(error);
+      return;
     }
-    console.log("Registered App " + JSON.stringify(apps[id], null, 2));
 
-    this.updateApp(id, function next(error, app) {
-      // Update the Dashboard to reflect changes to the record and run the app
-      // if the update succeeded.  Otherwise, it isn't necessary to notify
-      // the user about the error, as it'll show up in the validation results.
-      simulator.sendListApps();
-      if (!error) {
-        simulator.runApp(app);
-      }
+    this.remoteSimulator.removeAppStorageItem(this.apps[id].xkey, storage, key,
+                                              function(response) {
+      next(response.success ? null : SimulatorError.fromResponse(response));
     });
   },
 
-  _updateCachedManifest: function(id, next) {
-    let app = simulator.apps[id];
+  // Return the SimulatorError preventing to act on an app in the running
+  // Simulator, or null if it's installed there.
+  _checkAppInstalled: function _checkAppInstalled(id) {
+    let app = this.apps[id];
+    if (!app || app.removed) {
+      return new SimulatorError("APP_NOT_FOUND", id);
+    }
+    if (!this.remoteSimulator.isReady) {
+      return new SimulatorError("SIMULATOR_NOT_RUNNING");
+    }
+    if (!app.xkey) {
+      return new SimulatorError("APP_NOT_INSTALLED", id);
+    }
+    return null;
+  },
 
-    switch (app.type) {
-    case "local":
-      try {
-        let manifest = JsonLint.parse(File.read(id));
-        app.manifest = manifest;
-        next(null, app.manifest);
-      } catch(e) {
-        if (typeof next === "function") {
-          next(e, null);
-        }
+  /**
+   * Get the permission types declared in the manifest of an app, with their
+   * `state` in the Simulator ("allow", "deny", "prompt" or "unknown") and
+   * whether it's one of the user's `override`s.
+   */
+  getAppPermissions: function getAppPermissions(id, next) {
+    let app = this.apps[id];
+    if (!app || app.removed) {
+      next(new SimulatorError("APP_NOT_FOUND", id));
+      return;
+    }
+    if (!app.xkey) {
+      next(new SimulatorError("APP_NOT_INSTALLED", id));
+      return;
+    }
+
+    this.run(function(error) {
+      if (error) {
+        next(error);
+        return;
       }
-      break;
-    case "hosted":
-      Request({
-        url: id,
-        // Never fetch manifest from cache as if the user has hit "Update"
-        // it has probably changed.  This works around SDK bug 884113.
-        headers: {
-          "Cache-Control": "no-cache",
-        },
-        onComplete: function (response) {
-          let error;
-          if (response.status != 200) {
-            error = "Unexpected status code: '" + response.status + "'.";
-          } else if (!response.json) {
-            error = "Expected JSON response: ";
-            try {
-              JsonLint.parse(response.text);
-            } catch(e) {
-              error += e;
-            }
-          } else {
-            app.manifest = response.json;
-            let contentType = response.headers["Content-Type"];
-            if (!contentType) {
-              error = "No Content-type for webapp manifest.";
-            } else if (contentType && contentType.split(";")[0].trim() != MANIFEST_CONTENT_TYPE) {
-              error = "Unexpected Content-Type: '" + contentType + "'.";
-            }
-          }
-          if (typeof next === "function") {
-            next(error, app.manifest);
+      simulator.remoteSimulator.getAppPermissions(app.xkey,
+        (app.manifest && app.manifest.permissions) || {},
+        function(response) {
+          if (!response.success) {
+            next(SimulatorError.fromResponse(response));
+            return;
           }
-        }
-      }).get();
-      break;
-    case "generated":
-      // nothing to update
-      next(null, app.manifest);
-      break;
+          let overrides = app.permissionOverrides || {};
+          response.permissions.forEach(function(permission) {
+            permission.override = permission.type in overrides;
+          });
+          next(null, response.permissions);
+        });
+    });
+  },
+
+  /**
+   * Set the state of a permission type of an app in the Simulator, and keep
+   * it as an override that is applied again whenever the app is reinstalled.
+   */
+  setAppPermission: function setAppPermission(id, type, state, next) {
+    let error = this._checkAppInstalled(id);
+    if (error) {
+      next(error);
+      return;
     }
+
+    let app = this.apps[id];
+    this.remoteSimulator.setAppPermission(app.xkey, type, state,
+                                          function(response) {
+      if (!response.success) {
+        next(SimulatorError.fromResponse(response));
+        return;
+      }
+      let overrides = app.permissionOverrides ||
+                      (app.permissionOverrides = {});
+      overrides[type] = state;
+      simulator.recordEvent(id, "permission", "Set permission '" + type +
+                            "' to " + state);
+      next(null);
+    });
   },
 
-  // validateApp: updates and validate app manifest
-  // - errors:
-  //   - missing manifest
-  //   - invalid json
-  //   - missing name
-  //   - hosted app can not be type privileged/certified
-  // - warnings:
-  //   - non-blocking manifest errors:
-  //     - missing icons
-  //     - app submission to the Marketplace needs at least an 128 icon
-  //     - unknown type
-  //     - unknown permission
-  //     - unknwon permission access
-  //     - deny permission
-  //   - simulator supported warnings:
-  //     - certified apps are fully supported on the simulator
-  //     - WebAPI XXX is not currently supported on the simulator
-  validateApp: function(id, next) {
-    let app = simulator.apps[id];
-    app.validation = {errors: [], warnings: []};
+  /**
+   * Forget the override of a permission type of an app.  Its state is kept
+   * until the app is reinstalled.
+   */
+  removePermissionOverride: function removePermissionOverride(id, type) {
+    let app = this.apps[id];
+    if (app && app.permissionOverrides && type in app.permissionOverrides) {
+      delete app.permissionOverrides[type];
+      this.recordEvent(id, "permission", "Stopped setting permission '" +
+                       type + "' on reinstall, its state is kept until then");
+      if (!Object.keys(app.permissionOverrides).length) {
+        delete app.permissionOverrides;
+      }
+    }
+  },
 
-    // NOTE: add errors/warnings for name and icons manifest attributes
-    //       and updates name and icon attributes on the registered app object
-    Validator.validateNameIcons(app.validation.errors, app.validation.warnings,
-                                app.manifest, app);
-    Validator.validatePermissions(app.validation.errors, app.validation.warnings,
-                                  app.manifest);
-    Validator.validateType(app.validation.errors, app.validation.warnings,
-                           app.manifest, app);
-    Validator.validateManifest(app.validation.errors, app.validation.warnings,
-                               app.manifest);
+  // Set again the overridden permissions of an app after its install with
+  // `client`, then call `next`.
+  _applyPermissionOverrides: function _applyPermissionOverrides(id, client,
+                                                                next) {
+    let app = this.apps[id];
+    let overrides = (app && app.permissionOverrides) || {};
+    let types = Object.keys(overrides);
+
+    let applyNext = function applyNext() {
+      if (!types.length) {
+        next();
+        return;
+      }
+      let type = types.shift();
+      client.setAppPermission(app.xkey, type, overrides[type],
+                              function(response) {
+        if (!response.success) {
+          console.error("Error setting permission " + type + " of " + id +
+                        ": " + response.error);
+        }
+        applyNext();
+      });
+    };
+    applyNext();
+  },
 
-    // Appcache checks
-    if (["generated", "hosted"].indexOf(app.type) !== -1) {
-      // Only verify appcache for hosted apps
-      Validator.validateAppCache(app.validation.errors, app.validation.warnings,
-                                 app.manifest, app.origin);
-    } else if ("appcache_path" in app.manifest) {
-      app.validation.warnings.push("Packaged apps don't support appcache");
+  setPermissionPromptPolicy: function setPermissionPromptPolicy(policy) {
+    if (PERMISSION_PROMPT_POLICIES.indexOf(policy) == -1) {
+      throw new SimulatorError("INVALID_SETTING",
+                               "Unknown permission prompt policy: '" +
+                               policy + "'");
     }
+    SStorage.storage.permissionPromptPolicy = policy;
+    this._updatePermissionPromptPolicy();
+  },
 
-    // check if there's any validation error
-    if (typeof next === "function") {
-      if (app.validation.errors.length === 0) {
-        next(null, app);
-      } else {
-        next(Error("Invalid Manifest."), app);
+  /**
+   * Set how the prompts for a permission type of an app are decided when
+   * the policy is "rules": "allow", "deny", or null to show them.
+   */
+  setPermissionPromptRule: function setPermissionPromptRule(id, type,
+                                                            decision) {
+    let app = this.apps[id];
+    if (!app) {
+      throw new SimulatorError("APP_NOT_FOUND", id);
+    }
+    if (decision != "allow" && decision != "deny") {
+      if (app.permissionPromptRules) {
+        delete app.permissionPromptRules[type];
       }
+    } else {
+      let rules = app.permissionPromptRules ||
+                  (app.permissionPromptRules = {});
+      rules[type] = decision;
     }
+    this._updatePermissionPromptPolicy();
   },
 
-  sendListApps: function() {
-    console.log("Simulator.sendListApps");
-    this.worker.postMessage({
-      name: "listApps",
-      list: simulator.apps,
-    });
+  sendPermissionPromptPolicy: function sendPermissionPromptPolicy() {
+    if (this.worker) {
+      this.worker.postMessage({
+        name: "permissionPromptPolicy",
+        policy: this.permissionPromptPolicy
+      });
+    }
   },
 
-  sendListTabs: function() {
-    var tabs = {};
-    for each (var tab in Tabs) {
-      if (!tab.url || !(/^https?:/).test(tab.url)) {
-        continue;
+  // The policy as set in the Simulator: the rules are indexed by app origin.
+  _getPermissionPromptPolicy: function _getPermissionPromptPolicy() {
+    let rules = {};
+    for each (let app in this.apps) {
+      if (app.origin && app.permissionPromptRules && !app.removed) {
+        rules[app.origin] = app.permissionPromptRules;
       }
-      tabs[tab.url] = tab.title;
     }
-    this.worker.postMessage({
-      name: "listTabs",
-      list: tabs
+    return { mode: this.permissionPromptPolicy, rules: rules };
+  },
+
+  // Set the policy in the running Simulator and instances.
+  _updatePermissionPromptPolicy: function _updatePermissionPromptPolicy() {
+    let clients = [remoteSimulator];
+    for each (let client in gInstanceClients) {
+      clients.push(client);
+    }
+    let policy = this._getPermissionPromptPolicy();
+    clients.forEach(function(client) {
+      if (client && client.isReady) {
+        client.setPermissionPromptPolicy(policy);
+      }
     });
+    this.sendPermissionPromptPolicy();
   },
 
-  openTab: function(url, lax, cb) {
-    cb = cb || function () {};
-    for each (let tab in Tabs) {
-      if (tab.url === url || (lax && tab.url.indexOf(url) === 0)) {
-        tab.activate();
-        // Hacky workaround to ensure the tab is ready before we call
-        // the callback.  Implement better approach after fixing SDK bug 879534!
-        let worker = tab.attach({
-          contentScript: "self.postMessage()",
-          onMessage: function() {
-            worker.destroy();
-            cb(tab);
-          },
-        });
-        return;
+  // Set the policy in the Simulator of `client` whenever it starts, and log
+  // the prompts it decides in the history of the apps.
+  _watchPermissionPrompts: function _watchPermissionPrompts(client) {
+    client.on("ready", function() {
+      client.setPermissionPromptPolicy(simulator._getPermissionPromptPolicy());
+    });
+    client.on("permissionPrompt", function(prompt) {
+      let message = "Automatically " +
+                    (prompt.decision == "allow" ? "allowed" : "denied") +
+                    " the '" + prompt.permission + "' prompt" +
+                    (prompt.access ? " (" + prompt.access + ")" : "") +
+                    " per the '" + simulator.permissionPromptPolicy +
+                    "' policy";
+      console.log(message + " for " + prompt.origin);
+      for (let id in simulator.apps) {
+        if (simulator.apps[id].origin == prompt.origin) {
+          simulator.recordEvent(id, "permission", message);
+        }
       }
+    });
+  },
+
+  setNetworkThrottle: function setNetworkThrottle(throttle) {
+    if (!throttle || NETWORK_PROFILES.indexOf(throttle.profile) == -1) {
+      throw new SimulatorError("INVALID_SETTING", "Unknown network profile: '" +
+                               (throttle && throttle.profile) + "'");
     }
+    SStorage.storage.networkThrottle = {
+      profile: throttle.profile,
+      latency: Math.max(parseInt(throttle.latency, 10) || 0, 0),
+      bandwidth: Math.max(parseInt(throttle.bandwidth, 10) || 0, 0)
+    };
 
-    Windows.activeWindow.tabs.open({
-      url: url,
-      onReady: cb,
+    let clients = [remoteSimulator];
+    for each (let client in gInstanceClients) {
+      clients.push(client);
+    }
+    clients.forEach(function(client) {
+      if (client && client.isReady) {
+        client.setNetworkThrottle(simulator.networkThrottle,
+                                  function(response) {
+          if (!response.success) {
+            simulator.error(SimulatorError.fromResponse(response));
+          }
+        });
+      }
     });
+    this.sendNetworkThrottle();
   },
 
-  openHelperTab: function(cb) {
-    cb = cb || function () {};
-    // Ensure opening only one simulator page
+  sendNetworkThrottle: function sendNetworkThrottle() {
     if (this.worker) {
-      let tab = this.worker.tab;
-      tab.activate();
-      // Hacky workaround to ensure the tab is ready before we call
-      // the callback.  Implement better approach after fixing SDK bug 879534!
-      let worker = tab.attach({
-        contentScript: "self.postMessage()",
-        onMessage: function() {
-          worker.destroy();
-          cb(tab);
-        },
+      this.worker.postMessage({
+        name: "networkThrottle",
+        throttle: this.networkThrottle
       });
-    } else {
-      this.openTab(simulator.contentPage, true, cb);
     }
   },
 
-  closeHelperTab: function closeHelperTab() {
-    if (this.worker) {
-      this.worker.tab.close();
-    }
+  // Emulate the network conditions in the Simulator of `client` whenever it
+  // starts, and keep the ones chosen from its toolbar.
+  _watchNetworkThrottle: function _watchNetworkThrottle(client) {
+    client.on("ready", function() {
+      client.setNetworkThrottle(simulator.networkThrottle);
+    });
+    client.on("networkThrottleChange", function(state) {
+      SStorage.storage.networkThrottle = {
+        profile: state.profile,
+        latency: state.latency,
+        bandwidth: state.bandwidth
+      };
+      simulator.sendNetworkThrottle();
+    });
   },
 
-  connectToApp: function(id) {
-    // connectToApp implementation is asynchronous and take a visible amount of
-    // time to end up displaying the toolbox.
-    // We need to lock down toolbox create to prevent trying to display more
-    // than one at a time.
-    if (gConnectingToApp)
-      return;
-    gConnectingToApp = true;
+  sendAppPermissions: function sendAppPermissions(id) {
+    this.getAppPermissions(id, function(error, permissions) {
+      if (!simulator.worker) {
+        return;
+      }
+      simulator.worker.postMessage({
+        name: "appPermissions",
+        id: id,
+        error: error ? String(error) : null,
+        permissions: permissions,
+      });
+    });
+  },
 
-    let app = this.apps[id];
-    this.runApp(app, (function(error) {
+  /**
+   * List the activity handlers registered by the apps installed in the
+   * Simulator: their `name`, `filters`, `disposition`, `returnValue` and
+   * owning `app`, with the `id` of the app if it's a registered one.
+   */
+  listActivities: function listActivities(next) {
+    this.run(function(error) {
       if (error) {
-        if (error == "app-not-installed") {
-          this.updateApp(id, (function(error) {
-            if (error) {
-              this.error("Error connecting to app: " + error);
-            } else {
-              this.runApp(app, this.openToolboxForApp.bind(this, app));
-            }
-          }).bind(this));
-        } else {
-          this.error("Error connecting to app: " + error);
+        next(error);
+        return;
+      }
+      simulator.remoteSimulator.listActivities(function(response) {
+        if (!response.success) {
+          next(SimulatorError.fromResponse(response));
+          return;
         }
-      } else {
-        this.openToolboxForApp(app);
+        response.activities.forEach(function(handler) {
+          handler.app.id = null;
+          for (let id in simulator.apps) {
+            if (simulator.apps[id].manifestURL == handler.app.manifestURL &&
+                !simulator.apps[id].removed) {
+              handler.app.id = id;
+            }
+          }
+        });
+        next(null, response.activities);
+      });
+    });
+  },
+
+  /**
+   * Start a MozActivity with `name` and `data` in the Simulator.  Calls
+   * next(error, activityId) once it's started, its result is emitted by
+   * the remote simulator client as "activityResult".
+   */
+  startActivity: function startActivity(name, data, next) {
+    this.run(function(error) {
+      if (error) {
+        next(error);
+        return;
       }
-    }).bind(this));
+      simulator.remoteSimulator.startActivity(name, data, function(response) {
+        next(response.success ? null : SimulatorError.fromResponse(response),
+             response.activityId);
+      });
+    });
   },
 
-  openToolboxForApp: function(app) {
-    if (gCurrentToolbox) {
-      gCurrentToolbox.destroy();
-      gCurrentToolbox = null;
+  sendActivities: function sendActivities() {
+    this.listActivities(function(error, activities) {
+      if (!simulator.worker) {
+        return;
+      }
+      simulator.worker.postMessage({
+        name: "activities",
+        error: error ? String(error) : null,
+        activities: activities,
+      });
+    });
+  },
+
+  /**
+   * Send a system message of `type` with the `message` payload to an app
+   * installed in the Simulator, which is opened if needed.  Calls
+   * next(error, result) with whether a page of the app is `registered` for
+   * that type in its manifest, and the `page` that got the message.
+   */
+  sendSystemMessage: function sendSystemMessage(id, type, message, next) {
+    let error = this._checkAppInstalled(id);
+    if (error) {
+      next(error);
+      return;
     }
-    gCurrentToolboxManifestURL = app.manifestURL;
 
-    // Function called whenever the toolbox is finally created
-    function toolboxDisplayed(toolbox) {
-      gCurrentToolbox = toolbox;
-      gConnectingToApp = false;
+    this.remoteSimulator.sendSystemMessage(this.apps[id].xkey, type, message,
+                                           function(response) {
+      if (!response.success) {
+        next(SimulatorError.fromResponse(response));
+        return;
+      }
+      if (response.registered) {
+        simulator.recordEvent(id, "message", "Sent a '" + type +
+                              "' system message to " + response.page);
+      }
+      next(null, { registered: response.registered,
+                   page: response.page || null });
+    });
+  },
 
-      // Display a message in the console to make it clear that the toolbox
-      // got connected to a new App
-      let ui = toolbox.getPanel("webconsole").hud.ui;
-      let CATEGORY_JS = 2;
-      let SEVERITY_INFO = 2;
-      let node = ui.createMessageNode(CATEGORY_JS, SEVERITY_INFO,
-                                      "The toolbox is now connected to " + app.name);
-      ui.outputMessage(CATEGORY_JS, node);
+  sendAppStorage: function sendAppStorage(id) {
+    this.getAppStorage(id, function(error, storage) {
+      if (!simulator.worker) {
+        return;
+      }
+      simulator.worker.postMessage({
+        name: "appStorage",
+        id: id,
+        error: error ? String(error) : null,
+        storage: storage,
+      });
+    });
+  },
+
+  /**
+   * Let the user choose a file to export the storage of an app to.
+   */
+  exportAppStorage: function exportAppStorage(id) {
+    this.getAppStorage(id, function(error, storage) {
+      if (error) {
+        simulator.error(error);
+        return;
+      }
+
+      let win = Services.wm.getMostRecentWindow("navigator:browser");
+      let fp = Cc["@mozilla.org/filepicker;1"].createInstance(Ci.nsIFilePicker);
+      fp.init(win, "Export App Storage", Ci.nsIFilePicker.modeSave);
+      fp.appendFilter("JSON", "*.json");
+      fp.defaultString = (simulator.apps[id].name || "app") + "-storage.json";
+
+      let ret = fp.show();
+      if (ret != Ci.nsIFilePicker.returnOK && ret != Ci.nsIFilePicker.returnReplace) {
+        return;
+      }
+
+      File.open(fp.file.path, "w").
+        writeAsync(JSON.stringify(storage, null, 2), function(error) {
+          if (error) {
+            simulator.error("Error writing " + fp.file.path + ": " + error);
+          }
+        });
+    });
+  },
+
+  postIsRunning: function() {
+    if (simulator.worker) {
+      simulator.worker.postMessage({
+        name: "isRunning",
+        isRunning: simulator.isRunning,
+      });
     }
-    // We need to workaround existing devtools DebuggerClient.close code,
-    // that tries to close the connection when the toolbox is closed
-    // whereas we want to keep the client alive for other usages!
-    // Although, at the same time, we do want the other cleanups being done in
-    // client.close.
-    // http://hg.mozilla.org/mozilla-central/file/a67425aa4728/toolkit/devtools/client/dbg-client.jsm#l354
-    // TODO: tweak platform code to prevent that and remove this workaround.
-    let client = this.remoteSimulator.client;
-    function clientClose(aOnClosed) {
-      // Disable detach event notifications, because event handlers will be in a
-      // cleared scope by the time they run.
-      //this._eventsEnabled = false;
+  },
+
+  get remoteSimulator() {
+    if (remoteSimulator)
+      return remoteSimulator;
+
+    let simulator = this;
+    remoteSimulator = new RemoteSimulatorClient({
+      // A working copy of the addon's profile, so that it can be restored
+      // from snapshots and reset to its pristine state.
+      profile: this.profileDir,
+      pendingProfileRestore: SStorage.storage.pendingProfileRestore,
+      onProfileRestored: function () {
+        delete SStorage.storage.pendingProfileRestore;
+        simulator.sendListSnapshots();
+      },
+      appUpdateHandler: function(appId) {
+        console.log("handle requested appUpdateRequest", appId);
+        let foundAppKey = null;
+        Object.keys(simulator.apps).forEach(function (key) {
+          if (simulator.apps[key].xkey === appId) {
+            foundAppKey = key;
+          }
+        });
+
+        if (!foundAppKey) {
+          simulator.remoteSimulator.appNotFound(appId);
+        }
+
+        simulator.updateApp(foundAppKey, function next(error, app) {
+          simulator.sendListApps();
+          // success/error detection and report to the user
+          if (error) {
+            simulator.remoteSimulator.showNotification(error);
+          } else {
+            // TODO: find a less obtrusive way to display warnings
+            simulator.runApp(app);
+          }
+        });
+      },
+      onReady: function () {
+        simulator.postIsRunning();
+        // updateAll reinstalls the changed apps with the others.
+        if (!SStorage.storage.needsUpdateAll) {
+          simulator._reinstallChangedApps();
+        }
+      },
+      onExit: function () {
+        simulator.postIsRunning();
+
+        // Close any still opened toolbox
+        if (gCurrentToolbox) {
+          gCurrentToolbox.destroy();
+          gCurrentToolbox = null;
+        }
+      }
+    });
 
-      if (aOnClosed) {
-        this.addOneTimeListener('closed', function(aEvent) {
-          aOnClosed();
+    this._watchPermissionPrompts(remoteSimulator);
+    this._watchNetworkThrottle(remoteSimulator);
+
+    remoteSimulator.on("activityResult", function(activity) {
+      if (simulator.worker) {
+        simulator.worker.postMessage({
+          name: "activityResult",
+          activityId: activity.activityId,
+          result: activity.result,
+          error: activity.error,
         });
       }
+    });
 
-      // In this function, we're using the hoisting behavior of nested
-      // function definitions to write the code in the order it will actually
-      // execute. So converting to arrow functions to get rid of 'self' would
-      // be unhelpful here.
-      let self = this;
+    remoteSimulator.on("appOpen", (function ({ manifestURL }) {
+      let app = this._getAppByManifestURL(manifestURL);
 
-      let continuation = function () {
-        self._consoleClients = {};
-        detachThread();
+      // Ignore apps not being tracked by the simulator
+      if (!app) {
+        return;
       }
 
-      for each (let client in this._consoleClients) {
-        continuation = client.close.bind(client, continuation);
-      }
+      gRunningApps.push(app);
+    }).bind(this));
 
-      continuation();
+    remoteSimulator.on("appClose", (function ({ manifestURL }) {
+      let app = this._getAppByManifestURL(manifestURL);
 
-      function detachThread() {
-        if (self.activeThread) {
-          self.activeThread.detach(detachTab);
-        } else {
-          detachTab();
-        }
+      // Ignore apps not being tracked by the simulator
+      if (!app) {
+        return;
       }
 
-      function detachTab() {
-        if (self.activeTab) {
-          self.activeTab.detach(closeTransport);
-        } else {
-          closeTransport();
-        }
+      let idx = gRunningApps.indexOf(app);
+      if (idx != -1) {
+        gRunningApps.splice(idx, 1);
       }
 
-      function closeTransport() {
-        console.log("client.close: hooked and cancelled transport closing");
-        //self._transport.close();
-        //self._transport = null;
+      // Close the current toolbox if it targets the closed app
+      if (gCurrentToolboxManifestURL == manifestURL) {
+        gCurrentToolbox.destroy();
+        gCurrentToolbox = null;
       }
+    }).bind(this));
+
+    return remoteSimulator;
+  },
+
+  /**
+   * Return the client of a named instance, or of the default instance
+   * if `name` is null.  Throws if there is no such instance.
+   */
+  getInstanceClient: function getInstanceClient(name) {
+    if (!name) {
+      return this.remoteSimulator;
     }
-    let clientProxy = new Proxy(client, {
-      get: function (target, name) {
-        // Hook close method to prevent transport closing
-        if (name == "close") {
-          return clientClose.bind(target);
-        }
-        return target[name];
+    if (gInstanceClients[name]) {
+      return gInstanceClients[name];
+    }
+
+    let instance = this.instances[name];
+    if (!instance) {
+      throw new SimulatorError("INSTANCE_NOT_FOUND", name);
+    }
+
+    let client = gInstanceClients[name] = new RemoteSimulatorClient({
+      // copied from the Simulator profile on first run, and again after
+      // an upgrade of the addon, see resetInstanceProfiles()
+      profile: File.join(this.instancesDir, name),
+      pendingProfileRestore: instance.needsProfileReset ?
+                             URL.toFilename(PROFILE_URL) : null,
+      onProfileRestored: function () {
+        delete instance.needsProfileReset;
+        simulator.sendListInstances();
       },
-      set: function (target, name, v) {
-        // Prevent `this._transport = null;`
-        if (name == "_transport") {
-          return false;
+      screen: instance.screen,
+      appUpdateHandler: function(appId) {
+        let id = Object.keys(simulator.apps).filter(function(id) {
+          return simulator.apps[id].xkey === appId;
+        })[0];
+
+        if (!id) {
+          client.appNotFound(appId);
+          return;
         }
-        target[name] = v;
+
+        simulator.updateApp(id, function next(error, app) {
+          simulator.sendListApps();
+          if (error) {
+            client.showNotification(error);
+          } else {
+            simulator.runApp(app, null, name);
+          }
+        }, name);
+      },
+      onReady: function () {
+        simulator.sendListInstances();
+      },
+      onExit: function () {
+        simulator.sendListInstances();
       }
     });
+    this._watchPermissionPrompts(client);
+    this._watchNetworkThrottle(client);
 
-    let self = this;
-    this.remoteSimulator.getActorForApp(app.manifestURL, function (actor) {
-      let options = {
-        form: actor,
-        client: clientProxy,
-        chrome: false
-      };
+    return client;
+  },
 
-      // Devtools API changed at each 3 last FF version :'(
-      // Either on how to load modules, or how to use the API.
+  /**
+   * Like run(), but for a named instance, or the default one if `name`
+   * is null.
+   */
+  runInstance: function runInstance(name, cb) {
+    if (!name) {
+      this.run(cb);
+      return;
+    }
+
+    let next = (typeof cb === "function") ? cb : (function() {});
+    let client;
+    try {
+      client = this.getInstanceClient(name);
+    } catch(e) {
+      next(e);
+      return;
+    }
+
+    if (client.isRunning) {
+      if (client.isReady) {
+        next();
+      } else {
+        client.once("ready", function() next());
+      }
+      return;
+    }
+
+    client.once("ready", function() next());
+    try {
+      client.run(next);
+    } catch(e) {
+      next(e);
+    }
+  },
+
+  /**
+   * Create a named instance running with a copy of the Simulator profile.
+   * `options.screen` optionally sets its screen size.
+   */
+  createInstance: function createInstance(name, options) {
+    if (!INSTANCE_NAME_PATTERN.test(name)) {
+      throw new SimulatorError("INVALID_NAME", name);
+    }
+    if (name in this.instances) {
+      throw new SimulatorError("INSTANCE_EXISTS", name);
+    }
+
+    this.instances[name] = {
+      name: name,
+      screen: (options && options.screen) || null,
+      apps: [],
+    };
+    this.sendListInstances();
+    return this.instances[name];
+  },
+
+  /**
+   * Stop a named instance and remove it along with its profile.
+   * Calls next(error) once done, or reports the error if there is no `next`.
+   */
+  removeInstance: function removeInstance(name, next) {
+    next = callbackOrReport(next);
+    if (!(name in this.instances)) {
+      next(new SimulatorError("INSTANCE_NOT_FOUND", name));
+      return;
+    }
+
+    let removeProfile = (function() {
+      delete gInstanceClients[name];
+      let dir = Cc['@mozilla.org/file/local;1'].createInstance(Ci.nsIFile);
+      dir.initWithPath(File.join(this.instancesDir, name));
       try {
-        let devtools;
-        try {
-          // FF24
-          devtools = Cu.import("resource://gre/modules/devtools/Loader.jsm", {}).devtools;
-        } catch(e) {
-          // FF23
-          devtools = Cu.import("resource:///modules/devtools/gDevTools.jsm", {}).devtools;
+        if (dir.exists()) {
+          dir.remove(true);
         }
-        let promise = devtools.TargetFactory.forRemoteTab(options).then(function (target) {
-          // We have to set tab as BottomHost expect a tab attribute on target whereas
-          // TabTarget ignores any tab being given as options attributes passed to forRemoteTab.
-          let browserWindow = Services.wm.getMostRecentWindow("navigator:browser");
-          Object.defineProperty(target, "tab", {value: browserWindow.gBrowser.selectedTab});
-
-          let promise = gDevTools.showToolbox(target, "webconsole", devtools.Toolbox.HostType.BOTTOM);
-          promise.then(toolboxDisplayed);
-        });
       } catch(e) {
-        let TargetFactory = Cu.import("resource:///modules/devtools/Target.jsm", {}).TargetFactory;
-        let Toolbox = Cu.import("resource:///modules/devtools/Toolbox.jsm", {}).Toolbox;
-        if (TargetFactory.forRemote) {
-          // FF21
-          let target = TargetFactory.forRemote(options.form, options.client, options.chrome);
+        console.error("Error removing " + dir.path + ": " + e);
+        next(new SimulatorError("WRITE_FAILED", dir.path + ": " + e));
+        return;
+      }
+      next(null);
+    }).bind(this);
 
-          // We have to set tab as BottomHost expect a tab attribute on target whereas
-          // TabTarget ignores any tab being given as options attributes passed to forRemoteTab.
-          let browserWindow = Services.wm.getMostRecentWindow("navigator:browser");
-          Object.defineProperty(target, "tab", {value: browserWindow.gBrowser.selectedTab});
+    let client = gInstanceClients[name];
+    if (client && client.process) {
+      client.once("exit", removeProfile);
+      client.kill();
+    } else {
+      removeProfile();
+    }
 
-          // XXX: For some unknown reason, the toolbox doesn't get unregistered
-          // on close. Workaround that by manually unregistering it.
-          gDevTools._toolboxes.delete(target);
+    delete this.instances[name];
+    this.sendListInstances();
+  },
 
-          let promise = gDevTools.showToolbox(target, "webconsole", Toolbox.HostType.BOTTOM);
-          promise.then(toolboxDisplayed);
-        } else {
-          // FF22
-          let target = TargetFactory.forTab(options);
-          // We have to set tab as BottomHost expect a tab attribute on target whereas
-          // TabTarget ignores any tab being given as options attributes passed to forRemoteTab.
-          let browserWindow = Services.wm.getMostRecentWindow("navigator:browser");
-          Object.defineProperty(target, "tab", {value: browserWindow.gBrowser.selectedTab});
-          target.makeRemote(options).then(function() {
-            let promise = gDevTools.showToolbox(target, "webconsole", Toolbox.HostType.BOTTOM);
-            promise.then(toolboxDisplayed);
-          });
-        }
+  /**
+   * Start a named instance and (re)install its apps.
+   * Calls next(error) once done, or reports the error if there is no `next`.
+   */
+  startInstance: function startInstance(name, next) {
+    next = callbackOrReport(next);
+    this.runInstance(name, function(error) {
+      if (error) {
+        next(error);
+        return;
       }
+
+      let ids = simulator.instances[name].apps.filter(function(id) {
+        return simulator.apps[id] && !simulator.apps[id].removed;
+      });
+      let installNext = function installNext() {
+        if (!ids.length) {
+          simulator.sendListInstances();
+          next(null);
+          return;
+        }
+        simulator.updateApp(ids.shift(), function(error) {
+          if (error) {
+            console.error("Error installing app in " + name + ": " + error);
+          }
+          installNext();
+        }, name);
+      };
+      installNext();
     });
   },
 
-  kill: function(onKilled) {
-    // WORKAROUND: currently add and update an app will be executed
-    // as a simulator.kill callback
-    if (this.remoteSimulator.isRunning) {
-      this.remoteSimulator.kill(onKilled);
-    } else if (typeof onKilled === "function") {
-      onKilled();
+  /**
+   * Stop a named instance.
+   * Calls next(error) once done, or reports the error if there is no `next`.
+   */
+  stopInstance: function stopInstance(name, next) {
+    next = callbackOrReport(next);
+    if (!(name in this.instances)) {
+      next(new SimulatorError("INSTANCE_NOT_FOUND", name));
+      return;
     }
+
+    let client = gInstanceClients[name];
+    if (!client || !client.process) {
+      next(new SimulatorError("SIMULATOR_NOT_RUNNING", name));
+      return;
+    }
+    client.once("exit", function() next(null));
+    client.kill();
   },
 
-  revealApp: function(id) {
-    let config = this.apps[id];
-    if (!config) {
+  killInstances: function killInstances() {
+    Object.keys(gInstanceClients).forEach(function(name) {
+      let client = gInstanceClients[name];
+      if (client.isRunning) {
+        client.kill();
+      }
+    });
+  },
+
+  /**
+   * Add a registered app to the apps of a named instance, installing it
+   * right away if the instance is running.
+   * Calls next(error) once done, or reports the error if there is no `next`.
+   */
+  addAppToInstance: function addAppToInstance(name, id, next) {
+    next = callbackOrReport(next);
+    let instance = this.instances[name];
+    if (!instance) {
+      next(new SimulatorError("INSTANCE_NOT_FOUND", name));
       return;
     }
-    switch (config.type) {
-      case "local":
-        let manifestFile = Cc["@mozilla.org/file/local;1"].createInstance(Ci.nsIFile);
-        manifestFile.initWithPath(id);
-        try {
-          manifestFile.reveal();
-        } catch (e) {
-          this.error("Could not open " + id);
-        }
-        break;
-      case "generated":
-        this.openTab(id);
-        break;
-      case "hosted":
-        this.openTab(id);
-        break;
+    if (!this.apps[id]) {
+      next(new SimulatorError("APP_NOT_FOUND", id));
+      return;
+    }
+
+    if (instance.apps.indexOf(id) == -1) {
+      instance.apps.push(id);
+    }
+    this.sendListInstances();
+
+    let client = gInstanceClients[name];
+    if (!client || !client.isRunning) {
+      // installed the next time the instance is started
+      next(null);
+      return;
     }
+    this.updateApp(id, function(error, app) {
+      if (error) {
+        next(error);
+        return;
+      }
+      simulator.runApp(app, null, name);
+      next(null);
+    }, name);
   },
 
-  run: function (cb) {
-    let next = null;
-    // if needsUpdateAll try to reinstall all active registered app
-    if (SStorage.storage.needsUpdateAll) {
-      next = (typeof cb === "function") ?
-        (function(e) e ? cb(e) : simulator.updateAll(cb)) :
-        (function(e) e ? null  : simulator.updateAll());
-    } else {
-      next = (typeof cb === "function") ? cb : (function() {});
+  /**
+   * Remove an app from the apps of a named instance, uninstalling it
+   * right away if the instance is running.
+   * Calls next(error) once done, or reports the error if there is no `next`.
+   */
+  removeAppFromInstance: function removeAppFromInstance(name, id, next) {
+    next = callbackOrReport(next);
+    let instance = this.instances[name];
+    if (!instance) {
+      next(new SimulatorError("INSTANCE_NOT_FOUND", name));
+      return;
     }
 
-    // NOTE: if a b2g instance is already running send request
-    //       or start a new instance and send request on ready
-    if (this.isRunning) {
-      if (this.remoteSimulator.isReady) {
-        next();
+    let index = instance.apps.indexOf(id);
+    if (index != -1) {
+      instance.apps.splice(index, 1);
+    }
+    this.sendListInstances();
+
+    let client = gInstanceClients[name];
+    let app = this.apps[id];
+    if (!app || !client || !client.isReady) {
+      next(null);
+      return;
+    }
+    client.uninstall(app.xkey, function(res) {
+      // Nothing to uninstall if it wasn't installed in this instance yet.
+      if (res.error && res.error != "app-not-installed") {
+        next(SimulatorError.fromResponse(res));
       } else {
-        this.remoteSimulator.once("ready", next);
+        next(null);
       }
-    } else {
-      this.remoteSimulator.once("ready", function ready() {
-        // once we reach ready we can disable needsUpdateAll
-        if (SStorage.storage.needsUpdateAll) {
-          SStorage.storage.needsUpdateAll = false;
-        }
-        next();
-      });
+    });
+  },
 
-      // Reset currently opened app list
-      gRunningApps = [];
+  isInstanceRunning: function isInstanceRunning(name) {
+    let client = gInstanceClients[name];
+    return !!(client && client.isRunning);
+  },
 
-      try {
-        this.remoteSimulator.run();
-      } catch(e) {
-        if (!cb) {
-          // report error if simulator.run is called
-          // without a cb to handle the error.
-          simulator.error(e);
-        }
-        simulator.postIsRunning();
-        next(e);
+  get profileDir() {
+    let basePath = Services.dirsvc.get("ProfD", Ci.nsIFile).path;
+    return File.join(basePath, "r2d2b2g-profile");
+  },
+
+  get snapshotsDir() {
+    let basePath = Services.dirsvc.get("ProfD", Ci.nsIFile).path;
+    return File.join(basePath, "r2d2b2g-snapshots");
+  },
+
+  /**
+   * List the snapshots of the Simulator profile, most recent first.
+   */
+  listSnapshots: function listSnapshots() {
+    let dir = Cc['@mozilla.org/file/local;1'].createInstance(Ci.nsIFile);
+    dir.initWithPath(this.snapshotsDir);
+    if (!dir.exists()) {
+      return [];
+    }
+
+    let snapshots = [];
+    let entries = dir.directoryEntries;
+    while (entries.hasMoreElements()) {
+      let entry = entries.getNext().QueryInterface(Ci.nsIFile);
+      if (entry.isDirectory()) {
+        snapshots.push({ name: entry.leafName, time: entry.lastModifiedTime });
       }
     }
+    return snapshots.sort(function(a, b) b.time - a.time);
   },
 
-  runApp: function(app, next) {
-    this.run(function (error) {
-      if (error) {
-        if (typeof next === "function") {
-          next(error);
-        } else {
-          simulator.error(error);
-        }
-        return;
+  /**
+   * Save a copy of the Simulator profile under a name.  The Simulator has
+   * to be stopped, so that the profile is in a consistent state.  The copy
+   * is made off the main thread, `next` is called with an error or null
+   * once it is complete.
+   */
+  takeSnapshot: function takeSnapshot(name, next) {
+    next = next || function() {};
+    if (!INSTANCE_NAME_PATTERN.test(name)) {
+      next(new SimulatorError("INVALID_NAME", name));
+      return;
+    }
+    if (this.isRunning) {
+      next(new SimulatorError("SIMULATOR_RUNNING"));
+      return;
+    }
+    if (!File.exists(this.profileDir)) {
+      next(new SimulatorError("NO_PROFILE"));
+      return;
+    }
+    let snapshot = File.join(this.snapshotsDir, name);
+    if (File.exists(snapshot)) {
+      next(new SimulatorError("SNAPSHOT_EXISTS", name));
+      return;
+    }
+
+    File.mkpath(this.snapshotsDir);
+    gSnapshotsInProgress++;
+    let done = function(error) {
+      simulator.sendListSnapshots();
+      next(error);
+      if (--gSnapshotsInProgress == 0) {
+        let waiters = gSnapshotWaiters;
+        gSnapshotWaiters = [];
+        waiters.forEach(function(waiter) waiter());
+      }
+    };
+    copyDirectory(this.profileDir, snapshot).then(
+      function success() {
+        done(null);
+      },
+      function failure(error) {
+        console.error("Error copying the profile to " + snapshot + ": " +
+                      error);
+        OS.File.removeDir(snapshot, { ignoreAbsent: true }).
+          then(null, function() {});
+        done(new SimulatorError("SNAPSHOT_FAILED", name + ": " + error));
       }
+    );
+  },
 
-      simulator.remoteSimulator.runApp(app.xkey, function(response) {
-        if (!response.success) {
-          if (typeof next === "function") {
-            next(response.error);
-          } else {
-            simulator.error("Error running app: " + response.error);
-          }
-          return;
-        }
+  /**
+   * Replace the Simulator profile with the one of this version of the addon
+   * (which has its own prosthesis) the next time the Simulator starts, after
+   * saving the profile of the previous version as a snapshot, since it has
+   * the data of the apps.  The Dashboard tells the user about the snapshot.
+   */
+  resetProfileForUpgrade: function resetProfileForUpgrade(lastVersion) {
+    let name = "before-" + String(Self.version).replace(/[^\w-]/g, "_");
+    if (File.exists(File.join(this.snapshotsDir, name))) {
+      name += "-" + Date.now();
+    }
 
-        // Listen for app to be finally opened before firing the callback
-        if (typeof next === "function") {
-          if (gRunningApps.indexOf(app) != -1) {
-            next();
-          } else {
-            simulator.remoteSimulator.on("appOpen", function listener({manifestURL}) {
-              if (manifestURL == app.manifestURL) {
-                simulator.remoteSimulator.removeListener("appOpen", listener);
-                next();
-              }
-            });
-          }
-        }
-      });
+    this.takeSnapshot(name, function(error) {
+      if (error) {
+        console.error("Error saving the profile of version " + lastVersion +
+                      ": " + error);
+      } else {
+        SStorage.storage.upgradeSnapshot = name;
+      }
+      simulator.factoryReset();
     });
   },
 
-  get isRunning() {
-    return this.remoteSimulator.isRunning;
+  /**
+   * Reset the profiles of the named instances the next time they are
+   * started, as they come from the previous version of the addon.
+   */
+  resetInstanceProfiles: function resetInstanceProfiles() {
+    Object.keys(this.instances).forEach(function(name) {
+      if (File.exists(File.join(this.instancesDir, name))) {
+        this.instances[name].needsProfileReset = true;
+      }
+    }, this);
   },
 
-  postIsRunning: function() {
-    if (simulator.worker) {
-      simulator.worker.postMessage({
-        name: "isRunning",
-        isRunning: simulator.isRunning,
-      });
+  /**
+   * Restore the Simulator profile from a snapshot the next time
+   * the Simulator is launched.
+   */
+  restoreSnapshot: function restoreSnapshot(name) {
+    let snapshot = File.join(this.snapshotsDir, name);
+    if (!File.exists(snapshot)) {
+      throw new SimulatorError("SNAPSHOT_NOT_FOUND", name);
     }
+    this._setPendingProfileRestore(snapshot);
   },
 
-  get remoteSimulator() {
-    if (remoteSimulator)
-      return remoteSimulator;
+  removeSnapshot: function removeSnapshot(name) {
+    let snapshot = Cc['@mozilla.org/file/local;1'].createInstance(Ci.nsIFile);
+    snapshot.initWithPath(File.join(this.snapshotsDir, name));
+    if (snapshot.exists()) {
+      snapshot.remove(true);
+    }
+    if (SStorage.storage.pendingProfileRestore == snapshot.path) {
+      this._setPendingProfileRestore(null);
+    }
+    this.sendListSnapshots();
+  },
 
-    let simulator = this;
-    remoteSimulator = new RemoteSimulatorClient({
-      appUpdateHandler: function(appId) {
-        console.log("handle requested appUpdateRequest", appId);
-        let foundAppKey = null;
-        Object.keys(simulator.apps).forEach(function (key) {
-          if (simulator.apps[key].xkey === appId) {
-            foundAppKey = key;
-          }
-        });
+  /**
+   * Reset the Simulator profile to the pristine one shipped in the addon
+   * the next time the Simulator is launched, then reinstall the registered
+   * apps.
+   */
+  factoryReset: function factoryReset() {
+    this._setPendingProfileRestore(URL.toFilename(PROFILE_URL));
+    SStorage.storage.needsUpdateAll = true;
+  },
 
-        if (!foundAppKey) {
-          simulator.remoteSimulator.appNotFound(appId);
-        }
+  _setPendingProfileRestore: function(path) {
+    if (path) {
+      SStorage.storage.pendingProfileRestore = path;
+    } else {
+      delete SStorage.storage.pendingProfileRestore;
+    }
+    this.remoteSimulator.pendingProfileRestore = path;
+    this.sendListSnapshots();
+  },
 
-        simulator.updateApp(foundAppKey, function next(error, app) {
-          simulator.sendListApps();
-          // success/error detection and report to the user
-          if (error) {
-            simulator.remoteSimulator.showNotification(error);
-          } else {
-            // TODO: find a less obtrusive way to display warnings
-            simulator.runApp(app);
-          }
-        });
-      },
-      onReady: function () {
-        simulator.postIsRunning();
-      },
-      onExit: function () {
-        simulator.postIsRunning();
+  sendListSnapshots: function sendListSnapshots() {
+    if (!this.worker) {
+      return;
+    }
 
-        // Close any still opened toolbox
-        if (gCurrentToolbox) {
-          gCurrentToolbox.destroy();
-          gCurrentToolbox = null;
-        }
-      }
+    let pending = SStorage.storage.pendingProfileRestore;
+    let upgradeSnapshot = SStorage.storage.upgradeSnapshot;
+    if (upgradeSnapshot &&
+        !File.exists(File.join(this.snapshotsDir, upgradeSnapshot))) {
+      delete SStorage.storage.upgradeSnapshot;
+      upgradeSnapshot = null;
+    }
+    this.worker.postMessage({
+      name: "listSnapshots",
+      list: this.listSnapshots(),
+      upgradeSnapshot: upgradeSnapshot || null,
+      pendingRestore: !pending ? null :
+                      pending == URL.toFilename(PROFILE_URL) ? "factory reset" :
+                      File.basename(pending),
     });
+  },
 
-    remoteSimulator.on("appOpen", (function ({ manifestURL }) {
-      let app = this._getAppByManifestURL(manifestURL);
-
-      // Ignore apps not being tracked by the simulator
-      if (!app) {
-        return;
-      }
-
-      gRunningApps.push(app);
-    }).bind(this));
+  get instancesDir() {
+    let basePath = Services.dirsvc.get("ProfD", Ci.nsIFile).path;
+    return File.join(basePath, "r2d2b2g-instances");
+  },
 
-    remoteSimulator.on("appClose", (function ({ manifestURL }) {
-      let app = this._getAppByManifestURL(manifestURL);
+  sendListInstances: function sendListInstances() {
+    if (!this.worker) {
+      return;
+    }
 
-      // Ignore apps not being tracked by the simulator
-      if (!app) {
-        return;
-      }
+    let instances = {};
+    Object.keys(this.instances).forEach(function(name) {
+      let instance = this.instances[name];
+      instances[name] = {
+        name: name,
+        screen: instance.screen,
+        running: this.isInstanceRunning(name),
+        needsProfileReset: !!instance.needsProfileReset,
+        apps: instance.apps.map(function(id) {
+          return { id: id, name: this.apps[id] ? this.apps[id].name : id };
+        }, this),
+      };
+    }, this);
 
-      let idx = gRunningApps.indexOf(app);
-      if (idx != -1) {
-        gRunningApps.splice(idx, 1);
-      }
+    this.worker.postMessage({
+      name: "listInstances",
+      list: instances,
+    });
+  },
 
-      // Close the current toolbox if it targets the closed app
-      if (gCurrentToolboxManifestURL == manifestURL) {
-        gCurrentToolbox.destroy();
-        gCurrentToolbox = null;
+  _getAppId: function (app) {
+    for (let id in this.apps) {
+      if (this.apps[id] === app) {
+        return id;
       }
-    }).bind(this));
-
-    return remoteSimulator;
+    }
+    return null;
   },
 
   _getAppByManifestURL: function (manifestURL) {
@@ -1354,12 +3477,168 @@ let simulator = module.exports = {
       case "openConnectDevtools":
         simulator.openConnectDevtools();
         break;
-      case "getIsRunning":
-        simulator.postIsRunning();
+      case "getIsRunning":
+        simulator.postIsRunning();
+        break;
+      case "addAppByDirectory":
+        // packaged apps
+        simulator.addAppByDirectory();
+        break;
+      case "addAppByPackage":
+        // already-zipped packaged apps
+        simulator.addAppByPackage();
+        break;
+      case "getAppStorage":
+        simulator.sendAppStorage(message.id);
+        break;
+      case "getNetworkThrottle":
+        simulator.sendNetworkThrottle();
+        break;
+      case "setNetworkThrottle":
+        try {
+          simulator.setNetworkThrottle(message.throttle);
+        } catch(e) {
+          simulator.error(e);
+          simulator.sendNetworkThrottle();
+        }
+        break;
+      case "getPermissionPromptPolicy":
+        simulator.sendPermissionPromptPolicy();
+        break;
+      case "setPermissionPromptPolicy":
+        try {
+          simulator.setPermissionPromptPolicy(message.policy);
+        } catch(e) {
+          simulator.error(e);
+          simulator.sendPermissionPromptPolicy();
+        }
+        break;
+      case "setPermissionPromptRule":
+        simulator.setPermissionPromptRule(message.id, message.type,
+                                          message.decision);
+        simulator.sendListApps();
+        break;
+      case "listActivities":
+        simulator.sendActivities();
+        break;
+      case "startActivity":
+        simulator.startActivity(message.activity, message.data,
+                                function(error, activityId) {
+          if (simulator.worker) {
+            simulator.worker.postMessage({
+              name: "activityStarted",
+              activityId: activityId,
+              error: error ? String(error) : null,
+            });
+          }
+        });
+        break;
+      case "sendSystemMessage":
+        simulator.sendSystemMessage(message.id, message.type, message.message,
+                                    function(error, result) {
+          if (simulator.worker) {
+            simulator.worker.postMessage({
+              name: "systemMessageSent",
+              id: message.id,
+              error: error ? String(error) : null,
+              result: result,
+            });
+          }
+          simulator.sendListApps();
+        });
+        break;
+      case "getAppPermissions":
+        simulator.sendAppPermissions(message.id);
+        break;
+      case "setAppPermission":
+        simulator.setAppPermission(message.id, message.type, message.state,
+                                   function(error) {
+          if (error) {
+            simulator.error(error);
+          }
+          simulator.sendAppPermissions(message.id);
+        });
+        break;
+      case "removePermissionOverride":
+        simulator.removePermissionOverride(message.id, message.type);
+        simulator.sendAppPermissions(message.id);
+        simulator.sendListApps();
+        break;
+      case "exportAppStorage":
+        simulator.exportAppStorage(message.id);
+        break;
+      case "removeAppStorageItem":
+        simulator.removeAppStorageItem(message.id, message.storage, message.key,
+                                       function(error) {
+          if (error) {
+            simulator.error(error);
+          }
+          simulator.sendAppStorage(message.id);
+        });
+        break;
+      case "updateAll":
+        simulator.updateAll();
+        break;
+      case "listSnapshots":
+        simulator.sendListSnapshots();
+        break;
+      case "takeSnapshot":
+        simulator.takeSnapshot(message.snapshot, function(error) {
+          if (error) {
+            simulator.error(error);
+          }
+        });
+        break;
+      case "restoreSnapshot":
+      case "removeSnapshot":
+        try {
+          simulator[message.name](message.snapshot);
+        } catch(e) {
+          simulator.error(e);
+        }
+        break;
+      case "factoryReset":
+        simulator.factoryReset();
+        break;
+      case "listInstances":
+        simulator.sendListInstances();
+        break;
+      case "createInstance":
+        try {
+          simulator.createInstance(message.instance, { screen: message.screen });
+        } catch(e) {
+          simulator.error(e);
+        }
+        break;
+      case "removeInstance":
+        simulator.removeInstance(message.instance);
+        break;
+      case "startInstance":
+        simulator.startInstance(message.instance);
+        break;
+      case "stopInstance":
+        simulator.stopInstance(message.instance);
+        break;
+      case "addAppToInstance":
+        simulator.addAppToInstance(message.instance, message.id);
         break;
-      case "addAppByDirectory":
-        // packaged apps
-        simulator.addAppByDirectory();
+      case "removeAppFromInstance":
+        simulator.removeAppFromInstance(message.instance, message.id);
+        break;
+      case "exportProject":
+        simulator.exportProjectToFile();
+        break;
+      case "importProject":
+        simulator.importProjectFromFile();
+        break;
+      case "addGeneratedApp":
+        simulator.addGeneratedApp(message.url, message.text);
+        break;
+      case "cancelGeneratedApp":
+        simulator.cancelGeneratedApp(message.url);
+        break;
+      case "serveDirectory":
+        simulator.serveDirectory();
         break;
       case "addAppByTab":
         // hosted and generated apps
@@ -1413,6 +3692,33 @@ let simulator = module.exports = {
       case "pushAppToDevice":
         simulator.pushAppToDevice(message.id);
         break;
+      case "exportPackage":
+        simulator.exportPackageToDirectory(message.id);
+        break;
+      case "watchApp":
+        simulator.setAppWatch(message.id, message.watch);
+        break;
+      case "autoReinstallApp":
+        simulator.setAppAutoReinstall(message.id, message.autoReinstall);
+        break;
+      case "dismissManifestChange":
+        simulator.dismissManifestChange(message.id);
+        break;
+      case "customizeReceipt":
+        if (message.id in simulator.apps) {
+          // Custom receipts keep the type of the current receipt.
+          let type = simulator.apps[message.id].receiptType;
+          simulator.updateReceiptType(message.id,
+                                      type && type != "none" ? type : "ok",
+                                      message.claims);
+        }
+        break;
+      case "getReceiptIssuer":
+        simulator.sendReceiptIssuer();
+        break;
+      case "setReceiptIssuer":
+        simulator.setReceiptIssuer(message.issuer);
+        break;
       case "updateReceiptType":
         if (message.id && message.receiptType && (message.id in simulator.apps)) {
           simulator.updateReceiptType(message.id, message.receiptType);
@@ -1444,7 +3750,20 @@ let simulator = module.exports = {
     // );
   },
 
-  error: function(msg) {
+  /**
+   * Report an error to the user.  SimulatorErrors are shown along with their
+   * suggested fix, and are also sent to the Dashboard to display help about
+   * them.
+   */
+  error: function(error) {
+    let msg = String(error.message || error);
+    if (error instanceof SimulatorError) {
+      msg = error + " " + error.fix;
+      if (this.worker) {
+        this.worker.postMessage({ name: "error", error: error.toJSON() });
+      }
+    }
+
     let window = WindowUtils.getMostRecentBrowserWindow();
     let nb = window.gBrowser.getNotificationBox();
     nb.appendNotification(
@@ -1456,22 +3775,42 @@ let simulator = module.exports = {
     );
   },
 
-  pushAppToDevice: function pushAppToDevice(id) {
+  /**
+   * Push an app to the connected device, calling next(error) once it's
+   * installed there.  Without a callback, errors are reported to the user.
+   */
+  pushAppToDevice: function pushAppToDevice(id, next) {
     console.log("Simulator.pushAppToDevice: " + id);
 
+    let done = function done(error) {
+      if (error) {
+        console.error("pushAppToDevice error: " + error);
+        simulator.recordEvent(id, "error", "Push to device failed: " + error);
+      } else {
+        simulator.recordEvent(id, "push", "Pushed to device");
+        if (simulator.worker) {
+          simulator.sendListApps();
+        }
+      }
+
+      if (typeof next === "function") {
+        next(error || null);
+      } else if (error) {
+        simulator.error(error);
+      }
+    };
+
     this.connectToDevice().then(
       function success() {
         let app = simulator.apps[id];
 
-        if (app.type == "local") {
-          simulator.pushPackagedAppToDevice(id, app);
+        if (simulator.isPackagedApp(app)) {
+          simulator.pushPackagedAppToDevice(id, app, done);
         } else {
-          simulator.pushHostedAppToDevice(id, app);
+          simulator.pushHostedAppToDevice(id, app, done);
         }
       },
-      function failure(error) {
-        console.error("pushAppToDevice error: " + error);
-      }
+      done
     );
 
   },
@@ -1488,7 +3827,7 @@ let simulator = module.exports = {
         },
         function failure(error) {
           console.error("connectToDevice error: " + error);
-          deferred.reject();
+          deferred.reject(error);
         }
     );
 
@@ -1506,6 +3845,9 @@ let simulator = module.exports = {
           console.log("ADB.forwardPort success: " + data);
           adbReady = true;
           deferred.resolve();
+        },
+        function failure(error) {
+          deferred.reject(error);
         }
       );
     }
@@ -1534,8 +3876,8 @@ let simulator = module.exports = {
 
           deferred.resolve();
         },
-        function failure(reason) {
-          simulator.error(reason);
+        function failure(error) {
+          deferred.reject(error);
         }
       );
     }
@@ -1543,10 +3885,11 @@ let simulator = module.exports = {
     return deferred.promise;
   },
 
-  pushHostedAppToDevice: function pushHostedAppToDevice(id, app) {
+  pushHostedAppToDevice: function pushHostedAppToDevice(id, app, next) {
     this.buildHostedAppFiles(id, function(error, manifestFile, metadataFile) {
       if (error) {
         console.error("buildHostedAppFiles error: " + error);
+        next(error);
         return;
       }
 
@@ -1568,21 +3911,25 @@ let simulator = module.exports = {
               }).then(
                 function success(data) {
                   console.log("Debugger.webappsRequest success: " + data);
+                  next(null);
                 },
                 function failure(error) {
                   console.error("Debugger.webappsRequest error: " + error);
+                  next(error);
                 }
               );
 
             },
             function failure(error) {
               console.error("ADB.push metadata file error: " + error);
+              next(error);
             }
           );
 
         },
         function failure(error) {
           console.error("ADB.push manifest file error: " + error);
+          next(error);
         }
       );
     });
@@ -1629,10 +3976,11 @@ let simulator = module.exports = {
     }); // END writeAsync manifest.webapp
   },
 
-  pushPackagedAppToDevice: function pushPackagedAppToDevice(id, app) {
+  pushPackagedAppToDevice: function pushPackagedAppToDevice(id, app, next) {
     this.buildPackage(id, function(error, pkg) {
       if (error) {
         console.error("buildPackage error: " + error);
+        next(error);
         return;
       }
 
@@ -1648,38 +3996,216 @@ let simulator = module.exports = {
           }).then(
             function success(data) {
               console.log("Debugger.webappsRequest success: " + data);
+              next(null);
+            },
+            function failure(error) {
+              console.error("Debugger.webappsRequest error: " + error);
+              next(error);
             }
           );
         },
         function failure(error) {
-          console.error("Debugger.webappsRequest error: " + error);
+          console.error("ADB.push error: " + error);
+          next(error);
         }
       );
     });
   },
 
-  buildPackage: function(id, next) {
+  /**
+   * Build the archive of a packaged app into `destDir` (defaults to
+   * tempDir/xkey) and call next(error, archiveFile).
+   */
+  buildPackage: function(id, next, destDir) {
     console.log("buildPackage");
 
     let app = this.apps[id];
-    let tempDir = File.join(this.tempDir, app.xkey);
+    let tempDir = destDir || File.join(this.tempDir, app.xkey);
     File.mkpath(tempDir);
+    let packageDir = File.join(this.packageCacheDir, app.xkey);
+    File.mkpath(packageDir);
 
-    let sourceDir = id.replace(/[\/\\][^\/\\]*$/, "");
+    let cachedArchiveFile = File.join(packageDir, "application.zip");
     let archiveFile = File.join(tempDir, "application.zip");
 
-    console.log("archiving " + sourceDir + " to " + archiveFile);
-    archiveDir(archiveFile, sourceDir, function onArchiveDir(error) {
+    // `done` is called once the archive is copied, before `next`.
+    let copyArchive = function copyArchive(sourceFile, done) {
+      let error = null;
+      try {
+        copyFile(sourceFile, archiveFile);
+      } catch(e) {
+        error = new SimulatorError("PACKAGE_FAILED", sourceFile + ": " + e);
+      }
+      if (done) {
+        done();
+      }
+      if (error) {
+        if (next) {
+          next(error);
+        }
+        return;
+      }
+      next(null, archiveFile);
+    };
+
+    // The package of a "remote" app has been downloaded into the cache
+    // by _updateCachedManifest(), the one of a "zip" app is installed as-is.
+    if (app.type == "remote") {
+      copyArchive(cachedArchiveFile);
+      return;
+    }
+    if (app.type == "zip") {
+      copyArchive(id);
+      return;
+    }
+
+    // Build the archive once the previous build of the app (e.g. triggered
+    // by a change while it's being installed) is done with it.
+    let sourceDir = id.replace(/[\/\\][^\/\\]*$/, "");
+    queuePackageBuild(app.xkey, function(done) {
+      let onArchiveDir = function onArchiveDir(error, excluded) {
         if (error) {
+          done();
           if (next) {
             next(error);
           }
-        } else {
-          next(null, archiveFile);
+          return;
+        }
+
+        // Let the Dashboard show the files excluded by the ignore file.
+        app.packageExcluded = excluded;
+
+        copyArchive(cachedArchiveFile, done);
+      };
+
+      console.log("archiving " + sourceDir + " to " + cachedArchiveFile);
+      try {
+        archiveDir(cachedArchiveFile, sourceDir, onArchiveDir);
+      } catch(e) {
+        onArchiveDir(new SimulatorError("PACKAGE_FAILED", sourceDir + ": " + e));
+      }
+    });
+  },
+
+  /**
+   * Export a packaged app as a Marketplace-ready package, i.e. its archive
+   * and the mini-manifest describing it, to a directory.  The archive of
+   * a "zip" or "remote" app is exported as-is.
+   *
+   * Calls next(error, result) where result has the paths of the written
+   * "package" and "miniManifest" files and the mini-manifest "warnings".
+   */
+  exportPackage: function exportPackage(id, destDir, options, next) {
+    console.log("Simulator.exportPackage " + id + " to " + destDir);
+
+    let app = this.apps[id];
+    if (!app || !this.isPackagedApp(app)) {
+      next(app ? new SimulatorError("EXPORT_UNSUPPORTED", id)
+               : new SimulatorError("APP_NOT_FOUND", id));
+      return;
+    }
+
+    // Make sure the mini-manifest describes the manifest in the package.
+    this._updateCachedManifest(id, function(error, manifest) {
+      if (error || !manifest) {
+        next(SimulatorError.from(error || "missing manifest",
+                                 "MANIFEST_UNREADABLE"));
+        return;
+      }
+
+      simulator.buildPackage(id, function(error, archiveFile) {
+        if (error) {
+          next(error);
+          return;
+        }
+
+        let packageFile = File.join(destDir, MiniManifest.PACKAGE_NAME);
+        let miniManifestFile = File.join(destDir,
+                                         MiniManifest.MINI_MANIFEST_NAME);
+        let size;
+        try {
+          File.mkpath(destDir);
+          copyFile(archiveFile, packageFile);
+
+          let file = Cc['@mozilla.org/file/local;1'].createInstance(Ci.nsIFile);
+          file.initWithPath(packageFile);
+          size = file.fileSize;
+        } catch(e) {
+          next(new SimulatorError("WRITE_FAILED", packageFile + ": " + e));
+          return;
         }
+
+        let miniManifest = MiniManifest.build(manifest, {
+          packagePath: MiniManifest.PACKAGE_NAME,
+          size: size,
+          releaseNotes: options.releaseNotes
+        });
+
+        File.open(miniManifestFile, "w").
+          writeAsync(JSON.stringify(miniManifest, null, 2), function(error) {
+            if (error) {
+              next(new SimulatorError("WRITE_FAILED",
+                                      miniManifestFile + ": " + error));
+              return;
+            }
+
+            app.lastExport = { time: Date.now(), path: destDir };
+            simulator.recordEvent(id, "export", "Exported to " + destDir);
+            if (simulator.worker) {
+              simulator.sendListApps();
+            }
+            let validation = MiniManifest.validate(miniManifest);
+            next(null, {
+              package: packageFile,
+              miniManifest: miniManifestFile,
+              warnings: validation.errors.concat(validation.warnings)
+            });
+          });
+      });
+    });
+  },
+
+  /**
+   * Let the user choose a directory to export a packaged app to.
+   */
+  exportPackageToDirectory: function exportPackageToDirectory(id) {
+    let win = Services.wm.getMostRecentWindow("navigator:browser");
+
+    let fp = Cc["@mozilla.org/filepicker;1"].createInstance(Ci.nsIFilePicker);
+    fp.init(win, "Select a Directory to Export the Package to",
+            Ci.nsIFilePicker.modeGetFolder);
+
+    if (fp.show() != Ci.nsIFilePicker.returnOK) {
+      return;
+    }
+
+    this.exportPackage(id, fp.file.path, {}, function(error, result) {
+      if (error) {
+        simulator.error(error);
+        return;
+      }
+      result.warnings.forEach(function(warning) {
+        console.warn("Exported mini-manifest: " + warning);
+      });
     });
   },
 
+  _removePackageCache: function(config) {
+    if (!config.xkey) {
+      return;
+    }
+
+    let packageDir = Cc['@mozilla.org/file/local;1'].createInstance(Ci.nsIFile);
+    packageDir.initWithPath(File.join(this.packageCacheDir, config.xkey));
+    try {
+      if (packageDir.exists()) {
+        packageDir.remove(true);
+      }
+    } catch(e) {
+      console.error("Error removing " + packageDir.path + ": " + e);
+    }
+  },
+
 };
 
 Services.obs.addObserver(simulator, "adb-device-connected", true);
@@ -1700,7 +4226,24 @@ function getResultText(code) {
   return { name: name, message: message };
 }
 
-function addDirToArchive(writer, dir, basePath) {
+/**
+ * Get the syntax error of a response that was expected to be JSON.
+ */
+function getJSONError(response) {
+  try {
+    JsonLint.parse(response.text);
+  } catch(e) {
+    return e.message || String(e);
+  }
+  return null;
+}
+
+/**
+ * Collect the entries to archive from a directory, indexed by their path
+ * in the archive (with a trailing slash for directories).
+ */
+function collectArchiveEntries(dir, basePath, zipFile, rules, entries,
+                               excluded) {
   let files = dir.directoryEntries;
 
   while (files.hasMoreElements()) {
@@ -1709,48 +4252,384 @@ function addDirToArchive(writer, dir, basePath) {
     if (file.isHidden() ||
         file.isSymlink() ||
         file.isSpecial() ||
-        file.equals(writer.file))
+        file.equals(zipFile) ||
+        (!basePath && file.leafName == Ignore.IGNORE_FILE))
     {
       continue;
     }
 
-    if (file.isDirectory()) {
-      writer.addEntryDirectory(basePath + file.leafName + "/",
-                               file.lastModifiedTime * PR_USEC_PER_MSEC,
-                               true);
-      addDirToArchive(writer, file, basePath + file.leafName + "/");
+    let isDirectory = file.isDirectory();
+    if (Ignore.isIgnored(rules, basePath + file.leafName, isDirectory)) {
+      excluded.push(basePath + file.leafName + (isDirectory ? "/" : ""));
+      continue;
+    }
+
+    if (isDirectory) {
+      entries[basePath + file.leafName + "/"] = file;
+      collectArchiveEntries(file, basePath + file.leafName + "/", zipFile,
+                            rules, entries, excluded);
     } else {
-      writer.addEntryFile(basePath + file.leafName,
-                          Ci.nsIZipWriter.COMPRESSION_DEFAULT,
-                          file,
-                          true);
+      entries[basePath + file.leafName] = file;
     }
   }
-};
+  return entries;
+}
 
-function archiveDir(zipFile, dirToArchive, callback) {
+/**
+ * Archive a directory, updating the archive built by a previous call
+ * if possible.
+ *
+ * The entries of the archive and their modification time and size are
+ * recorded in a cache file stored next to it, so the next build only has
+ * to add, replace or remove the entries that changed in the meantime.
+ * If the archive doesn't match the cache, it is rebuilt from scratch.
+ *
+ * Files matching the patterns of the Ignore.IGNORE_FILE at the root
+ * of the directory are excluded, and their list is passed to the callback.
+ */
+function archiveDir(zipFile, dirToArchive, callback, rebuild) {
   let writer = Cc["@mozilla.org/zipwriter;1"].createInstance(Ci.nsIZipWriter);
   let file = Cc['@mozilla.org/file/local;1'].createInstance(Ci.nsIFile);
   file.initWithPath(zipFile);
-  writer.open(file, PR_RDWR | PR_CREATE_FILE | PR_TRUNCATE);
+  let cacheFile = File.join(File.dirname(zipFile), PACKAGE_CACHE_FILE);
+
+  // The previous archive can only be reused if we know what it contains.
+  let cache = null;
+  if (!rebuild && file.exists() && File.exists(cacheFile)) {
+    try {
+      cache = JSON.parse(File.read(cacheFile));
+    } catch(e) {
+      console.warn("Ignoring invalid package cache " + cacheFile + ": " + e);
+    }
+  }
+
+  try {
+    if (cache) {
+      writer.open(file, PR_RDWR);
+    } else {
+      cache = {};
+      writer.open(file, PR_RDWR | PR_CREATE_FILE | PR_TRUNCATE);
+    }
+  } catch(e) {
+    // The previous archive may be corrupted, start over from scratch.
+    console.warn("Rebuilding " + zipFile + ": " + e);
+    cache = {};
+    writer.open(file, PR_RDWR | PR_CREATE_FILE | PR_TRUNCATE);
+  }
+  let incremental = Object.keys(cache).length > 0;
+
+  // The archive doesn't contain what the cache says, so the incremental
+  // update failed: build it again from scratch.
+  let fallBack = function fallBack(error) {
+    console.warn("Rebuilding " + zipFile + ": " + error);
+    try {
+      writer.close();
+    } catch(e) {}
+    try {
+      if (File.exists(cacheFile)) {
+        File.remove(cacheFile);
+      }
+      archiveDir(zipFile, dirToArchive, callback, true);
+    } catch(e) {
+      callback(new SimulatorError("PACKAGE_FAILED", dirToArchive + ": " + e));
+    }
+  };
 
   let dir = Cc['@mozilla.org/file/local;1'].createInstance(Ci.nsIFile);
   dir.initWithPath(dirToArchive);
 
-  addDirToArchive(writer, dir, "");
+  let rules = [];
+  let ignoreFile = File.join(dirToArchive, Ignore.IGNORE_FILE);
+  if (File.exists(ignoreFile)) {
+    rules = Ignore.parse(File.read(ignoreFile));
+  }
+
+  let excluded = [];
+  let entries = collectArchiveEntries(dir, "", file, rules, {}, excluded);
+  let newCache = {};
+  let changes = 0;
+
+  try {
+    Object.keys(cache).forEach(function(path) {
+      if (!(path in entries)) {
+        writer.removeEntry(path, true);
+        changes++;
+      }
+    });
+
+    Object.keys(entries).forEach(function(path) {
+      let entry = entries[path];
+      let isDirectory = path[path.length - 1] == "/";
+      newCache[path] = isDirectory ? 0 :
+                       entry.lastModifiedTime + ":" + entry.fileSize;
+
+      if (path in cache) {
+        // Directory entries don't need to be refreshed, their content does.
+        if (isDirectory || cache[path] == newCache[path]) {
+          return;
+        }
+        writer.removeEntry(path, true);
+      }
+
+      if (isDirectory) {
+        writer.addEntryDirectory(path,
+                                 entry.lastModifiedTime * PR_USEC_PER_MSEC,
+                                 true);
+      } else {
+        writer.addEntryFile(path,
+                            Ci.nsIZipWriter.COMPRESSION_DEFAULT,
+                            entry,
+                            true);
+      }
+      changes++;
+    });
+  } catch(e) {
+    if (incremental) {
+      fallBack(e);
+      return;
+    }
+    try {
+      writer.close();
+    } catch(closeError) {}
+    throw e;
+  }
+
+  let done = function done() {
+    File.open(cacheFile, "w").writeAsync(JSON.stringify(newCache),
+                                         function(error) {
+      if (error) {
+        console.error("Error writing package cache " + cacheFile + ": " +
+                      error);
+      }
+      callback(null, excluded);
+    });
+  };
+
+  if (changes == 0) {
+    writer.close();
+    console.log("archived dir " + dirToArchive + " (unchanged)");
+    done();
+    return;
+  }
+
+  // Invalidate the cache until the archive has been successfully updated.
+  if (File.exists(cacheFile)) {
+    File.remove(cacheFile);
+  }
 
   writer.processQueue({
     onStartRequest: function onStartRequest(request, context) {},
     onStopRequest: function onStopRequest(request, context, status) {
       if (status == Cr.NS_OK) {
         writer.close();
-        console.log("archived dir " + dirToArchive);
-        callback();
+        console.log("archived dir " + dirToArchive + " (" + changes +
+                    " changed entries)");
+        done();
       }
       else {
         let { name, message } = getResultText(status);
-        callback(name + ": " + message);
+        if (incremental) {
+          fallBack(name + ": " + message);
+          return;
+        }
+        try {
+          writer.close();
+        } catch(e) {}
+        callback(new SimulatorError("PACKAGE_FAILED", name + ": " + message));
       }
     }
   }, null);
 }
+
+/**
+ * List the IndexedDB databases, and their object stores, of the app `xkey`
+ * in a b2g profile which isn't in use.
+ *
+ * IndexedDB doesn't provide a way to enumerate the databases of an origin,
+ * so read their names from the SQLite files in the indexedDB directory
+ * of the profile, where the directories of the apps are prefixed by their
+ * local id in the registry of the profile.
+ */
+function listIndexedDB(profileDir, xkey) {
+  let databases = [];
+  let registryFile = File.join(profileDir, "webapps", "webapps.json");
+  let indexedDBDir = File.join(profileDir, "indexedDB");
+  if (!File.exists(registryFile) || !File.exists(indexedDBDir)) {
+    return databases;
+  }
+  let app = JSON.parse(File.read(registryFile))[xkey];
+  if (!app) {
+    return databases;
+  }
+
+  let collect = function collect(dir) {
+    let entries = dir.directoryEntries;
+    while (entries.hasMoreElements()) {
+      let file = entries.getNext().QueryInterface(Ci.nsIFile);
+      if (file.isDirectory()) {
+        collect(file);
+      } else if (/\.sqlite$/.test(file.leafName)) {
+        databases.push(readIndexedDBFile(file));
+      }
+    }
+  };
+
+  let dir = Cc['@mozilla.org/file/local;1'].createInstance(Ci.nsIFile);
+  dir.initWithPath(indexedDBDir);
+  let origins = dir.directoryEntries;
+  while (origins.hasMoreElements()) {
+    let originDir = origins.getNext().QueryInterface(Ci.nsIFile);
+    if (originDir.isDirectory() &&
+        originDir.leafName.indexOf(app.localId + "+") == 0) {
+      collect(originDir);
+    }
+  }
+
+  return databases;
+}
+
+function readIndexedDBFile(file) {
+  let connection = Services.storage.openUnsharedDatabase(file);
+  let query = function query(sql) {
+    let names = [];
+    let statement = connection.createStatement(sql);
+    try {
+      while (statement.executeStep()) {
+        names.push(statement.row.name);
+      }
+    } finally {
+      statement.finalize();
+    }
+    return names;
+  };
+
+  try {
+    return {
+      name: query("SELECT name FROM database")[0] || file.leafName,
+      objectStores: query("SELECT name FROM object_store"),
+    };
+  } finally {
+    connection.close();
+  }
+}
+
+/**
+ * Run build(done) once the builds queued before it for the app `xkey`
+ * called their done().
+ */
+function queuePackageBuild(xkey, build) {
+  let queue = gPackageBuilds[xkey] || (gPackageBuilds[xkey] = []);
+  let runNext = function runNext() {
+    queue[0](function done() {
+      queue.shift();
+      if (queue.length) {
+        runNext();
+      } else {
+        delete gPackageBuilds[xkey];
+      }
+    });
+  };
+
+  queue.push(build);
+  if (queue.length == 1) {
+    runNext();
+  }
+}
+
+/**
+ * Return `next`, or a callback reporting its error to the user if `next`
+ * isn't a function (e.g. when called from the Dashboard).
+ */
+function callbackOrReport(next) {
+  if (typeof next === "function") {
+    return next;
+  }
+  return function(error) {
+    if (error) {
+      simulator.error(error);
+    }
+  };
+}
+
+/**
+ * Copy a file, replacing the destination file if it already exists.
+ */
+function copyFile(sourcePath, destPath) {
+  let source = Cc['@mozilla.org/file/local;1'].createInstance(Ci.nsIFile);
+  source.initWithPath(sourcePath);
+  let dest = Cc['@mozilla.org/file/local;1'].createInstance(Ci.nsIFile);
+  dest.initWithPath(destPath);
+
+  if (dest.exists()) {
+    dest.remove(false);
+  }
+  source.copyTo(dest.parent, dest.leafName);
+}
+
+/**
+ * Return the modification time of a file, or null if it doesn't exist.
+ */
+function getLastModifiedTime(path) {
+  let file = Cc['@mozilla.org/file/local;1'].createInstance(Ci.nsIFile);
+  file.initWithPath(path);
+  return file.exists() ? file.lastModifiedTime : null;
+}
+
+/**
+ * Download a URL to a file.  Calls callback(error, size) once done.
+ */
+function downloadFile(url, destPath, callback) {
+  let channel = NetUtil.newChannel(url);
+  channel.loadFlags |= Ci.nsIRequest.LOAD_BYPASS_CACHE;
+
+  NetUtil.asyncFetch(channel, function(inputStream, status, request) {
+    if (status != Cr.NS_OK) {
+      callback(getResultText(status).name);
+      return;
+    }
+    if (request instanceof Ci.nsIHttpChannel && !request.requestSucceeded) {
+      inputStream.close();
+      callback("Unexpected status code: '" + request.responseStatus + "'.");
+      return;
+    }
+
+    let file = new FileUtils.File(destPath);
+    let outputStream = FileUtils.openSafeFileOutputStream(file);
+    NetUtil.asyncCopy(inputStream, outputStream, function(status) {
+      if (status != Cr.NS_OK) {
+        callback(getResultText(status).name);
+        return;
+      }
+      callback(null, file.fileSize);
+    });
+  });
+}
+
+/**
+ * Check the integrity of a package and return the manifest.webapp
+ * it contains.  Throws if the package or its manifest is invalid.
+ */
+function readZipManifest(zipPath) {
+  let zipReader = Cc["@mozilla.org/libjar/zip-reader;1"].
+                  createInstance(Ci.nsIZipReader);
+  zipReader.open(new FileUtils.File(zipPath));
+
+  try {
+    try {
+      zipReader.test(null);
+    } catch(e) {
+      throw "Corrupted archive.";
+    }
+    if (!zipReader.hasEntry("manifest.webapp")) {
+      throw "Missing manifest.webapp at the root of the archive.";
+    }
+
+    let stream = zipReader.getInputStream("manifest.webapp");
+    let text = NetUtil.readInputStreamToString(stream, stream.available(),
+                                               { charset: "UTF-8" });
+    stream.close();
+    return JsonLint.parse(text);
+  } finally {
+    zipReader.close();
+  }
+}
@@ -9,6 +9,7 @@ const { AppsUtils, ManifestHelper } = Cu.import("resource://gre/modules/AppsUtil
 const { Services } = Cu.import("resource://gre/modules/Services.jsm");
 const { PermissionsTable, expandPermissions } = Cu.import("resource://gre/modules/PermissionsTable.jsm");
 const { defer } = require('sdk/core/promise');
+const MiniManifest = require("./mini-manifest");
 
 exports.validateAppCache = function(errors, warnings, rawManifest, origin) {
   let deferred = defer();
@@ -206,3 +207,38 @@ exports.validatePermissions = function(errors, warnings, manifest) {
     }
   });
 }
+
+// Check that the mini-manifest of a packaged app matches the package
+// it refers to, as the install would fail on a device otherwise.
+exports.validateMiniManifest = function(errors, warnings, miniManifest,
+                                        manifest, packageSize) {
+  let validation = MiniManifest.validate(miniManifest);
+  validation.errors.forEach(function(error) {
+    errors.push(error);
+  });
+  validation.warnings.forEach(function(warning) {
+    warnings.push(warning);
+  });
+
+  if (miniManifest.name !== manifest.name) {
+    errors.push("Mini-manifest name '" + miniManifest.name + "' doesn't " +
+                "match the package manifest name '" + manifest.name + "'.");
+  }
+  if (miniManifest.version && miniManifest.version !== manifest.version) {
+    warnings.push("Mini-manifest version '" + miniManifest.version + "' " +
+                  "doesn't match the package manifest version '" +
+                  manifest.version + "'.");
+  }
+  if (typeof miniManifest.size === "number" &&
+      miniManifest.size !== packageSize) {
+    warnings.push("Mini-manifest size (" + miniManifest.size + " bytes) " +
+                  "doesn't match the package size (" + packageSize +
+                  " bytes).");
+  }
+  if (miniManifest.developer && manifest.developer &&
+      JSON.stringify(miniManifest.developer) !==
+      JSON.stringify(manifest.developer)) {
+    warnings.push("Mini-manifest developer doesn't match the package " +
+                  "manifest developer.");
+  }
+}
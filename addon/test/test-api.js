@@ -0,0 +1,108 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { Cu } = require("chrome");
+const { emit, count } = require("sdk/event/core");
+const SimulatorAPI = require("api");
+
+Cu.import("resource://gre/modules/Services.jsm");
+
+exports["test get API by notification"] = function(assert) {
+  let ready = null;
+  let observer = function(subject) ready = subject.wrappedJSObject.api;
+  Services.obs.addObserver(observer, SimulatorAPI.API_READY_TOPIC, false);
+  SimulatorAPI.register();
+  Services.obs.removeObserver(observer, SimulatorAPI.API_READY_TOPIC);
+
+  let request = { wrappedJSObject: {} };
+  Services.obs.notifyObservers(request, SimulatorAPI.API_REQUEST_TOPIC, null);
+  let api = request.wrappedJSObject.api;
+
+  assert.ok(api, "API is returned on request");
+  assert.strictEqual(api, ready, "API is sent once ready");
+  assert.strictEqual(api, SimulatorAPI.getAPI(), "API is shared");
+  assert.equal(api.version, SimulatorAPI.API_VERSION, "API has a version");
+
+  SimulatorAPI.unregister();
+  request = { wrappedJSObject: {} };
+  Services.obs.notifyObservers(request, SimulatorAPI.API_REQUEST_TOPIC, null);
+  assert.ok(!request.wrappedJSObject.api, "API isn't returned once unregistered");
+};
+
+exports["test unregister removes the listeners"] = function(assert) {
+  let rsc = require("simulator").remoteSimulator;
+  SimulatorAPI.register();
+  SimulatorAPI.unregister();
+  let listeners = count(rsc, "exit");
+
+  SimulatorAPI.register();
+  let api = SimulatorAPI.getAPI();
+  let stopped = 0;
+  api.on("stop", function() stopped++);
+  emit(rsc, "exit");
+  assert.equal(stopped, 1, "the API emits stop when the Simulator exits");
+
+  SimulatorAPI.unregister();
+  assert.equal(count(rsc, "exit"), listeners,
+               "the API stops listening to the Simulator once unregistered");
+  assert.notStrictEqual(SimulatorAPI.getAPI(), api,
+                        "a new API is created once unregistered");
+};
+
+exports["test unknown app"] = function(assert, done) {
+  let api = SimulatorAPI.getAPI();
+
+  api.run("http://unknown.example.com/manifest.webapp").then(
+    function() {
+      assert.fail("running an unknown app should fail");
+      done();
+    },
+    function(error) {
+      assert.equal(error.code, "APP_NOT_FOUND", "rejected with APP_NOT_FOUND");
+      assert.ok(error.fix, "error has a suggested fix");
+      done();
+    }
+  );
+};
+
+exports["test unsupported app type"] = function(assert, done) {
+  let api = SimulatorAPI.getAPI();
+
+  api.addApp({ url: "http://example.com/", type: "generated" }).then(
+    function() {
+      assert.fail("adding a generated app should fail");
+      done();
+    },
+    function(error) {
+      assert.equal(error.code, "UNSUPPORTED_APP_TYPE",
+                   "rejected with UNSUPPORTED_APP_TYPE");
+      assert.ok(api.listApps().every(function(app) app.type != "generated" ||
+                                     app.id != "http://example.com/"),
+                "app isn't registered");
+      done();
+    }
+  );
+};
+
+exports["test unknown permission prompt policy"] = function(assert, done) {
+  let api = SimulatorAPI.getAPI();
+
+  api.setPermissionPromptPolicy("sometimes").then(
+    function() {
+      assert.fail("setting an unknown policy should fail");
+      done();
+    },
+    function(error) {
+      assert.equal(error.code, "INVALID_SETTING",
+                   "rejected with INVALID_SETTING");
+      assert.ok(/sometimes/.test(error.detail), "error names the policy");
+      done();
+    }
+  );
+};
+
+require("sdk/test").run(exports);
@@ -0,0 +1,63 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+const { Ci, Cu } = require("chrome");
+const File = require("file");
+const { copyDirectory } = require("copy-directory");
+
+Cu.import("resource://gre/modules/Services.jsm");
+
+function createTempDir() {
+  let dir = Services.dirsvc.get("TmpD", Ci.nsIFile);
+  dir.append("r2d2b2g-test-copy-directory");
+  dir.createUnique(Ci.nsIFile.DIRECTORY_TYPE, parseInt("755", 8));
+  return dir;
+}
+
+function writeFile(path, text) {
+  let stream = File.open(path, "w");
+  stream.write(text);
+  stream.close();
+}
+
+exports["test copy directory"] = function(assert, done) {
+  let dir = createTempDir();
+  let source = File.join(dir.path, "source");
+  let dest = File.join(dir.path, "dest");
+  File.mkpath(File.join(source, "sub", "dir"));
+  writeFile(File.join(source, "prefs.js"), "one");
+  writeFile(File.join(source, "sub", "dir", "data.txt"), "two");
+
+  copyDirectory(source, dest).then(function() {
+    assert.equal(File.read(File.join(dest, "prefs.js")), "one",
+                 "files are copied");
+    assert.equal(File.read(File.join(dest, "sub", "dir", "data.txt")), "two",
+                 "subdirectories are copied");
+    dir.remove(true);
+    done();
+  }, function(error) {
+    assert.fail("the copy failed: " + error);
+    dir.remove(true);
+    done();
+  });
+};
+
+exports["test copy missing directory"] = function(assert, done) {
+  let dir = createTempDir();
+
+  copyDirectory(File.join(dir.path, "missing"),
+                File.join(dir.path, "dest")).then(function() {
+    assert.fail("copying a missing directory should fail");
+    dir.remove(true);
+    done();
+  }, function(error) {
+    assert.ok(error, "the copy of a missing directory fails");
+    dir.remove(true);
+    done();
+  });
+};
+
+require("sdk/test").run(exports);
@@ -0,0 +1,79 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+const { SimulatorError, ERRORS } = require("errors");
+
+exports["test known error"] = function(assert) {
+  let error = new SimulatorError("ADB_NOT_READY");
+
+  assert.ok(error instanceof Error, "SimulatorError is an Error");
+  assert.equal(error.code, "ADB_NOT_READY", "code is set");
+  assert.equal(error.message, ERRORS.ADB_NOT_READY.message, "message is set");
+  assert.equal(error.fix, ERRORS.ADB_NOT_READY.fix, "fix is set");
+  assert.equal(error.detail, null, "no detail");
+  assert.equal(error.toString(), ERRORS.ADB_NOT_READY.message,
+               "toString is the message");
+};
+
+exports["test error detail"] = function(assert) {
+  let error = new SimulatorError("HTTP_STATUS", 404);
+
+  assert.equal(error.detail, "404", "detail is a string");
+  assert.equal(error.toString(), ERRORS.HTTP_STATUS.message + " (404)",
+               "toString includes the detail");
+  assert.deepEqual(error.toJSON(), {
+    code: "HTTP_STATUS",
+    message: ERRORS.HTTP_STATUS.message + " (404)",
+    fix: ERRORS.HTTP_STATUS.fix
+  }, "toJSON has the code, message and fix");
+};
+
+exports["test unknown code"] = function(assert) {
+  let error = new SimulatorError("something bad");
+
+  assert.equal(error.code, "UNKNOWN", "unknown codes are reported as UNKNOWN");
+  assert.equal(error.detail, "something bad", "the code is kept as detail");
+};
+
+exports["test from"] = function(assert) {
+  let error = new SimulatorError("READ_FAILED");
+  assert.strictEqual(SimulatorError.from(error, "INVALID_PACKAGE"), error,
+                     "SimulatorErrors are returned as-is");
+
+  let wrapped = SimulatorError.from(Error("corrupted"), "INVALID_PACKAGE");
+  assert.equal(wrapped.code, "INVALID_PACKAGE", "Errors get the given code");
+  assert.equal(wrapped.detail, "corrupted", "Error message is the detail");
+
+  wrapped = SimulatorError.from("oops");
+  assert.equal(wrapped.code, "UNKNOWN", "code defaults to UNKNOWN");
+  assert.equal(wrapped.detail, "oops", "strings are the detail");
+};
+
+exports["test fromResponse"] = function(assert) {
+  let error = SimulatorError.fromResponse({ success: false,
+                                            error: "app-not-installed" });
+  assert.equal(error.code, "APP_NOT_INSTALLED",
+               "actor errors are mapped to their code");
+  error = SimulatorError.fromResponse({ success: false,
+                                        error: "app-not-running" });
+  assert.equal(error.code, "APP_NOT_RUNNING",
+               "actor errors are mapped to their code");
+
+  error = SimulatorError.fromResponse({ error: "INVALID_APP",
+                                        message: "bad origin" },
+                                      "INSTALL_FAILED");
+  assert.equal(error.code, "INSTALL_FAILED", "other errors get the given code");
+  assert.equal(error.detail, "INVALID_APP: bad origin",
+               "the error and message of the response are the detail");
+};
+
+exports["test every error has a message and a fix"] = function(assert) {
+  Object.keys(ERRORS).forEach(function(code) {
+    assert.ok(ERRORS[code].message, code + " has a message");
+    assert.ok(ERRORS[code].fix, code + " has a fix");
+  });
+};
+
+require("sdk/test").run(exports);
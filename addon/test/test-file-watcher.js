@@ -0,0 +1,108 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+'use strict';
+
+const { Ci, Cu } = require("chrome");
+const File = require("file");
+const FileWatcher = require("file-watcher");
+
+Cu.import("resource://gre/modules/Services.jsm");
+
+function createTempDir() {
+  let dir = Services.dirsvc.get("TmpD", Ci.nsIFile);
+  dir.append("r2d2b2g-test-file-watcher");
+  dir.createUnique(Ci.nsIFile.DIRECTORY_TYPE, parseInt("755", 8));
+  return dir;
+}
+
+function writeFile(path, text) {
+  let stream = File.open(path, "w");
+  stream.write(text);
+  stream.close();
+}
+
+// The tests scan the directory by calling _poll() with the current time
+// instead of waiting for the timer, which never fires during a test.
+function createWatcher(path, debounceDelay) {
+  let watcher = new FileWatcher({
+    path: path,
+    pollInterval: 3600000,
+    debounceDelay: debounceDelay
+  });
+  watcher.start();
+  return watcher;
+}
+
+exports["test change event is debounced"] = function(assert) {
+  let dir = createTempDir();
+  let changes = 0;
+
+  let watcher = createWatcher(dir.path, 200);
+  watcher.on("change", function(event) {
+    changes++;
+    assert.equal(event.path, dir.path, "change event reports the watched path");
+  });
+  assert.ok(watcher.isWatching, "watcher is watching");
+
+  // A burst of writes should result in a single change event.
+  writeFile(File.join(dir.path, "index.html"), "<p>1</p>");
+  watcher._poll(1000);
+  writeFile(File.join(dir.path, "app.js"), "// 2");
+  watcher._poll(1100);
+  watcher._poll(1200);
+  assert.equal(changes, 0, "no change event while the writes settle down");
+
+  watcher._poll(1300);
+  assert.equal(changes, 1, "one change event for a burst of writes");
+
+  watcher._poll(2000);
+  assert.equal(changes, 1, "no change event without further writes");
+
+  watcher.stop();
+  assert.ok(!watcher.isWatching, "watcher is stopped");
+  dir.remove(true);
+};
+
+exports["test hidden files are ignored"] = function(assert) {
+  let dir = createTempDir();
+  let changes = 0;
+
+  let watcher = createWatcher(dir.path, 100);
+  watcher.on("change", function() changes++);
+
+  writeFile(File.join(dir.path, ".index.html.swp"), "swap");
+  watcher._poll(1000);
+  watcher._poll(2000);
+
+  assert.equal(changes, 0, "no change event for a hidden file");
+  watcher.stop();
+  dir.remove(true);
+};
+
+exports["test files of the ignore file are ignored"] = function(assert) {
+  let dir = createTempDir();
+  writeFile(File.join(dir.path, ".simulatorignore"), "node_modules/\n*.log");
+  File.mkpath(File.join(dir.path, "node_modules", "lib"));
+  let changes = 0;
+
+  let watcher = createWatcher(dir.path, 100);
+  watcher.on("change", function() changes++);
+
+  writeFile(File.join(dir.path, "node_modules", "lib", "index.js"), "// 1");
+  writeFile(File.join(dir.path, "debug.log"), "log");
+  watcher._poll(1000);
+  watcher._poll(2000);
+  assert.equal(changes, 0, "no change event for ignored files");
+
+  writeFile(File.join(dir.path, "index.html"), "<p>1</p>");
+  watcher._poll(3000);
+  watcher._poll(4000);
+  assert.equal(changes, 1, "change event for a file that isn't ignored");
+
+  watcher.stop();
+  dir.remove(true);
+};
+
+require("sdk/test").run(exports);
@@ -0,0 +1,63 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+const Ignore = require("ignore");
+
+const PATTERNS = [
+  "# build leftovers",
+  "",
+  "node_modules/",
+  "*.psd",
+  "!keep.psd",
+  "/test",
+  "doc/**/*.md",
+  "build-?.log",
+].join("\n");
+
+exports["test parse skips comments and blank lines"] = function(assert) {
+  let rules = Ignore.parse(PATTERNS);
+  assert.equal(rules.length, 6, "one rule per pattern");
+  assert.ok(rules[2].negate, "'!' negates a pattern");
+  assert.ok(rules[0].dirOnly, "trailing '/' only matches directories");
+}
+
+exports["test unanchored patterns match at any level"] = function(assert) {
+  let rules = Ignore.parse(PATTERNS);
+  assert.ok(Ignore.isIgnored(rules, "node_modules", true),
+            "directory at the root is ignored");
+  assert.ok(Ignore.isIgnored(rules, "lib/node_modules", true),
+            "nested directory is ignored");
+  assert.ok(!Ignore.isIgnored(rules, "node_modules", false),
+            "file with the name of a directory pattern isn't ignored");
+  assert.ok(Ignore.isIgnored(rules, "style/images/logo.psd", false),
+            "nested file matching a wildcard is ignored");
+}
+
+exports["test anchored patterns match from the root"] = function(assert) {
+  let rules = Ignore.parse(PATTERNS);
+  assert.ok(Ignore.isIgnored(rules, "test", true), "root test/ is ignored");
+  assert.ok(!Ignore.isIgnored(rules, "js/test", true),
+            "nested test/ isn't ignored");
+  assert.ok(Ignore.isIgnored(rules, "doc/api/v1/index.md", false),
+            "'**' matches across directories");
+  assert.ok(Ignore.isIgnored(rules, "doc/index.md", false),
+            "'**/' matches zero directories");
+  assert.ok(!Ignore.isIgnored(rules, "index.md", false),
+            "anchored pattern doesn't match outside of its directory");
+}
+
+exports["test last matching rule wins"] = function(assert) {
+  let rules = Ignore.parse(PATTERNS);
+  assert.ok(!Ignore.isIgnored(rules, "keep.psd", false),
+            "negated pattern re-includes a file");
+  assert.ok(Ignore.isIgnored(rules, "build-1.log", false),
+            "'?' matches a single character");
+  assert.ok(!Ignore.isIgnored(rules, "build-10.log", false),
+            "'?' doesn't match several characters");
+  assert.ok(!Ignore.isIgnored(rules, "index.html", false),
+            "unmatched file isn't ignored");
+}
+
+require("sdk/test").run(exports);
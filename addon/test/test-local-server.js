@@ -0,0 +1,126 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { Cc, Ci } = require("chrome");
+const File = require("file");
+const Request = require("request").Request;
+const { LocalServer, getContentType } = require("local-server");
+
+const MANIFEST = { name: "Served App", description: "A served test app" };
+
+function createAppDir() {
+  let dir = Cc["@mozilla.org/file/directory_service;1"].
+            getService(Ci.nsIProperties).get("TmpD", Ci.nsIFile);
+  dir.append("local-server-test");
+  dir.createUnique(Ci.nsIFile.DIRECTORY_TYPE, parseInt("755", 8));
+
+  let stream = File.open(File.join(dir.path, "manifest.webapp"), "w");
+  stream.write(JSON.stringify(MANIFEST));
+  stream.close();
+  stream = File.open(File.join(dir.path, "index.html"), "w");
+  stream.write("<html><body>Served</body></html>");
+  stream.close();
+
+  return dir;
+}
+
+exports["test content types"] = function(assert) {
+  assert.equal(getContentType("manifest.webapp"),
+               "application/x-web-app-manifest+json", "webapp manifest");
+  assert.equal(getContentType("offline.appcache"), "text/cache-manifest",
+               "appcache manifest");
+  assert.equal(getContentType("INDEX.HTML"), "text/html",
+               "extensions are case insensitive");
+  assert.equal(getContentType("app.js"), "application/javascript",
+               "script");
+};
+
+exports["test serve directory"] = function(assert, done) {
+  let dir = createAppDir();
+  let server = new LocalServer({ root: dir.path });
+  server.start();
+
+  assert.ok(server.isRunning, "server is running");
+  assert.ok(server.port > 0, "server listens on an available port");
+
+  let finish = function() {
+    server.stop();
+    assert.ok(!server.isRunning, "server is stopped");
+    dir.remove(true);
+    done();
+  };
+
+  Request({
+    url: server.origin + "/manifest.webapp",
+    onComplete: function(response) {
+      assert.equal(response.status, 200, "manifest is served");
+      assert.equal(response.headers["Content-Type"],
+                   "application/x-web-app-manifest+json",
+                   "manifest is served with the webapp content type");
+      assert.deepEqual(response.json, MANIFEST, "manifest content is served");
+
+      Request({
+        url: server.origin + "/",
+        onComplete: function(response) {
+          assert.equal(response.status, 200, "directory index is served");
+          assert.equal(response.headers["Content-Type"], "text/html",
+                       "index is served as HTML");
+
+          Request({
+            url: server.origin + "/missing.html",
+            onComplete: function(response) {
+              assert.equal(response.status, 404, "missing files are 404");
+
+              Request({
+                url: server.origin + "/%2e%2e/secret",
+                onComplete: function(response) {
+                  assert.equal(response.status, 403,
+                               "files outside of the root are forbidden");
+                  finish();
+                }
+              }).get();
+            }
+          }).get();
+        }
+      }).get();
+    }
+  }).get();
+};
+
+exports["test path handlers"] = function(assert, done) {
+  let server = new LocalServer({});
+  server.registerPathHandler("/echo", function(request) {
+    return {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ method: request.method, body: request.body })
+    };
+  });
+  server.start();
+
+  Request({
+    url: server.origin + "/echo?query",
+    content: "some=content",
+    onComplete: function(response) {
+      assert.equal(response.status, 200, "handler responds");
+      assert.deepEqual(response.json, { method: "POST", body: "some=content" },
+                       "handler gets the method and body of the request");
+
+      Request({
+        url: server.origin + "/index.html",
+        onComplete: function(response) {
+          assert.equal(response.status, 404,
+                       "other paths aren't served without a root");
+          server.stop();
+          done();
+        }
+      }).get();
+    }
+  }).post();
+};
+
+require("sdk/test").run(exports);
@@ -0,0 +1,83 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+const ManifestDiff = require("manifest-diff");
+
+const MANIFEST = {
+  name: "Test App",
+  description: "A hosted test app",
+  launch_path: "/index.html",
+  icons: { "16": "/icon-16.png", "128": "/icon-128.png" },
+  permissions: { geolocation: { description: "Find you" } },
+  locales: ["en", "fr"]
+};
+
+function copy(object) JSON.parse(JSON.stringify(object))
+
+exports["test identical manifests"] = function(assert) {
+  assert.deepEqual(ManifestDiff.diff(MANIFEST, copy(MANIFEST)), [],
+                   "no changes between identical manifests");
+};
+
+exports["test changed, added and removed properties"] = function(assert) {
+  let manifest = copy(MANIFEST);
+  manifest.name = "Renamed App";
+  delete manifest.description;
+  manifest.icons["60"] = "/icon-60.png";
+  manifest.permissions.contacts = { access: "readonly" };
+
+  let changes = ManifestDiff.diff(MANIFEST, manifest);
+  assert.deepEqual(changes.map(function(change) change.path),
+                   ["description", "icons.60", "name", "permissions.contacts"],
+                   "changes are sorted by path");
+  assert.equal(changes[0].type, "removed", "removed property");
+  assert.equal(changes[0].oldValue, "A hosted test app", "removed value");
+  assert.equal(changes[1].type, "added", "added nested property");
+  assert.equal(changes[1].newValue, "/icon-60.png", "added value");
+  assert.equal(changes[2].type, "changed", "changed property");
+  assert.equal(changes[2].oldValue, "Test App", "old value");
+  assert.equal(changes[2].newValue, "Renamed App", "new value");
+};
+
+exports["test arrays are compared as a whole"] = function(assert) {
+  let manifest = copy(MANIFEST);
+  manifest.locales.push("de");
+
+  let changes = ManifestDiff.diff(MANIFEST, manifest);
+  assert.equal(changes.length, 1, "one change");
+  assert.equal(changes[0].path, "locales", "the array changed");
+  assert.deepEqual(changes[0].newValue, ["en", "fr", "de"], "new array");
+};
+
+exports["test type changes"] = function(assert) {
+  let manifest = copy(MANIFEST);
+  manifest.permissions = "none";
+
+  let changes = ManifestDiff.diff(MANIFEST, manifest);
+  assert.equal(changes.length, 1, "one change");
+  assert.equal(changes[0].path, "permissions", "the object was replaced");
+  assert.equal(changes[0].type, "changed", "replaced object is changed");
+};
+
+exports["test missing manifest"] = function(assert) {
+  let changes = ManifestDiff.diff(null, { name: "New" });
+  assert.deepEqual(changes, [{ path: "name", type: "added",
+                               oldValue: undefined, newValue: "New" }],
+                   "everything is added");
+};
+
+exports["test describe"] = function(assert) {
+  assert.equal(ManifestDiff.describe({ path: "name", type: "changed",
+                                       oldValue: "A", newValue: "B" }),
+               '~ name: "A" -> "B"', "changed property");
+  assert.equal(ManifestDiff.describe({ path: "icons.60", type: "added",
+                                       newValue: "/icon-60.png" }),
+               '+ icons.60: "/icon-60.png"', "added property");
+  assert.equal(ManifestDiff.describe({ path: "description", type: "removed",
+                                       oldValue: "Old" }),
+               '- description: "Old"', "removed property");
+};
+
+require("sdk/test").run(exports);
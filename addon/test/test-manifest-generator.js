@@ -0,0 +1,93 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+const { Cc, Ci } = require("chrome");
+const ManifestGenerator = require("manifest-generator");
+
+const PAGE_URL = "http://example.com/app/index.html";
+
+function parse(html) {
+  let parser = Cc["@mozilla.org/xmlextras/domparser;1"].
+               createInstance(Ci.nsIDOMParser);
+  return parser.parseFromString(html, "text/html");
+}
+
+const PAGE = parse(
+  '<html lang="fr"><head>' +
+  '<title>  A Rather Long Page Title  </title>' +
+  '<meta name="description" content="The page description">' +
+  '<meta name="application-name" content="Short Name">' +
+  '<meta name="theme-color" content="#ff0000">' +
+  '<meta name="viewport" content="width=device-width">' +
+  '<link rel="icon" href="/favicon.ico">' +
+  '<link rel="icon" href="icon-32.png" sizes="32x32">' +
+  '<link rel="apple-touch-icon" href="/touch-120.png" sizes="120x120">' +
+  '<link rel="icon" href="/icon-120.png" sizes="120x120 any">' +
+  '<link rel="icon" href="http://cdn.example.org/icon-64.png" sizes="64x64">' +
+  '<link rel="stylesheet" href="/style.css">' +
+  '</head><body></body></html>');
+
+exports["test extract page info"] = function(assert) {
+  let info = ManifestGenerator.extractPageInfo(PAGE);
+
+  assert.equal(info.title, "A Rather Long Page Title", "title is trimmed");
+  assert.equal(info.lang, "fr", "lang is extracted");
+  assert.equal(info.description, "The page description",
+               "description is extracted");
+  assert.equal(info.applicationName, "Short Name",
+               "application name is extracted");
+  assert.equal(info.themeColor, "#ff0000", "theme color is extracted");
+  assert.equal(info.viewport, "width=device-width", "viewport is extracted");
+  assert.equal(info.icons.length, 5, "only icon links are extracted");
+  assert.deepEqual(info.icons[1],
+                   { rel: "icon", href: "icon-32.png", sizes: "32x32" },
+                   "icon link has its rel, href and sizes");
+};
+
+exports["test generate manifest"] = function(assert) {
+  let info = ManifestGenerator.extractPageInfo(PAGE);
+  let { manifest, warnings } = ManifestGenerator.generate(info, PAGE_URL);
+
+  assert.equal(manifest.name, "Short Name",
+               "application name is preferred to the title");
+  assert.equal(manifest.description, "The page description",
+               "description comes from the meta tag");
+  assert.equal(manifest.default_locale, "fr", "locale is the page language");
+  assert.equal(manifest.launch_path, "/app/index.html",
+               "launch path is the page path");
+  assert.equal(manifest.theme_color, "#ff0000", "theme color is kept");
+  assert.deepEqual(manifest.icons, {
+    "16": "/favicon.ico",
+    "32": "/app/icon-32.png",
+    "64": "http://cdn.example.org/icon-64.png",
+    "120": "/touch-120.png"
+  }, "icons are indexed by size, relative to the origin when possible");
+  assert.deepEqual(warnings, [], "no warnings for a well-formed page");
+};
+
+exports["test generate manifest for a bare page"] = function(assert) {
+  let info = ManifestGenerator.extractPageInfo(
+    parse("<html><head><title>A Rather Long Page Title</title></head></html>"));
+  let { manifest, warnings } = ManifestGenerator.generate(info, PAGE_URL);
+
+  assert.equal(manifest.name, "A Rather Long Page Title",
+               "name is the full title");
+  assert.equal(manifest.description, "A Rather Long Page Title",
+               "description defaults to the title");
+  assert.equal(manifest.default_locale, "en", "locale defaults to en");
+  assert.deepEqual(manifest.icons, { "16": "/favicon.ico" },
+                   "icon defaults to the favicon");
+  assert.ok(!("theme_color" in manifest), "no theme color");
+  assert.equal(warnings.length, 4,
+               "warnings about the name, icons and viewport");
+};
+
+exports["test generate manifest without page info"] = function(assert) {
+  let { manifest } = ManifestGenerator.generate({ title: null, icons: [] },
+                                                PAGE_URL);
+  assert.equal(manifest.name, "example.com", "name defaults to the host");
+};
+
+require("sdk/test").run(exports);
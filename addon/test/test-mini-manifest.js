@@ -0,0 +1,52 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+const MiniManifest = require("mini-manifest");
+
+const MANIFEST = {
+  name: "Test App",
+  description: "A packaged test app",
+  version: "1.2",
+  developer: { name: "Mozilla", url: "https://mozilla.org" },
+  launch_path: "/index.html",
+  icons: { "128": "/icon-128.png" },
+  locales: {
+    fr: { name: "App de test", description: "Une app de test" }
+  }
+};
+
+exports["test build mini-manifest"] = function(assert) {
+  let miniManifest = MiniManifest.build(MANIFEST, {
+    packagePath: "application.zip",
+    size: 1234,
+    releaseNotes: "First release"
+  });
+
+  assert.equal(miniManifest.name, "Test App", "name is copied");
+  assert.equal(miniManifest.package_path, "application.zip",
+               "package_path is set");
+  assert.equal(miniManifest.size, 1234, "size is set");
+  assert.equal(miniManifest.version, "1.2", "version is copied");
+  assert.deepEqual(miniManifest.developer, MANIFEST.developer,
+                   "developer is copied");
+  assert.equal(miniManifest.release_notes, "First release",
+               "release_notes is set");
+  assert.deepEqual(miniManifest.locales, { fr: { name: "App de test" } },
+                   "only localized names are copied");
+  assert.ok(!("launch_path" in miniManifest),
+            "launch_path isn't part of the mini-manifest");
+  let validation = MiniManifest.validate(miniManifest);
+  assert.equal(validation.errors.length, 0, "generated mini-manifest is valid");
+  assert.equal(validation.warnings.length, 0, "without warnings");
+}
+
+exports["test validate mini-manifest"] = function(assert) {
+  let validation = MiniManifest.validate({ name: "Test App", size: "big" });
+  assert.equal(validation.errors.length, 2,
+               "missing package_path, invalid size");
+  assert.equal(validation.warnings.length, 1, "missing version");
+}
+
+require("sdk/test").run(exports);
@@ -0,0 +1,83 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const { Ci, Cu } = require("chrome");
+const File = require("file");
+const Project = require("project");
+
+Cu.import("resource://gre/modules/Services.jsm");
+
+const TMP_DIR = Services.dirsvc.get("TmpD", Ci.nsIFile).path;
+const PROJECT_DIR = File.join(TMP_DIR, "r2d2b2g-project");
+const PROJECT_PATH = File.join(PROJECT_DIR, "simulator-project.json");
+const MANIFEST_PATH = File.join(PROJECT_DIR, "apps", "foo", "manifest.webapp");
+const HOSTED_URL = "http://localhost:9999/manifest.webapp";
+
+const APPS = {};
+APPS[MANIFEST_PATH] = {
+  type: "local",
+  xkey: "1234",
+  watch: true,
+  receiptType: "ok",
+  receipt: "not-exported"
+};
+APPS[HOSTED_URL] = {
+  type: "hosted",
+  xkey: "5678",
+  permissionOverrides: { "contacts-read": "deny" }
+};
+APPS["http://localhost:9999/removed.webapp"] = {
+  type: "hosted",
+  removed: true
+};
+
+exports["test serialize"] = function(assert) {
+  let project = JSON.parse(Project.serialize(APPS, PROJECT_PATH));
+
+  assert.equal(project.version, Project.PROJECT_VERSION, "version is set");
+  assert.equal(project.apps.length, 2, "removed apps are left out");
+
+  let local = project.apps[0];
+  assert.equal(local.type, "local", "type is exported");
+  assert.equal(local.path, "apps/foo/manifest.webapp",
+               "path is relative to the project file");
+  assert.deepEqual(local.settings, { receiptType: "ok", watch: true },
+                   "only settings are exported");
+
+  let hosted = project.apps[1];
+  assert.equal(hosted.url, HOSTED_URL, "manifest URL is exported");
+  assert.deepEqual(hosted.settings,
+                   { permissionOverrides: { "contacts-read": "deny" } },
+                   "permission overrides are exported");
+};
+
+exports["test parse"] = function(assert) {
+  let text = Project.serialize(APPS, PROJECT_PATH);
+  let otherPath = File.join(TMP_DIR, "r2d2b2g-project-copy",
+                            "simulator-project.json");
+  let entries = Project.parse(text, otherPath);
+
+  assert.equal(entries.length, 2, "all apps are imported");
+  assert.equal(entries[0].id,
+               File.join(TMP_DIR, "r2d2b2g-project-copy", "apps", "foo",
+                         "manifest.webapp"),
+               "path is resolved against the project file location");
+  assert.equal(entries[0].settings.watch, true, "settings are imported");
+  assert.equal(entries[1].id, HOSTED_URL, "URL is imported as-is");
+};
+
+exports["test parse invalid project"] = function(assert) {
+  assert.throws(function() {
+    Project.parse("{ \"apps\": [{ \"type\": \"unknown\" }] }", PROJECT_PATH);
+  }, /Unknown type/, "unknown app types are rejected");
+
+  assert.throws(function() {
+    Project.parse("{ \"apps\": [{ \"type\": \"local\" }] }", PROJECT_PATH);
+  }, /Missing 'path'/, "packaged apps need a path");
+};
+
+require("sdk/test").run(exports);
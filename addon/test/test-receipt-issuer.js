@@ -0,0 +1,113 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+'use strict';
+
+const Request = require("request").Request;
+const { ReceiptIssuer, RECEIPT_TYPES, decodeReceipt,
+        verifyReceipt } = require("receipt-issuer");
+
+const PRODUCT_URL = "http://example.com";
+
+exports["test issue and verify receipts"] = function(assert, done) {
+  let issuer = new ReceiptIssuer({});
+  let types = RECEIPT_TYPES.slice();
+
+  let next = function() {
+    if (!types.length) {
+      assert.equal(Object.keys(issuer.keys).length, 1,
+                   "receipts are signed with a single known key");
+      issuer.stop();
+      assert.ok(!issuer.isRunning, "verifier is stopped");
+      done();
+      return;
+    }
+    let type = types.shift();
+    issuer.issue(PRODUCT_URL, type, null, function(error, receipt) {
+      assert.equal(error, null, type + " receipt is issued");
+      let { header, payload } = decodeReceipt(receipt);
+      assert.equal(header.alg, "RS256", "receipt is signed with RS256");
+      assert.equal(payload.typ, "test-receipt", "receipt is a test receipt");
+      assert.equal(payload.product.url, PRODUCT_URL,
+                   "receipt is for the product");
+      assert.equal(payload.verify, issuer.origin + "/receipts/verify/" + type,
+                   "receipt is verified by the local verifier");
+      assert.equal(issuer.verify(receipt).status, type,
+                   type + " receipt verifies as " + type);
+      next();
+    });
+  };
+  next();
+};
+
+exports["test issue custom receipts"] = function(assert, done) {
+  let issuer = new ReceiptIssuer({});
+  let claims = { product: "http://example.org", user: "tester", exp: 1000 };
+  issuer.issue(PRODUCT_URL, "ok", claims, function(error, receipt) {
+    let { payload } = decodeReceipt(receipt);
+    assert.equal(payload.product.url, "http://example.org",
+                 "product URL is overridden");
+    assert.equal(payload.user.value, "tester", "user is overridden");
+    assert.equal(payload.exp, 1000, "expiry is overridden");
+    assert.equal(issuer.verify(receipt).status, "expired",
+                 "receipt verifies with its custom claims");
+    issuer.stop();
+    done();
+  });
+};
+
+exports["test old keys are dropped"] = function(assert) {
+  let now = Date.now();
+  let keys = {
+    recent: { n: "ab", e: "03", lastUsed: now - 24 * 60 * 60 * 1000 },
+    old: { n: "cd", e: "03", lastUsed: now - 400 * 24 * 60 * 60 * 1000 },
+    unknown: { n: "ef", e: "03" }
+  };
+  let issuer = new ReceiptIssuer({ keys: keys });
+  assert.ok("recent" in keys, "recently used keys are kept");
+  assert.ok(!("old" in keys), "keys unused for a receipt lifetime are dropped");
+  assert.ok("unknown" in keys, "keys of unknown use are kept");
+  assert.ok(keys.unknown.lastUsed >= now, "and are counted as used now");
+  assert.equal(issuer.keys, keys, "the given keys are pruned in place");
+};
+
+exports["test verify malformed receipts"] = function(assert) {
+  assert.equal(decodeReceipt("not a receipt"), null,
+               "malformed receipt isn't decoded");
+  assert.deepEqual(verifyReceipt("not.a.receipt", {}, Date.now()),
+                   { status: "invalid", reason: "malformed receipt" },
+                   "malformed receipt is invalid");
+};
+
+exports["test verification endpoint"] = function(assert, done) {
+  let issuer = new ReceiptIssuer({});
+  issuer.issue(PRODUCT_URL, "refunded", null, function(error, receipt) {
+    let verifyURL = decodeReceipt(receipt).payload.verify;
+    Request({
+      url: verifyURL,
+      content: receipt,
+      onComplete: function(response) {
+        assert.equal(response.status, 200, "receipt is verified");
+        assert.equal(response.headers["Access-Control-Allow-Origin"], "*",
+                     "apps of any origin can verify receipts");
+        assert.deepEqual(response.json, { status: "refunded" },
+                         "verifier responds with the receipt status");
+
+        Request({
+          url: issuer.origin + "/receipts/verify/ok",
+          content: receipt,
+          onComplete: function(response) {
+            assert.equal(response.json.status, "invalid",
+                         "receipt is invalid for another verify URL");
+            issuer.stop();
+            done();
+          }
+        }).post();
+      }
+    }).post();
+  });
+};
+
+require("sdk/test").run(exports);
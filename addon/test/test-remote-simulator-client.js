@@ -38,4 +38,21 @@ exports["test RemoteSimulatorClient run/ping/kill"] = function(assert, done) {
   rsc.run();
 };
 
+exports["test RemoteSimulatorClient profile and screen arguments"] = function(assert) {
+  let rsc = new RemoteSimulatorClient({
+    profile: "/tmp/simulator-instance",
+    screen: "320x480"
+  });
+  let args = rsc.b2gArguments;
+
+  assert.equal(args[args.indexOf("-profile") + 1], "/tmp/simulator-instance",
+               "b2g runs with the given profile");
+  assert.equal(args[args.indexOf("-screen") + 1], "320x480",
+               "b2g runs with the given screen size");
+
+  let defaultArgs = new RemoteSimulatorClient({}).b2gArguments;
+  assert.equal(defaultArgs.indexOf("-screen"), -1,
+               "no screen argument by default");
+};
+
 require('sdk/test').run(exports);
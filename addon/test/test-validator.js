@@ -272,6 +272,50 @@ exports["test checkManifest - non-numeric size"] = function(assert) {
                           "(AppsUtils.checkManifest return false).");
 }
 
+exports["test validateMiniManifest - matching package"] = function(assert) {
+  let errors = [], warnings = [];
+  let manifest = { name: "foo", version: "1.0" };
+  let miniManifest = {
+    name: "foo",
+    version: "1.0",
+    package_path: "/foo.zip",
+    size: 42
+  };
+  validator.validateMiniManifest(errors, warnings, miniManifest, manifest, 42);
+  assert.equal(errors.length, 0);
+  assert.equal(warnings.length, 0);
+}
+
+exports["test validateMiniManifest - mismatching package"] = function(assert) {
+  let errors = [], warnings = [];
+  let manifest = { name: "foo", version: "1.1" };
+  let miniManifest = {
+    name: "bar",
+    version: "1.0",
+    package_path: "/foo.zip",
+    size: 42
+  };
+  validator.validateMiniManifest(errors, warnings, miniManifest, manifest, 24);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0], "Mini-manifest name 'bar' doesn't match the " +
+                          "package manifest name 'foo'.");
+  assert.equal(warnings.length, 2);
+}
+
+exports["test validateMiniManifest - missing version"] = function(assert) {
+  let errors = [], warnings = [];
+  let manifest = { name: "foo", version: "1.0" };
+  let miniManifest = {
+    name: "foo",
+    package_path: "/foo.zip"
+  };
+  validator.validateMiniManifest(errors, warnings, miniManifest, manifest);
+  assert.equal(errors.length, 0);
+  assert.equal(warnings.length, 1);
+  assert.equal(warnings[0], "Missing 'version' in mini-manifest (needed for " +
+                            "app updates on the Marketplace).");
+}
+
 exports["test z teardown"] = function (assert, done) {
   server.stop(done);
   assert.pass("teardown");
@@ -0,0 +1,204 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* The FakePaymentUIGlue replaces the payment flow of navigator.mozPay with
+ * a simulated one.  The fake payment provider registered in
+ * defaults/preferences/prefs.js accepts the JWTs of Marketplace in-app
+ * payments, and instead of loading the provider's page, content/payment.xul
+ * shows the payment request and lets the developer choose its result:
+ *
+ * - success: the DOMRequest of mozPay succeeds, and a postback notice is
+ *   posted to the callback URL;
+ * - failure: the DOMRequest fails, and a chargeback notice is posted to the
+ *   callback URL;
+ * - cancel: the DOMRequest fails with USER_CANCELLED.
+ *
+ * Notices are posted to the postbackURL or chargebackURL of the request,
+ * unless a callback URL is set in the payment window (e.g. to point to a
+ * local server), which is then kept for the next payments until cleared.
+ * Notices are signed with the r2d2b2g.payment.secret pref, which should be
+ * the secret of the app the local server checks notices with. */
+
+const Ci = Components.interfaces;
+const Cc = Components.classes;
+const Cu = Components.utils;
+
+Cu.import("resource://gre/modules/XPCOMUtils.jsm");
+Cu.import("resource://gre/modules/Services.jsm");
+
+XPCOMUtils.defineLazyServiceGetter(this, "cpmm",
+                                   "@mozilla.org/childprocessmessagemanager;1",
+                                   "nsIMessageSender");
+
+const CALLBACK_URL_PREF = "r2d2b2g.payment.callbackURL";
+const SECRET_PREF = "r2d2b2g.payment.secret";
+
+const POSTBACK_TYPE = "mozilla/payments/pay/postback/v1";
+const CHARGEBACK_TYPE = "mozilla/payments/pay/chargeback/v1";
+
+let debug = function debug() {
+  dump("FakePaymentUIGlue: " + Array.slice(arguments).join(" ") + "\n");
+};
+
+function FakePaymentUIGlue() {}
+
+FakePaymentUIGlue.prototype = {
+  classID:          Components.ID("{096f61e9-9ee3-43a9-ab1b-7a8c0278dfdb}"),
+  QueryInterface:   XPCOMUtils.generateQI([Ci.nsIPaymentUIGlue]),
+
+  // There is only the fake provider to choose from, so select the provider
+  // of the first request without asking.
+  confirmPaymentRequest: function(requestId, requests, successCb, errorCb) {
+    if (!requests.length) {
+      errorCb.onresult(requestId, "INTERNAL_ERROR");
+      return;
+    }
+    successCb.onresult(requestId, requests[0].type);
+  },
+
+  showPaymentFlow: function(requestId, paymentFlowInfo, errorCb) {
+    let request;
+    try {
+      request = decodeJWT(paymentFlowInfo.jwt);
+    } catch(e) {
+      debug("invalid payment request JWT: " + e);
+      errorCb.onresult(requestId, "INVALID_JWT");
+      return;
+    }
+    let details = request.request || {};
+
+    let configuredURL = getPref(CALLBACK_URL_PREF) || "";
+    let params = {
+      request: request,
+      callbackURL: configuredURL,
+      defaultCallbackURL: details.postbackURL || "",
+      result: "cancel"
+    };
+    Services.ww.openWindow(null,
+      "chrome://prosthesis/content/payment.xul",
+      "paymentWindow",
+      "chrome,dialog,centerscreen,modal",
+      { wrappedJSObject: params });
+
+    debug("simulated payment result: " + params.result);
+    // Only keep the callback URL the developer typed in.
+    if (params.callbackURL != configuredURL) {
+      if (params.callbackURL) {
+        Services.prefs.setCharPref(CALLBACK_URL_PREF, params.callbackURL);
+      } else {
+        Services.prefs.clearUserPref(CALLBACK_URL_PREF);
+      }
+    }
+
+    let transactionID = "simulator-" + Date.now();
+    switch (params.result) {
+      case "success":
+        postNotice(params.callbackURL || details.postbackURL,
+                   POSTBACK_TYPE, request, { transactionID: transactionID });
+        cpmm.sendAsyncMessage("Payment:Success", {
+          requestId: requestId,
+          result: transactionID
+        });
+        break;
+      case "failure":
+        postNotice(params.callbackURL || details.chargebackURL,
+                   CHARGEBACK_TYPE, request,
+                   { transactionID: transactionID, reason: "reversal" });
+        errorCb.onresult(requestId, "SIMULATED_FAILURE");
+        break;
+      default:
+        errorCb.onresult(requestId, "USER_CANCELLED");
+        break;
+    }
+  }
+};
+
+function getPref(name) {
+  try {
+    return Services.prefs.getCharPref(name);
+  } catch(e) {
+    return null;
+  }
+}
+
+function base64UrlEncode(string) {
+  return btoa(unescape(encodeURIComponent(string))).
+         replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlDecode(string) {
+  string = string.replace(/-/g, "+").replace(/_/g, "/");
+  while (string.length % 4) {
+    string += "=";
+  }
+  return decodeURIComponent(escape(atob(string)));
+}
+
+function decodeJWT(jwt) {
+  let parts = jwt.split(".");
+  if (parts.length < 2) {
+    throw new Error("expected a JWT, got " + jwt);
+  }
+  return JSON.parse(base64UrlDecode(parts[1]));
+}
+
+// Encode and sign a JWT with HMAC SHA-256, like the Marketplace signs the
+// notices it posts to apps.
+function encodeJWT(payload, secret) {
+  let signingInput = base64UrlEncode(JSON.stringify({ alg: "HS256",
+                                                      typ: "JWT" })) +
+                     "." + base64UrlEncode(JSON.stringify(payload));
+
+  let key = Cc["@mozilla.org/security/keyobjectfactory;1"].
+            getService(Ci.nsIKeyObjectFactory).
+            keyFromString(Ci.nsIKeyObject.HMAC, secret);
+  let hmac = Cc["@mozilla.org/security/hmac;1"].
+             createInstance(Ci.nsICryptoHMAC);
+  hmac.init(Ci.nsICryptoHMAC.SHA256, key);
+  let bytes = [];
+  for (let i = 0; i < signingInput.length; i++) {
+    bytes.push(signingInput.charCodeAt(i));
+  }
+  hmac.update(bytes, bytes.length);
+  let signature = hmac.finish(true).
+                  replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+
+  return signingInput + "." + signature;
+}
+
+// Post a postback or chargeback notice of `type` about `request` to `url`,
+// as a "notice" form parameter.
+function postNotice(url, type, request, response) {
+  if (!url) {
+    debug("no callback URL, not posting " + type);
+    return;
+  }
+
+  let now = Math.floor(Date.now() / 1000);
+  let notice = encodeJWT({
+    iss: request.aud,
+    aud: request.iss,
+    typ: type,
+    iat: now,
+    exp: now + 3600,
+    request: request.request,
+    response: response
+  }, getPref(SECRET_PREF) || "simulator");
+
+  let xhr = Cc["@mozilla.org/xmlextras/xmlhttprequest;1"].
+            createInstance(Ci.nsIXMLHttpRequest);
+  xhr.open("POST", url, true);
+  xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");
+  xhr.onload = function() {
+    // The app acknowledges notices by responding with the transaction id.
+    debug(type + " posted to " + url + ": " + xhr.status + " " +
+          xhr.responseText);
+  };
+  xhr.onerror = function() {
+    debug("error posting " + type + " to " + url);
+  };
+  xhr.send("notice=" + encodeURIComponent(notice));
+}
+
+this.NSGetFactory = XPCOMUtils.generateNSGetFactory([FakePaymentUIGlue]);
@@ -0,0 +1,127 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/* The SimulatorPermissionPrompt decides permission prompts (geolocation,
+ * camera, contacts, etc.) according to the prompt policy of the Simulator,
+ * so that automated test runs aren't blocked by prompts nobody answers.
+ * The policy is set by the addon through the simulator actor (see
+ * content/dbg-simulator-actors.js), which keeps it in the
+ * r2d2b2g.permissions.promptPolicy pref as JSON:
+ *
+ *   { "mode": "prompt" | "allow" | "deny" | "rules",
+ *     "rules": { <app origin>: { <permission type>: "allow" | "deny" } } }
+ *
+ * The policy only decides the prompts of permissions in the PROMPT state,
+ * and in "rules" mode, prompts without a matching rule are shown.  Prompts
+ * that aren't decided are handled by the B2G prompt component.  Every
+ * automatic decision is dumped and notified as r2d2b2g:permission-prompt,
+ * so that the addon can log it in the history of the app. */
+
+const Ci = Components.interfaces;
+const Cc = Components.classes;
+const Cu = Components.utils;
+
+Cu.import("resource://gre/modules/XPCOMUtils.jsm");
+Cu.import("resource://gre/modules/Services.jsm");
+
+const POLICY_PREF = "r2d2b2g.permissions.promptPolicy";
+
+// The prompt component of B2G, which this component replaces.
+const B2G_PROMPT_CID = "{8c719f03-afe0-4aac-91ff-6c215895d467}";
+
+let debug = function debug() {
+  dump("SimulatorPermissionPrompt: " + Array.slice(arguments).join(" ") + "\n");
+};
+
+function SimulatorPermissionPrompt() {}
+
+SimulatorPermissionPrompt.prototype = {
+  classID:          Components.ID("{7bc8a5ef-490c-4bc5-8fb2-7ecb6b4c0580}"),
+  QueryInterface:   XPCOMUtils.generateQI([Ci.nsIContentPermissionPrompt]),
+
+  prompt: function(request) {
+    let origin = request.principal.origin;
+    let decision = null;
+
+    // Only decide the prompts that would be shown: permissions already
+    // allowed or denied (e.g. by the user in the dashboard) are handled by
+    // the B2G prompt as usual.
+    let state = this._getPermission(request);
+    if (state == Ci.nsIPermissionManager.PROMPT_ACTION) {
+      decision = this._decide(origin, request.type, request.access);
+    }
+
+    if (!decision) {
+      this._showPrompt(request);
+      return;
+    }
+
+    debug("automatically " + (decision == "allow" ? "allowed " : "denied ") +
+          request.type + " for " + origin);
+    Services.obs.notifyObservers({
+      wrappedJSObject: {
+        origin: origin,
+        type: request.type,
+        access: request.access || null,
+        decision: decision
+      }
+    }, "r2d2b2g:permission-prompt", null);
+
+    if (decision == "allow") {
+      request.allow();
+    } else {
+      request.cancel();
+    }
+  },
+
+  // The state of the permission of a request, whose type includes the access
+  // (e.g. "contacts-read") for the permissions with an access.
+  _getPermission: function(request) {
+    let type = request.access ? request.type + "-" + request.access
+                              : request.type;
+    return Services.perms.testExactPermissionFromPrincipal(request.principal,
+                                                           type);
+  },
+
+  // Return the decision of the policy for a prompt ("allow" or "deny"),
+  // or null if the prompt should be shown.
+  _decide: function(origin, type, access) {
+    let policy;
+    try {
+      policy = JSON.parse(Services.prefs.getCharPref(POLICY_PREF));
+    } catch(e) {
+      return null;
+    }
+
+    switch (policy.mode) {
+      case "allow":
+      case "deny":
+        return policy.mode;
+      case "rules":
+        let rules = (policy.rules && policy.rules[origin]) || {};
+        // Rules are set on the permission types of the manifest, which
+        // include the access (e.g. "contacts-read").
+        let decision = (access && rules[type + "-" + access]) || rules[type];
+        return decision == "allow" || decision == "deny" ? decision : null;
+      default:
+        return null;
+    }
+  },
+
+  _showPrompt: function(request) {
+    let prompt;
+    try {
+      prompt = Components.classesByID[B2G_PROMPT_CID].
+               createInstance(Ci.nsIContentPermissionPrompt);
+    } catch(e) {
+      debug("B2G prompt unavailable, denying " + request.type + ": " + e);
+      request.cancel();
+      return;
+    }
+    prompt.prompt(request);
+  }
+};
+
+this.NSGetFactory =
+  XPCOMUtils.generateNSGetFactory([SimulatorPermissionPrompt]);
@@ -6,6 +6,11 @@
 
 Cu.import("resource://gre/modules/Services.jsm");
 let { AppsUtils } = Cu.import("resource://gre/modules/AppsUtils.jsm");
+let { NetworkThrottle } =
+  Cu.import("resource://prosthesis/modules/NetworkThrottle.jsm", {});
+
+// Permission states, indexed by nsIPermissionManager action.
+let PERMISSION_STATES = ["unknown", "allow", "deny", "prompt"];
 
 /**
   * Creates a SimulatorActor. SimulatorActor provides remote access to the
@@ -16,10 +21,14 @@ let SimulatorActor = function SimulatorActor(aConnection) {
 
   this._connection = aConnection;
   this._listeners = {};
+  this._lastActivityId = 0;
+  this._disconnected = false;
 
   Services.obs.addObserver(this, "r2d2b2g:app-update", false);
   Services.obs.addObserver(this, "r2d2b2g:geolocation-start", false);
   Services.obs.addObserver(this, "r2d2b2g:geolocation-stop", false);
+  Services.obs.addObserver(this, "r2d2b2g:permission-prompt", false);
+  Services.obs.addObserver(this, "r2d2b2g:network-throttle-change", false);
 };
 
 SimulatorActor.prototype = {
@@ -36,6 +45,12 @@ SimulatorActor.prototype = {
       case "r2d2b2g:geolocation-stop":
         this.geolocationStop();
         break;
+      case "r2d2b2g:permission-prompt":
+        this.permissionPrompt(aSubject.wrappedJSObject);
+        break;
+      case "r2d2b2g:network-throttle-change":
+        this.networkThrottleChange(aSubject.wrappedJSObject);
+        break;
     }
   },
 
@@ -65,9 +80,34 @@ SimulatorActor.prototype = {
     });
   },
 
+  // Tell the addon about a prompt decided by the prompt policy.
+  permissionPrompt: function(decision) {
+    this._connection.send({
+      from: this.actorID,
+      type: "permissionPrompt",
+      origin: decision.origin,
+      permission: decision.type,
+      access: decision.access,
+      decision: decision.decision
+    });
+  },
+
+  // Tell the addon about the network profile, which may have been changed
+  // from the toolbar of the shell.
+  networkThrottleChange: function(state) {
+    this._connection.send({
+      from: this.actorID,
+      type: "networkThrottleChange",
+      state: state
+    });
+  },
+
   disconnect: function() {
     this.debug("simulator actor connection closed");
+    this._disconnected = true;
     Services.obs.removeObserver(this, "r2d2b2g:app-update");
+    Services.obs.removeObserver(this, "r2d2b2g:permission-prompt");
+    Services.obs.removeObserver(this, "r2d2b2g:network-throttle-change");
   },
 
   /**
@@ -399,6 +439,575 @@ SimulatorActor.prototype = {
     };
   },
 
+  /**
+   * Return the localStorage, sessionStorage (only available while the app
+   * is running) and cookies of an app.  Its IndexedDB databases are read
+   * by the addon from the profile while b2g isn't running.
+   */
+  onGetAppStorage: function (aRequest) {
+    this.debug("simulator actor received a 'getAppStorage' command: " +
+               aRequest.appId);
+    let app = this.simulatorWindow.DOMApplicationRegistry.webapps[aRequest.appId];
+
+    if (!app) {
+      return { success: false, error: "app-not-installed" };
+    }
+
+    let storage = {
+      localStorage: null,
+      sessionStorage: null,
+      cookies: [],
+    };
+
+    try {
+      storage.localStorage = this._dumpStorage(this._getLocalStorage(app));
+
+      let appFrame = this._getAppFrame(app.origin);
+      if (appFrame) {
+        storage.sessionStorage =
+          this._dumpStorage(appFrame.contentWindow.sessionStorage);
+      }
+
+      let cookies = Services.cookies.getCookiesForApp(app.localId, false);
+      while (cookies.hasMoreElements()) {
+        let cookie = cookies.getNext().QueryInterface(Ci.nsICookie2);
+        storage.cookies.push({
+          name: cookie.name,
+          value: cookie.value,
+          host: cookie.host,
+          path: cookie.path,
+          expires: cookie.isSession ? null : cookie.expires,
+          isSecure: cookie.isSecure,
+          isHttpOnly: cookie.isHttpOnly,
+        });
+      }
+    } catch(e) {
+      this.debug(["EXCEPTION:", e, e.fileName, e.lineNumber].join(' '));
+      return { success: false, error: "" + e };
+    }
+
+    return { success: true, storage: storage };
+  },
+
+  /**
+   * Remove a key from the localStorage or sessionStorage of an app, or one
+   * of its cookies, the key being the name, host and path of the cookie.
+   */
+  onRemoveAppStorageItem: function (aRequest) {
+    this.debug("simulator actor received a 'removeAppStorageItem' command: " +
+               aRequest.appId + " " + aRequest.storage + " " + aRequest.key);
+    let app = this.simulatorWindow.DOMApplicationRegistry.webapps[aRequest.appId];
+
+    if (!app) {
+      return { success: false, error: "app-not-installed" };
+    }
+
+    if (aRequest.storage == "cookies") {
+      try {
+        this._removeCookie(app, aRequest.key);
+      } catch(e) {
+        this.debug(["EXCEPTION:", e, e.fileName, e.lineNumber].join(' '));
+        return { success: false, error: "" + e };
+      }
+      return {
+        message: "removeAppStorageItem request received",
+        success: true
+      };
+    }
+
+    let storage;
+    if (aRequest.storage == "localStorage") {
+      storage = this._getLocalStorage(app);
+    } else if (aRequest.storage == "sessionStorage") {
+      let appFrame = this._getAppFrame(app.origin);
+      if (!appFrame) {
+        return { success: false, error: "app-not-running" };
+      }
+      storage = appFrame.contentWindow.sessionStorage;
+    } else {
+      return { success: false, error: "unknown-storage" };
+    }
+
+    try {
+      storage.removeItem(aRequest.key);
+    } catch(e) {
+      this.debug(["EXCEPTION:", e, e.fileName, e.lineNumber].join(' '));
+      return { success: false, error: "" + e };
+    }
+
+    return {
+      message: "removeAppStorageItem request received",
+      success: true
+    };
+  },
+
+  /**
+   * Return the state ("allow", "deny", "prompt" or "unknown") of each of
+   * the permission types of an app, expanded from the `permissions` of its
+   * manifest (e.g. "contacts-read" for "contacts" with "readonly" access).
+   */
+  onGetAppPermissions: function (aRequest) {
+    this.debug("simulator actor received a 'getAppPermissions' command: " +
+               aRequest.appId);
+    let app = this.simulatorWindow.DOMApplicationRegistry.webapps[aRequest.appId];
+
+    if (!app) {
+      return { success: false, error: "app-not-installed" };
+    }
+
+    let permissions = [];
+    try {
+      let { expandPermissions } =
+        Cu.import("resource://gre/modules/PermissionsTable.jsm", {});
+      let principal = this._getAppPrincipal(app);
+      let declared = aRequest.permissions || {};
+      Object.keys(declared).forEach(function(name) {
+        let access = declared[name] && declared[name].access;
+        let types = expandPermissions(name, access);
+        if (!types.length) {
+          types = [name];
+        }
+        types.forEach(function(type) {
+          permissions.push({
+            name: name,
+            type: type,
+            state: PERMISSION_STATES[Services.perms.
+              testExactPermissionFromPrincipal(principal, type)] || "unknown"
+          });
+        });
+      });
+    } catch(e) {
+      this.debug(["EXCEPTION:", e, e.fileName, e.lineNumber].join(' '));
+      return { success: false, error: "" + e };
+    }
+
+    return { success: true, permissions: permissions };
+  },
+
+  /**
+   * Set the state ("allow", "deny", "prompt" or "unknown") of a permission
+   * type (the `permission` of the request) of an app.
+   */
+  onSetAppPermission: function (aRequest) {
+    this.debug("simulator actor received a 'setAppPermission' command: " +
+               aRequest.appId + " " + aRequest.permission + " " +
+               aRequest.state);
+    let app = this.simulatorWindow.DOMApplicationRegistry.webapps[aRequest.appId];
+
+    if (!app) {
+      return { success: false, error: "app-not-installed" };
+    }
+
+    let action = PERMISSION_STATES.indexOf(aRequest.state);
+    if (action == -1) {
+      return { success: false, error: "unknown-permission-state" };
+    }
+
+    let principal = this._getAppPrincipal(app);
+    if (action == Ci.nsIPermissionManager.UNKNOWN_ACTION) {
+      Services.perms.removeFromPrincipal(principal, aRequest.permission);
+    } else {
+      Services.perms.addFromPrincipal(principal, aRequest.permission, action);
+    }
+
+    return {
+      message: "setAppPermission request received",
+      success: true
+    };
+  },
+
+  /**
+   * Set the policy deciding permission prompts, see
+   * components/SimulatorPermissionPrompt.js.
+   */
+  onSetPermissionPromptPolicy: function (aRequest) {
+    this.debug("simulator actor received a 'setPermissionPromptPolicy' " +
+               "command: " + aRequest.policy.mode);
+    Services.prefs.setCharPref("r2d2b2g.permissions.promptPolicy",
+                               JSON.stringify(aRequest.policy));
+
+    return {
+      message: "setPermissionPromptPolicy request received",
+      success: true
+    };
+  },
+
+  /**
+   * Return the activity handlers registered by the installed apps, from
+   * the `activities` of their manifests.  The manifests are read by the
+   * registry, which caches them, so the reply is sent once they are.
+   */
+  onListActivities: function (aRequest) {
+    this.debug("simulator actor received a 'listActivities' command");
+    let registry = this.simulatorWindow.DOMApplicationRegistry;
+
+    this._readManifests(Object.keys(registry.webapps), function(aResults) {
+      let handlers = [];
+      aResults.forEach(function(result) {
+        let app = registry.webapps[result.id];
+        let manifest = result.manifest;
+        if (!app || !manifest) {
+          this.debug("can't read the manifest of app " + result.id);
+          return;
+        }
+
+        let activities = manifest.activities || {};
+        for (let name in activities) {
+          let description = activities[name];
+          handlers.push({
+            name: name,
+            filters: description.filters || null,
+            disposition: description.disposition || "window",
+            returnValue: !!description.returnValue,
+            href: description.href || null,
+            app: {
+              name: manifest.name || app.origin,
+              origin: app.origin,
+              manifestURL: app.manifestURL
+            }
+          });
+        }
+      }, this);
+      this._reply({ success: true, activities: handlers });
+    });
+  },
+
+  /**
+   * Start a MozActivity with the `name` and `data` of the request from the
+   * system app.  Returns the id of the activity, its result or error is sent
+   * as an unsolicited activityResult packet.
+   */
+  onStartActivity: function (aRequest) {
+    this.debug("simulator actor received a 'startActivity' command: " +
+               aRequest.name);
+    let window = XPCNativeWrapper.unwrap(this.homescreenWindow);
+    let activityId = ++this._lastActivityId;
+
+    let activity;
+    try {
+      // The options have to be created in the compartment of the window.
+      activity = new window.MozActivity(window.JSON.parse(JSON.stringify({
+        name: aRequest.name,
+        data: aRequest.data || {}
+      })));
+    } catch(e) {
+      this.debug(["EXCEPTION:", e, e.fileName, e.lineNumber].join(' '));
+      return { success: false, error: "" + e };
+    }
+
+    // The connection may be closed by the time the activity is done.
+    activity.onsuccess = (function() {
+      if (this._disconnected) {
+        return;
+      }
+      this._connection.send({
+        from: this.actorID,
+        type: "activityResult",
+        activityId: activityId,
+        result: this._serializeActivityResult(activity.result)
+      });
+    }).bind(this);
+    activity.onerror = (function() {
+      if (this._disconnected) {
+        return;
+      }
+      this._connection.send({
+        from: this.actorID,
+        type: "activityResult",
+        activityId: activityId,
+        error: activity.error ? activity.error.name : "unknown-error"
+      });
+    }).bind(this);
+
+    return { success: true, activityId: activityId };
+  },
+
+  /**
+   * Send a system message of `messageType` with the `message` payload to
+   * the page of an app registered for it in the `messages` of its manifest,
+   * which opens the app if it isn't running.  Returns whether a page was
+   * `registered` for that type, and if so which `page` got the message.
+   */
+  onSendSystemMessage: function (aRequest) {
+    this.debug("simulator actor received a 'sendSystemMessage' command: " +
+               aRequest.appId + " " + aRequest.messageType);
+    let registry = this.simulatorWindow.DOMApplicationRegistry;
+    let app = registry.webapps[aRequest.appId];
+
+    if (!app) {
+      return { success: false, error: "app-not-installed" };
+    }
+
+    this._readManifests([aRequest.appId], function(aResults) {
+      let pageURI;
+      try {
+        let manifest = aResults[0].manifest;
+        if (!manifest) {
+          throw new Error("can't read the manifest of " + app.origin);
+        }
+        pageURI = this._getSystemMessagePage(app, manifest,
+                                             aRequest.messageType);
+        if (pageURI) {
+          let manifestURI = Services.io.newURI(app.manifestURL, null, null);
+          Cc["@mozilla.org/system-message-internal;1"].
+            getService(Ci.nsISystemMessagesInternal).
+            sendMessage(aRequest.messageType, aRequest.message || {}, pageURI,
+                        manifestURI);
+        }
+      } catch(e) {
+        this.debug(["EXCEPTION:", e, e.fileName, e.lineNumber].join(' '));
+        this._reply({ success: false, error: "" + e });
+        return;
+      }
+
+      this._reply(pageURI ?
+                  { success: true, registered: true, page: pageURI.spec } :
+                  { success: true, registered: false });
+    });
+  },
+
+  // Get the URI of the page of an app registered for system messages of
+  // `type`, or null, the way DOMApplicationRegistry._registerSystemMessages
+  // registers them: entries of `messages` are { type: href } objects with
+  // a single key, or types handled by the launch path, and the app needs
+  // the permissions of the type on builds that check them.
+  _getSystemMessagePage: function (app, manifest, type) {
+    if (!Array.isArray(manifest.messages)) {
+      return null;
+    }
+    let { ManifestHelper } =
+      Cu.import("resource://gre/modules/AppsUtils.jsm", {});
+    let checker = null;
+    try {
+      checker =
+        Cu.import("resource://gre/modules/SystemMessagePermissionsChecker.jsm",
+                  {}).SystemMessagePermissionsChecker;
+    } catch(e) {
+      this.debug("system message permissions aren't checked on this build");
+    }
+    let helper = new ManifestHelper(manifest, app.origin);
+
+    let page = null;
+    manifest.messages.forEach(function(entry) {
+      let name, href;
+      if (typeof entry === "object" && Object.keys(entry).length === 1) {
+        name = Object.keys(entry)[0];
+        try {
+          href = helper.resolveFromOrigin(entry[name]);
+        } catch(e) {
+          return;
+        }
+      } else {
+        name = entry;
+        href = helper.fullLaunchPath();
+      }
+      if (page || name != type || (checker &&
+          !checker.isSystemMessagePermittedToRegister(name, app.origin,
+                                                      manifest))) {
+        return;
+      }
+      page = Services.io.newURI(href, null, null);
+    }, this);
+    return page;
+  },
+
+  // Call `callback` with the { id, manifest } of the apps of `ids`, from
+  // the manifests cached by the registry, or read from the directories of
+  // the apps on builds whose registry can't read them for us.  `callback`
+  // is bound to the actor.
+  _readManifests: function (ids, callback) {
+    let registry = this.simulatorWindow.DOMApplicationRegistry;
+    callback = callback.bind(this);
+    if (typeof registry._readManifests == "function") {
+      try {
+        registry._readManifests(ids.map(function(id) ({ id: id })), callback);
+        return;
+      } catch(e) {
+        this.debug("the registry can't read the manifests: " + e);
+      }
+    }
+    callback(ids.map(function(id) {
+      let manifest = null;
+      try {
+        manifest = this._readManifest(registry.webapps[id]);
+      } catch(e) {
+        this.debug("can't read the manifest of app " + id + ": " + e);
+      }
+      return { id: id, manifest: manifest };
+    }, this));
+  },
+
+  // Send the reply of a request handled asynchronously, unless the
+  // connection was closed in the meantime.
+  _reply: function (aPacket) {
+    if (this._disconnected) {
+      return;
+    }
+    aPacket.from = this.actorID;
+    this._connection.send(aPacket);
+  },
+
+  // Copy the result of an activity into a packet, describing the blobs
+  // (e.g. picked images) that can't be sent.
+  _serializeActivityResult: function (result) {
+    if (result === undefined) {
+      return null;
+    }
+    try {
+      return JSON.parse(JSON.stringify(result, function(key, value) {
+        let type = Object.prototype.toString.call(value);
+        if (type == "[object Blob]" || type == "[object File]") {
+          return "[" + type.slice(8, -1) + " " + (value.type || "no type") +
+                 ", " + value.size + " bytes]";
+        }
+        return value;
+      }));
+    } catch(e) {
+      return "" + result;
+    }
+  },
+
+  // Read the manifest of an installed app from its directory, where hosted
+  // apps have a manifest.webapp file and packaged apps an application.zip
+  // package.  Only used when the registry can't read the manifest.
+  _readManifest: function (app) {
+    let dir;
+    if (app.basePath) {
+      dir = Cc["@mozilla.org/file/local;1"].createInstance(Ci.nsIFile);
+      dir.initWithPath(app.basePath);
+    } else {
+      dir = Services.dirsvc.get("ProfD", Ci.nsIFile);
+      dir.append("webapps");
+    }
+    dir.append(app.id);
+
+    let file = dir.clone();
+    file.append("manifest.webapp");
+    if (file.exists()) {
+      let stream = Cc["@mozilla.org/network/file-input-stream;1"].
+                   createInstance(Ci.nsIFileInputStream);
+      stream.init(file, -1, 0, 0);
+      return JSON.parse(this._readStream(stream));
+    }
+
+    file = dir.clone();
+    file.append("application.zip");
+    let zipReader = Cc["@mozilla.org/libjar/zip-reader;1"].
+                    createInstance(Ci.nsIZipReader);
+    zipReader.open(file);
+    try {
+      return JSON.parse(
+        this._readStream(zipReader.getInputStream("manifest.webapp")));
+    } finally {
+      zipReader.close();
+    }
+  },
+
+  _readStream: function (stream) {
+    let converter = Cc["@mozilla.org/intl/converter-input-stream;1"].
+                    createInstance(Ci.nsIConverterInputStream);
+    converter.init(stream, "UTF-8", 0, 0);
+    let text = "";
+    let chunk = {};
+    try {
+      while (converter.readString(0xffffffff, chunk)) {
+        text += chunk.value;
+      }
+    } finally {
+      converter.close();
+    }
+    return text;
+  },
+
+  /**
+   * Apply a network profile ("none", "offline", "2g", "3g" or "custom" with
+   * the `latency` and `bandwidth` of the request), see
+   * modules/NetworkThrottle.jsm.
+   */
+  onSetNetworkThrottle: function (aRequest) {
+    this.debug("simulator actor received a 'setNetworkThrottle' command: " +
+               aRequest.profile);
+    try {
+      NetworkThrottle.setProfile(aRequest.profile, {
+        latency: aRequest.latency,
+        bandwidth: aRequest.bandwidth
+      });
+    } catch(e) {
+      return { success: false, error: "" + e };
+    }
+
+    return { success: true, state: NetworkThrottle.getState() };
+  },
+
+  _getAppPrincipal: function (app) {
+    let uri = Services.io.newURI(app.origin, null, null);
+    return Services.scriptSecurityManager.
+           getAppCodebasePrincipal(uri, app.localId, false);
+  },
+
+  _getLocalStorage: function (app) {
+    let principal = this._getAppPrincipal(app);
+    return Cc["@mozilla.org/dom/storagemanager;1"].
+           getService(Ci.nsIDOMStorageManager).
+           getLocalStorageForPrincipal(principal, "");
+  },
+
+  _getAppFrame: function (origin) {
+    let shell = this.simulatorWindow.shell;
+    return Array.prototype.filter.call(
+      shell.contentBrowser.contentDocument.getElementsByTagName("iframe"),
+      function(iframe) iframe.getAttribute("data-frame-origin") == origin
+    )[0] || null;
+  },
+
+  _dumpStorage: function (storage) {
+    let items = {};
+    for (let i = 0; i < storage.length; i++) {
+      let key = storage.key(i);
+      items[key] = storage.getItem(key);
+    }
+    return items;
+  },
+
+  // The cookie manager only removes cookies outside of apps, so expire
+  // the cookie the way a server would, on a channel of the app.
+  _removeCookie: function (app, cookie) {
+    let { XPCOMUtils } = Cu.import("resource://gre/modules/XPCOMUtils.jsm", {});
+    let host = cookie.host.replace(/^\./, "");
+    let uri = Services.io.newURI((cookie.isSecure ? "https://" : "http://") +
+                                 host + cookie.path, null, null);
+
+    let channel = Services.io.newChannelFromURI(uri);
+    channel.notificationCallbacks = {
+      appId: app.localId,
+      isInBrowserElement: false,
+      isContent: true,
+      usePrivateBrowsing: false,
+      associatedWindow: null,
+      topWindow: null,
+      isAppOfType: function() false,
+      getInterface: function(iid) this.QueryInterface(iid),
+      QueryInterface: XPCOMUtils.generateQI([Ci.nsILoadContext,
+                                             Ci.nsIInterfaceRequestor]),
+    };
+
+    let cookieString = cookie.name + "=; expires=Thu, 01 Jan 1970 00:00:00 GMT" +
+                       "; path=" + cookie.path;
+    if (cookie.host[0] == ".") {
+      cookieString += "; domain=" + cookie.host;
+    }
+    if (cookie.isSecure) {
+      cookieString += "; secure";
+    }
+    // Only "HTTP" cookies can replace HttpOnly ones.
+    if (cookie.isHttpOnly) {
+      cookieString += "; HttpOnly";
+    }
+
+    Cc["@mozilla.org/cookieService;1"].getService(Ci.nsICookieService).
+      setCookieStringFromHttp(uri, uri, null, cookieString, null, channel);
+  },
+
   get homescreenWindow() {
     var shellw = this.simulatorWindow.document.getElementById("homescreen").contentWindow;
     return shellw;
@@ -423,6 +1032,15 @@ SimulatorActor.prototype.requestTypes = {
   "appNotFound": SimulatorActor.prototype.onAppNotFound,
   "showNotification": SimulatorActor.prototype.onShowNotification,
   "geolocationUpdate": SimulatorActor.prototype.onGeolocationUpdate,
+  "getAppStorage": SimulatorActor.prototype.onGetAppStorage,
+  "removeAppStorageItem": SimulatorActor.prototype.onRemoveAppStorageItem,
+  "getAppPermissions": SimulatorActor.prototype.onGetAppPermissions,
+  "setAppPermission": SimulatorActor.prototype.onSetAppPermission,
+  "setPermissionPromptPolicy": SimulatorActor.prototype.onSetPermissionPromptPolicy,
+  "listActivities": SimulatorActor.prototype.onListActivities,
+  "startActivity": SimulatorActor.prototype.onStartActivity,
+  "sendSystemMessage": SimulatorActor.prototype.onSendSystemMessage,
+  "setNetworkThrottle": SimulatorActor.prototype.onSetNetworkThrottle,
 };
 
 DebuggerServer.removeGlobalActor(SimulatorActor);
@@ -226,6 +226,9 @@ WebappsActor.prototype = {
     *                  the files for the app in $TMP/b2g/$appId :
     *                  For packaged apps: application.zip
     *                  For hosted apps:   metadata.json and manifest.webapp
+    * @param tempDir : Optional name of the directory to look for the files
+    *                  in, instead of $appId, so that concurrent installs of
+    *                  an app don't share it.
     * @param appType : The privilege status of the app, as defined in
     *                   nsIPrincipal. It's optional and default to
     *                   APP_STATUS_INSTALLED
@@ -257,7 +260,14 @@ WebappsActor.prototype = {
     // In production builds, don't allow installation of certified apps.
 //@line 233 "/home/myk/Mozilla/central/b2g/chrome/content/dbg-webapps-actors.js"
 
-    let appDir = FileUtils.getDir("TmpD", ["b2g", appId], false, false);
+    let tempDir = aRequest.tempDir || appId;
+    if (!/^[\w-]+$/.test(tempDir)) {
+      return { error: "badParameterType",
+               message: "invalid directory name " + tempDir
+             }
+    }
+
+    let appDir = FileUtils.getDir("TmpD", ["b2g", tempDir], false, false);
 
     if (!appDir || !appDir.exists()) {
       return { error: "badParameterType",
@@ -0,0 +1,35 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+window.addEventListener("DOMContentLoaded", function() {
+  let $ = document.getElementById.bind(document),
+      profiles = $("profiles"),
+      latencyEle = $("latency"),
+      bandwidthEle = $("bandwidth"),
+      windowParams = window.arguments[0].wrappedJSObject,
+      setTextBoxes = function() {
+        let disabled = profiles.value != "custom";
+        latencyEle.disabled = disabled;
+        bandwidthEle.disabled = disabled;
+      },
+      accept = function () {
+        windowParams.profile = profiles.value;
+        windowParams.latency = latencyEle.value;
+        windowParams.bandwidth = bandwidthEle.value;
+        windowParams.result = "accept";
+        window.close();
+      },
+      cancel = function () {
+        windowParams.result = "cancel";
+      };
+
+  profiles.value = windowParams.profile;
+  latencyEle.value = windowParams.latency;
+  bandwidthEle.value = windowParams.bandwidth;
+  setTextBoxes();
+
+  profiles.addEventListener("command", setTextBoxes);
+  window.addEventListener("dialogaccept", accept);
+  window.addEventListener("dialogcancel", cancel);
+});
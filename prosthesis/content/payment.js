@@ -0,0 +1,29 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+window.addEventListener("DOMContentLoaded", function() {
+  let $ = document.getElementById.bind(document),
+      windowParams = window.arguments[0].wrappedJSObject,
+      request = windowParams.request.request || {},
+      result = $("result"),
+      callbackURL = $("callbackURL");
+
+  $("name").value = request.name || "";
+  $("description").value = request.description || "";
+  $("pricePoint").value = request.pricePoint || "";
+  $("seller").value = windowParams.request.iss || "";
+  result.value = "success";
+  callbackURL.value = windowParams.callbackURL;
+  if (windowParams.defaultCallbackURL) {
+    callbackURL.placeholder = windowParams.defaultCallbackURL;
+  }
+
+  window.addEventListener("dialogaccept", function() {
+    windowParams.result = result.value;
+    windowParams.callbackURL = callbackURL.value.trim();
+  });
+  window.addEventListener("dialogcancel", function() {
+    windowParams.result = "cancel";
+  });
+});
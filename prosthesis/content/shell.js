@@ -91,6 +91,43 @@ document.getElementById("rotateButton").addEventListener("click", function() {
           .addEventListener("click", openWin);
 }
 
+{
+  Cu.import("resource://prosthesis/modules/NetworkThrottle.jsm");
+
+  let button = document.getElementById("networkButton"),
+      updateButton = function updateButton(state) {
+        button.setAttribute("label", state.profile == "none" ?
+                                     "Network" : state.label);
+      },
+      openWin = function openWin() {
+        let params = NetworkThrottle.getState();
+
+        Services.ww.openWindow(null,
+          "chrome://prosthesis/content/network.xul",
+          "networkWindow",
+          "chrome,dialog,menubar,centerscreen,modal",
+          { wrappedJSObject: params });
+
+        if (params.result == "cancel") {
+          return;
+        }
+
+        debug("network profile requested in shell: " + params.profile);
+        NetworkThrottle.setProfile(params.profile, {
+          latency: params.latency,
+          bandwidth: params.bandwidth
+        });
+      };
+
+  // The profile may also be changed by the Simulator actor.
+  Services.obs.addObserver(function(subject) {
+    updateButton(subject.wrappedJSObject);
+  }, "r2d2b2g:network-throttle-change", false);
+  updateButton(NetworkThrottle.getState());
+
+  button.addEventListener("click", openWin);
+}
+
 function simulatorAppUpdate(clearCacheAndStorages) {
   let origin = shell.contentBrowser.contentWindow.wrappedJSObject.
                WindowManager.getCurrentDisplayedApp().origin;
@@ -20,3 +20,20 @@ user_pref("toolkit.defaultChromeURI", "chrome://prosthesis/content/shell.xul");
 // B2G disables the native theme, apparently for performance, but we need it
 // to make our chrome appealing and usable, so reenable it.
 user_pref("mozilla.widget.disable-native-theme", false);
+
+// Register the fake payment provider of components/FakePaymentUIGlue.js
+// for the JWTs of Marketplace in-app payments.  Its URI is never loaded,
+// the payment flow is simulated by content/payment.xul.
+user_pref("dom.mozPay.enabled", true);
+user_pref("dom.payment.skipHTTPSCheck", true);
+user_pref("dom.payment.provider.0.name", "simulator");
+user_pref("dom.payment.provider.0.description", "Simulated payments");
+user_pref("dom.payment.provider.0.uri", "http://localhost/simulated-payment?req=");
+user_pref("dom.payment.provider.0.type", "mozilla/payments/pay/v1");
+user_pref("dom.payment.provider.0.requestMethod", "GET");
+
+// The URL postback and chargeback notices of simulated payments are posted
+// to (the postbackURL and chargebackURL of the request by default), and the
+// secret they are signed with, which should be the secret of the app.
+user_pref("r2d2b2g.payment.callbackURL", "");
+user_pref("r2d2b2g.payment.secret", "simulator");